@@ -0,0 +1,198 @@
+// dns/packet.js - Just enough of the DNS wire format (RFC 1035) for the filtering resolver:
+// reading queries and upstream responses, and writing the answers the resolver makes up itself.
+
+const TYPES = {
+  A: 1,
+  CNAME: 5,
+  AAAA: 28
+};
+
+const CLASS_IN = 1;
+
+const RCODES = {
+  NOERROR: 0,
+  FORMERR: 1,
+  SERVFAIL: 2,
+  NXDOMAIN: 3,
+  REFUSED: 5
+};
+
+const HEADER_LENGTH = 12;
+
+// Read a (possibly compressed) domain name starting at offset.
+// Returns the name and the offset just past it in the original position.
+const readName = (buf, offset) => {
+  const labels = [];
+  let position = offset;
+  let end = null;
+  let jumps = 0;
+
+  while (true) {
+    if (position >= buf.length) {
+      throw new Error('Name runs past end of message');
+    }
+
+    const length = buf[position];
+
+    if (length === 0) {
+      position += 1;
+      break;
+    }
+
+    // Compression pointer: the rest of the name lives elsewhere in the message
+    if ((length & 0xc0) === 0xc0) {
+      if (++jumps > 16) {
+        throw new Error('Too many compression pointers');
+      }
+      if (end === null) {
+        end = position + 2;
+      }
+      position = ((length & 0x3f) << 8) | buf[position + 1];
+      continue;
+    }
+
+    labels.push(buf.toString('ascii', position + 1, position + 1 + length));
+    position += 1 + length;
+  }
+
+  return {
+    name: labels.join('.').toLowerCase(),
+    offset: end === null ? position : end
+  };
+};
+
+// Encode a domain name as uncompressed labels
+const encodeName = (name) => {
+  const labels = String(name).replace(/\.$/, '').split('.').filter(Boolean);
+  const parts = labels.map(label => {
+    const bytes = Buffer.from(label, 'ascii');
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  });
+
+  return Buffer.concat([...parts, Buffer.from([0])]);
+};
+
+// Parse a message into its header, questions and answers. Authority and additional
+// records are not needed by the resolver and are left unread.
+const parseMessage = (buf) => {
+  if (!Buffer.isBuffer(buf) || buf.length < HEADER_LENGTH) {
+    throw new Error('Message too short');
+  }
+
+  const message = {
+    id: buf.readUInt16BE(0),
+    flags: buf.readUInt16BE(2),
+    questions: [],
+    answers: []
+  };
+
+  const questionCount = buf.readUInt16BE(4);
+  const answerCount = buf.readUInt16BE(6);
+  let offset = HEADER_LENGTH;
+
+  for (let i = 0; i < questionCount; i++) {
+    const { name, offset: next } = readName(buf, offset);
+    message.questions.push({
+      name,
+      type: buf.readUInt16BE(next),
+      class: buf.readUInt16BE(next + 2)
+    });
+    offset = next + 4;
+  }
+
+  for (let i = 0; i < answerCount; i++) {
+    const { name, offset: next } = readName(buf, offset);
+    const rdLength = buf.readUInt16BE(next + 8);
+    message.answers.push({
+      name,
+      type: buf.readUInt16BE(next),
+      class: buf.readUInt16BE(next + 2),
+      ttl: buf.readUInt32BE(next + 4),
+      data: buf.subarray(next + 10, next + 10 + rdLength)
+    });
+    offset = next + 10 + rdLength;
+  }
+
+  return message;
+};
+
+// Response flags for a query: QR set, opcode and RD copied, RA set, and the given rcode
+const getResponseFlags = (queryFlags, rcode) => {
+  return 0x8000 | (queryFlags & 0x7900) | 0x0080 | (rcode & 0x0f);
+};
+
+// Write a response to a parsed query. answers are { name, type, ttl, data } with data already encoded.
+const buildResponse = (query, { rcode = RCODES.NOERROR, answers = [] } = {}) => {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt16BE(query.id, 0);
+  header.writeUInt16BE(getResponseFlags(query.flags, rcode), 2);
+  header.writeUInt16BE(query.questions.length, 4);
+  header.writeUInt16BE(answers.length, 6);
+
+  const questions = query.questions.map(question => {
+    const fields = Buffer.alloc(4);
+    fields.writeUInt16BE(question.type, 0);
+    fields.writeUInt16BE(question.class, 2);
+    return Buffer.concat([encodeName(question.name), fields]);
+  });
+
+  const records = answers.map(answer => {
+    const fields = Buffer.alloc(10);
+    fields.writeUInt16BE(answer.type, 0);
+    fields.writeUInt16BE(answer.class || CLASS_IN, 2);
+    fields.writeUInt32BE(answer.ttl, 4);
+    fields.writeUInt16BE(answer.data.length, 8);
+    return Buffer.concat([encodeName(answer.name), fields, answer.data]);
+  });
+
+  return Buffer.concat([header, ...questions, ...records]);
+};
+
+// Write a standard recursive query for one name
+const buildQuery = (id, name, type) => {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(0x0100, 2); // RD
+  header.writeUInt16BE(1, 4);
+
+  const fields = Buffer.alloc(4);
+  fields.writeUInt16BE(type, 0);
+  fields.writeUInt16BE(CLASS_IN, 2);
+
+  return Buffer.concat([header, encodeName(name), fields]);
+};
+
+// Record data for an IPv4 or IPv6 address
+const encodeAddress = (address) => {
+  if (address.includes(':')) {
+    const [head, tail = ''] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = address.includes('::')
+      ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+
+    const data = Buffer.alloc(16);
+    groups.forEach((group, index) => data.writeUInt16BE(parseInt(group, 16) || 0, index * 2));
+    return data;
+  }
+
+  return Buffer.from(address.split('.').map(part => parseInt(part, 10)));
+};
+
+const getRcode = (buf) => {
+  return buf.readUInt16BE(2) & 0x0f;
+};
+
+module.exports = {
+  TYPES,
+  CLASS_IN,
+  RCODES,
+  readName,
+  encodeName,
+  parseMessage,
+  buildResponse,
+  buildQuery,
+  encodeAddress,
+  getRcode
+};
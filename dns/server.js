@@ -0,0 +1,502 @@
+// dns/server.js - Filtering DNS resolver. Serves DNS-over-HTTPS at /dns-query/:resolverKey (and
+// DNS-over-TLS when certificates are configured) for the encrypted DNS payload in our profiles.
+// Each query is checked against the key's device's effective blocking settings (overrides and active
+// temporary access grants included, refreshed every settingsCacheTtlMs): blocked names get
+// NXDOMAIN or the block page address, safe search hosts are rewritten, the rest go upstream.
+// /dns-query/safesearch serves the safe search payload: rewrites only, nothing blocked.
+require('dotenv').config();
+const express = require('express');
+const https = require('https');
+const tls = require('tls');
+const dgram = require('dgram');
+const fs = require('fs');
+const {
+  BASELINE_PERMITTED_DOMAINS,
+  getBlockingSettings,
+  createDomainMatcher
+} = require('../services/blocking');
+const {
+  SAFE_SEARCH_RESOLVER_KEY,
+  getResolverKeyOwner,
+  isValidResolverKey
+} = require('../services/dnsfilter');
+const { getCategoryDomains } = require('../services/catalogue');
+const { getDomainRules } = require('../services/profile');
+const { isSafeSearchEnabled, getSafeSearchTarget } = require('../services/safesearch');
+const { getScheduleFromSettings, getSchedulePhase } = require('../services/schedule');
+const { getUrlRules, findMatchingKeyword } = require('../services/urlrules');
+const {
+  TYPES,
+  RCODES,
+  encodeName,
+  parseMessage,
+  buildResponse,
+  buildQuery,
+  encodeAddress,
+  getRcode
+} = require('./packet');
+
+// TTL on answers the resolver makes up itself (blocks and safe search rewrites)
+const SYNTHETIC_TTL = 60;
+
+// Largest DNS message accepted over DoH or DoT
+const MAX_MESSAGE_SIZE = 4096;
+
+// Filter for the shared safe-search-only endpoint: no user, nothing blocked, search engines rewritten
+const SAFE_SEARCH_ONLY_FILTER = {
+  userId: null,
+  deviceId: null,
+  settings: {},
+  schedule: getScheduleFromSettings({}),
+  categoryDomains: {},
+  safeSearch: true,
+  keywords: [],
+  matchers: {}
+};
+
+class AltriiDNSServer {
+  constructor(config) {
+    this.config = config;
+    this.app = express();
+    this.filterCache = new Map();
+    this.servers = [];
+    this.baselineMatcher = createDomainMatcher([], BASELINE_PERMITTED_DOMAINS);
+
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // RFC 8484: GET carries the query base64url-encoded in ?dns=, POST carries it as the body
+    this.app.get('/dns-query/:resolverKey', this.handleDoH.bind(this));
+    this.app.post(
+      '/dns-query/:resolverKey',
+      express.raw({ type: 'application/dns-message', limit: MAX_MESSAGE_SIZE }),
+      this.handleDoH.bind(this)
+    );
+
+    // Health check
+    this.app.get('/dns/health', (req, res) => {
+      res.json({
+        status: 'healthy',
+        cachedUsers: this.filterCache.size,
+        upstream: `${this.config.upstream.host}:${this.config.upstream.port}`,
+        uptime: process.uptime()
+      });
+    });
+  }
+
+  async handleDoH(req, res) {
+    const query = req.method === 'GET'
+      ? Buffer.from(String(req.query.dns || ''), 'base64url')
+      : req.body;
+
+    if (!Buffer.isBuffer(query) || query.length === 0) {
+      return res.status(400).json({ error: 'Missing DNS query' });
+    }
+
+    try {
+      const response = await this.resolve(req.params.resolverKey, query);
+
+      if (!response) {
+        return res.status(400).json({ error: 'Malformed DNS query' });
+      }
+
+      res.set({
+        'Content-Type': 'application/dns-message',
+        'Cache-Control': 'no-store'
+      });
+      res.send(response);
+
+    } catch (error) {
+      console.error('DoH query error:', error.message);
+      res.status(500).json({ error: 'DNS resolution failed' });
+    }
+  }
+
+  // DoT: the resolver key is the first label of the TLS server name (<key>.dns.example.com).
+  // Messages are framed with a two-byte length prefix (RFC 7858).
+  handleDoTConnection(socket) {
+    const resolverKey = String(socket.servername || '').split('.')[0];
+    let pending = Buffer.alloc(0);
+
+    socket.setTimeout(30 * 1000, () => socket.end());
+    socket.on('error', error => console.error('DoT connection error:', error.message));
+
+    socket.on('data', async chunk => {
+      pending = Buffer.concat([pending, chunk]);
+
+      while (pending.length >= 2) {
+        const length = pending.readUInt16BE(0);
+
+        if (length > MAX_MESSAGE_SIZE) {
+          socket.destroy();
+          return;
+        }
+        if (pending.length < length + 2) {
+          break;
+        }
+
+        const query = pending.subarray(2, length + 2);
+        pending = pending.subarray(length + 2);
+
+        try {
+          const response = await this.resolve(resolverKey, query);
+
+          if (!response) {
+            socket.destroy();
+            return;
+          }
+
+          const prefix = Buffer.alloc(2);
+          prefix.writeUInt16BE(response.length, 0);
+          socket.write(Buffer.concat([prefix, response]));
+        } catch (error) {
+          console.error('DoT query error:', error.message);
+          socket.destroy();
+          return;
+        }
+      }
+    });
+  }
+
+  // Answer a wire-format query for a resolver key. Returns null when the query can't be parsed at all.
+  async resolve(resolverKey, queryBuffer) {
+    let query;
+
+    try {
+      query = parseMessage(queryBuffer);
+    } catch (error) {
+      return null;
+    }
+
+    if (query.questions.length !== 1) {
+      return buildResponse(query, { rcode: RCODES.FORMERR });
+    }
+
+    let filter;
+
+    try {
+      filter = await this.getFilter(resolverKey);
+    } catch (error) {
+      console.error('Failed to load DNS filter:', error.message);
+      return buildResponse(query, { rcode: RCODES.SERVFAIL });
+    }
+
+    if (!filter) {
+      return buildResponse(query, { rcode: RCODES.REFUSED });
+    }
+
+    const question = query.questions[0];
+
+    // Essential services always resolve normally
+    if (this.baselineMatcher(question.name).verdict === 'allowed') {
+      return this.forward(queryBuffer, query);
+    }
+
+    const phase = getSchedulePhase(filter.schedule);
+    const { verdict } = this.getMatcher(filter, phase)(question.name);
+
+    // Keyword rules apply to names the allow-list doesn't cover (the resolver never sees URL paths)
+    const keywordBlocked = verdict !== 'allowed' && findMatchingKeyword(question.name, filter.keywords) !== null;
+
+    if (verdict === 'blocked' || keywordBlocked) {
+      return this.buildBlockedResponse(query, question);
+    }
+
+    const safeSearchTarget = filter.safeSearch ? getSafeSearchTarget(question.name) : null;
+
+    if (safeSearchTarget && (question.type === TYPES.A || question.type === TYPES.AAAA)) {
+      return this.buildSafeSearchResponse(query, question, safeSearchTarget);
+    }
+
+    return this.forward(queryBuffer, query);
+  }
+
+  // Point A/AAAA queries at the block page when one is configured, otherwise say the name doesn't exist
+  buildBlockedResponse(query, question) {
+    const { blockPageIPv4, blockPageIPv6 } = this.config;
+
+    if (!blockPageIPv4 && !blockPageIPv6) {
+      return buildResponse(query, { rcode: RCODES.NXDOMAIN });
+    }
+
+    const address = question.type === TYPES.A ? blockPageIPv4
+      : question.type === TYPES.AAAA ? blockPageIPv6
+      : null;
+
+    // Other record types (and a missing address family) get an empty NOERROR answer
+    return buildResponse(query, {
+      answers: address ? [{
+        name: question.name,
+        type: question.type,
+        ttl: SYNTHETIC_TTL,
+        data: encodeAddress(address)
+      }] : []
+    });
+  }
+
+  // Answer with a CNAME to the engine's enforced host plus that host's addresses from upstream
+  async buildSafeSearchResponse(query, question, target) {
+    const upstreamQuery = buildQuery(Math.floor(Math.random() * 0x10000), target, question.type);
+    const upstreamResponse = await this.forward(upstreamQuery, parseMessage(upstreamQuery));
+
+    if (getRcode(upstreamResponse) !== RCODES.NOERROR) {
+      return buildResponse(query, { rcode: RCODES.SERVFAIL });
+    }
+
+    const addresses = parseMessage(upstreamResponse).answers
+      .filter(answer => answer.type === question.type)
+      .map(answer => ({ name: target, type: answer.type, ttl: answer.ttl, data: answer.data }));
+
+    return buildResponse(query, {
+      answers: [
+        { name: question.name, type: TYPES.CNAME, ttl: SYNTHETIC_TTL, data: encodeName(target) },
+        ...addresses
+      ]
+    });
+  }
+
+  // Send a query to the upstream resolver over UDP. Resolves with SERVFAIL if it doesn't answer in time.
+  forward(queryBuffer, query) {
+    const { host, port } = this.config.upstream;
+
+    return new Promise(resolve => {
+      const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+      let settled = false;
+
+      const finish = (response) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        socket.close();
+        resolve(response);
+      };
+
+      const timer = setTimeout(() => {
+        finish(buildResponse(query, { rcode: RCODES.SERVFAIL }));
+      }, this.config.upstreamTimeoutMs);
+
+      socket.on('message', message => {
+        // Ignore anything that isn't the reply to this query
+        if (message.length >= 2 && message.readUInt16BE(0) === query.id) {
+          finish(message);
+        }
+      });
+
+      socket.on('error', error => {
+        console.error('Upstream DNS error:', error.message);
+        finish(buildResponse(query, { rcode: RCODES.SERVFAIL }));
+      });
+
+      socket.send(queryBuffer, port, host);
+    });
+  }
+
+  // Filtering state for a resolver key, cached in memory for settingsCacheTtlMs.
+  // Unknown keys are cached too so a bad key can't hammer the database.
+  async getFilter(resolverKey) {
+    if (resolverKey === SAFE_SEARCH_RESOLVER_KEY) {
+      return SAFE_SEARCH_ONLY_FILTER;
+    }
+
+    if (!isValidResolverKey(resolverKey)) {
+      return null;
+    }
+
+    const cached = this.filterCache.get(resolverKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.filter;
+    }
+
+    // Share one load between concurrent queries for the same key
+    if (cached && cached.loading) {
+      return cached.loading;
+    }
+
+    const loading = this.loadFilter(resolverKey)
+      .then(filter => {
+        this.filterCache.set(resolverKey, {
+          filter,
+          expiresAt: Date.now() + this.config.settingsCacheTtlMs
+        });
+        return filter;
+      })
+      .catch(error => {
+        this.filterCache.delete(resolverKey);
+        throw error;
+      });
+
+    this.filterCache.set(resolverKey, { ...cached, expiresAt: 0, loading });
+
+    return loading;
+  }
+
+  async loadFilter(resolverKey) {
+    const owner = await getResolverKeyOwner(resolverKey);
+
+    if (!owner) {
+      return null;
+    }
+
+    const { userId, deviceId } = owner;
+    const settingsResult = await getBlockingSettings(userId, deviceId);
+
+    if (!settingsResult.success) {
+      throw new Error(`Failed to load blocking settings for user ${userId} device ${deviceId}`);
+    }
+
+    const catalogue = await getCategoryDomains();
+    const settings = settingsResult.settings;
+
+    return {
+      userId,
+      deviceId,
+      settings,
+      schedule: getScheduleFromSettings(settings),
+      categoryDomains: catalogue.categories,
+      safeSearch: isSafeSearchEnabled(settings),
+      keywords: getUrlRules(settings).keywords,
+      matchers: {}
+    };
+  }
+
+  // Matcher for a schedule phase, built the first time that phase is needed
+  getMatcher(filter, phase) {
+    if (!filter.matchers[phase]) {
+      const { blocked, allowed } = getDomainRules(filter.settings, filter.categoryDomains, phase);
+      filter.matchers[phase] = createDomainMatcher(blocked, allowed);
+    }
+
+    return filter.matchers[phase];
+  }
+
+  // Drop expired cache entries so keys that stop querying don't stay in memory
+  sweepCache() {
+    const now = Date.now();
+
+    this.filterCache.forEach((entry, resolverKey) => {
+      if (!entry.loading && entry.expiresAt <= now) {
+        this.filterCache.delete(resolverKey);
+      }
+    });
+  }
+
+  start() {
+    this.sweepTimer = setInterval(() => this.sweepCache(), this.config.settingsCacheTtlMs);
+
+    const port = this.config.port;
+
+    if (this.config.ssl) {
+      // HTTPS server for production
+      const httpsOptions = {
+        key: fs.readFileSync(this.config.ssl.key),
+        cert: fs.readFileSync(this.config.ssl.cert)
+      };
+
+      this.servers.push(https.createServer(httpsOptions, this.app).listen(port, () => {
+        console.log(`DNS Server (DoH over HTTPS) running on port ${port}`);
+      }));
+    } else {
+      // HTTP for development, or behind a TLS-terminating proxy
+      this.servers.push(this.app.listen(port, () => {
+        console.log(`DNS Server (DoH over HTTP) running on port ${port}`);
+      }));
+    }
+
+    if (this.config.tls) {
+      const tlsOptions = {
+        key: fs.readFileSync(this.config.tls.key),
+        cert: fs.readFileSync(this.config.tls.cert)
+      };
+
+      this.servers.push(tls.createServer(tlsOptions, this.handleDoTConnection.bind(this)).listen(this.config.tls.port, () => {
+        console.log(`DNS Server (DoT) running on port ${this.config.tls.port}`);
+      }));
+    }
+
+    console.log(`Forwarding unfiltered queries to ${this.config.upstream.host}:${this.config.upstream.port}`);
+  }
+
+  // Graceful shutdown
+  async shutdown() {
+    console.log('Shutting down DNS server...');
+
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+    }
+
+    await Promise.all(this.servers.map(server => new Promise(resolve => server.close(() => resolve()))));
+    this.servers = [];
+    this.filterCache.clear();
+
+    console.log('DNS server shutdown complete');
+  }
+}
+
+// Parse "host:port" or "[v6]:port"; a bare IPv6 address uses port 53
+const parseUpstream = (value) => {
+  const upstream = String(value).trim();
+  const bracketed = upstream.match(/^\[(.+)\](?::(\d+))?$/);
+
+  if (bracketed) {
+    return { host: bracketed[1], port: bracketed[2] ? parseInt(bracketed[2], 10) : 53 };
+  }
+
+  if ((upstream.match(/:/g) || []).length > 1) {
+    return { host: upstream, port: 53 };
+  }
+
+  const [host, port] = upstream.split(':');
+  return { host, port: port ? parseInt(port, 10) : 53 };
+};
+
+// Export for use
+module.exports = AltriiDNSServer;
+
+// Start server if run directly
+if (require.main === module) {
+  const config = {
+    port: process.env.DNS_PORT || 3053,
+
+    // Where unfiltered queries go - point at scripts/dns-stub-upstream.js to test locally
+    upstream: parseUpstream(process.env.DNS_UPSTREAM || '1.1.1.1:53'),
+    upstreamTimeoutMs: parseInt(process.env.DNS_UPSTREAM_TIMEOUT_MS, 10) || 3000,
+
+    // Block page addresses; without them blocked names get NXDOMAIN
+    blockPageIPv4: process.env.DNS_BLOCK_PAGE_IP || null,
+    blockPageIPv6: process.env.DNS_BLOCK_PAGE_IPV6 || null,
+
+    // How long a user's settings are cached before being reloaded
+    settingsCacheTtlMs: parseInt(process.env.DNS_SETTINGS_CACHE_TTL_MS, 10) || 60 * 1000,
+
+    // SSL configuration for DoH in production
+    ssl: process.env.SSL_KEY_PATH ? {
+      key: process.env.SSL_KEY_PATH,
+      cert: process.env.SSL_CERT_PATH
+    } : null,
+
+    // DoT listener (optional)
+    tls: process.env.DNS_TLS_KEY_PATH ? {
+      key: process.env.DNS_TLS_KEY_PATH,
+      cert: process.env.DNS_TLS_CERT_PATH,
+      port: process.env.DNS_TLS_PORT || 853
+    } : null
+  };
+
+  const server = new AltriiDNSServer(config);
+  server.start();
+
+  // Graceful shutdown
+  process.on('SIGTERM', async () => {
+    await server.shutdown();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', async () => {
+    await server.shutdown();
+    process.exit(0);
+  });
+}
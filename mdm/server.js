@@ -5,10 +5,34 @@ const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const jwt = require('jsonwebtoken');
-const forge = require('node-forge');
 const plist = require('plist');
 const apn = require('apn');
 const { pool } = require('../config/database');
+const { getBlockedCategories } = require('../services/categories');
+const {
+  BASELINE_PERMITTED_DOMAINS,
+  getEffectiveSettingsRow,
+  checkSettingsLocked,
+  normalizeDomainList,
+  resolveDomainRules,
+  toFilterEntry
+} = require('../services/blocking');
+const { getDomainsForCategories } = require('../services/catalogue');
+const { isSafeSearchEnabled, buildSafeSearchDNSPayload } = require('../services/safesearch');
+const { getBlockedBundleIds, getEnforcedBundleIds } = require('../services/apps');
+const { getUrlPrefixFilterEntries } = require('../services/urlrules');
+const { getSigningConfig, isSigningConfigured, loadSigningCredentials, signProfileData } = require('../services/signing');
+const { derivePayloadUUID } = require('../services/device');
+const { buildRemovalPasswordPayload, getProfileRemovalPassword } = require('../services/removalpassword');
+const {
+  SCHEDULE_PHASES,
+  getScheduleFromSettings,
+  getSchedulePhase,
+  getCategoriesInForce
+} = require('../services/schedule');
+
+// How often to check whether any device has crossed a schedule boundary
+const SCHEDULE_CHECK_INTERVAL_MS = 60 * 1000;
 
 class AltriiMDMServer {
   constructor(config) {
@@ -374,8 +398,6 @@ class AltriiMDMServer {
     try {
       const { deviceId, userId, settings, securityLevel, isWebOnly } = req.body;
       
-      // Generate unique identifiers
-      const profileUUID = uuidv4();
       const enrollmentCode = this.generateEnrollmentCode();
       
       // Get device info
@@ -388,14 +410,19 @@ class AltriiMDMServer {
         return res.status(404).json({ error: 'Device not found' });
       }
 
-      // Build supervision profile
+      // Derived from the device so a regenerated profile replaces the installed one
+      const profileUUID = derivePayloadUUID(deviceId, 'supervision');
+
+      // Build supervision profile for the schedule phase in force right now
+      const phase = getSchedulePhase(getScheduleFromSettings(settings));
       const profile = await this.buildSupervisionProfile({
         deviceId,
         profileUUID,
         settings,
         securityLevel,
         isWebOnly: isWebOnly || true, // Default to web-only
-        deviceRecord: device.rows[0]
+        deviceRecord: device.rows[0],
+        phase
       });
 
       // Sign profile (if certificates available)
@@ -426,6 +453,12 @@ class AltriiMDMServer {
         signedProfile.toString('base64')
       ]);
 
+      // Remember the phase so the schedule check knows when to swap profiles
+      await pool.query(
+        'UPDATE device_profiles SET schedule_phase = $1, schedule_phase_changed_at = NOW() WHERE id = $2',
+        [phase, device.rows[0].id]
+      );
+
       res.json({
         enrollmentCode,
         profileUUID,
@@ -440,7 +473,16 @@ class AltriiMDMServer {
   }
 
   async buildSupervisionProfile(options) {
-    const { deviceId, profileUUID, settings, securityLevel, isWebOnly, deviceRecord } = options;
+    const {
+      deviceId,
+      profileUUID,
+      settings,
+      securityLevel,
+      isWebOnly,
+      deviceRecord,
+      phase = SCHEDULE_PHASES.DAY,
+      removalPassword = null
+    } = options;
     
     const profile = {
       PayloadType: 'Configuration',
@@ -459,10 +501,16 @@ class AltriiMDMServer {
     profile.PayloadContent.push(this.buildMDMPayload(deviceId, deviceRecord));
     
     // Add content filter payload
-    profile.PayloadContent.push(await this.buildContentFilterPayload(deviceId, settings, isWebOnly));
+    profile.PayloadContent.push(await this.buildContentFilterPayload(deviceId, settings, isWebOnly, phase));
     
-    // Add restrictions payload (for Level 2+)
-    if (securityLevel >= 2) {
+    // Add safe search DNS payload when the user has safe search on
+    if (isSafeSearchEnabled(settings)) {
+      const dnsPayloadUUID = derivePayloadUUID(deviceId, 'supervision', 'com.apple.dnsSettings.managed');
+      profile.PayloadContent.push(buildSafeSearchDNSPayload(deviceId, dnsPayloadUUID));
+    }
+    
+    // Add restrictions payload (for Level 2+, or whenever the user has app rules)
+    if (securityLevel >= 2 || this.compileBlockedApps(settings, securityLevel).length > 0) {
       profile.PayloadContent.push(this.buildRestrictionsPayload(deviceId, settings, securityLevel));
     }
     
@@ -471,14 +519,41 @@ class AltriiMDMServer {
       profile.PayloadContent.push(this.buildSecurityPayload(deviceId, securityLevel));
     }
 
+    // Add removal password payload (only passed for profiles pushed over MDM, never for downloads)
+    if (removalPassword) {
+      const passwordPayloadUUID = derivePayloadUUID(deviceId, 'supervision', 'com.apple.profileRemovalPassword');
+      profile.PayloadContent.push(buildRemovalPasswordPayload(deviceId, passwordPayloadUUID, removalPassword));
+    }
+
     return profile;
   }
 
+  // Removal password for a profile pushed to a supervised device while a timer commitment locks it.
+  // Returns null when none applies, or when passwords aren't configured - the profile still goes out.
+  async getRemovalPassword(device) {
+    if (!device.supervised) {
+      return null;
+    }
+
+    const lockCheck = await checkSettingsLocked(device.user_id, device.device_record_id);
+    if (!lockCheck.locked) {
+      return null;
+    }
+
+    const passwordResult = await getProfileRemovalPassword(device.device_record_id);
+    if (!passwordResult.success) {
+      console.warn(`Pushing profile to device ${device.device_uuid} without a removal password: ${passwordResult.error}`);
+      return null;
+    }
+
+    return passwordResult.password;
+  }
+
   buildMDMPayload(deviceId, deviceRecord) {
     return {
       PayloadType: 'com.apple.mdm',
       PayloadIdentifier: `com.altriirecovery.mdm.${deviceId}`,
-      PayloadUUID: uuidv4(),
+      PayloadUUID: derivePayloadUUID(deviceId, 'supervision', 'com.apple.mdm'),
       PayloadVersion: 1,
       PayloadDisplayName: 'Altrii Recovery MDM',
       
@@ -504,18 +579,18 @@ class AltriiMDMServer {
     };
   }
 
-  async buildContentFilterPayload(deviceId, settings, isWebOnly) {
-    const blockedDomains = await this.compileBlockedDomains(settings);
+  async buildContentFilterPayload(deviceId, settings, isWebOnly, phase = SCHEDULE_PHASES.DAY) {
+    const blockedDomains = await this.compileBlockedDomains(settings, phase);
     
     return {
       PayloadType: 'com.apple.webcontent-filter',
       PayloadIdentifier: `com.altriirecovery.contentfilter.${deviceId}`,
-      PayloadUUID: uuidv4(),
+      PayloadUUID: derivePayloadUUID(deviceId, 'supervision', 'com.apple.webcontent-filter'),
       PayloadVersion: 1,
       PayloadDisplayName: 'Altrii Recovery Content Filter',
       
       FilterType: 'BuiltIn',
-      AutoFilterEnabled: true,
+      AutoFilterEnabled: isSafeSearchEnabled(settings),
       FilterBrowsers: true,
       FilterSockets: true,
       
@@ -528,7 +603,7 @@ class AltriiMDMServer {
         'www.altriirecovery.com',
         'app.altriirecovery.com',
         'api.altriirecovery.com',
-        ...(settings.customAllowedDomains || [])
+        ...normalizeDomainList(settings.custom_allowed_domains).map(toFilterEntry)
       ],
       
       // For web-only, ensure Safari restrictions are strict
@@ -548,7 +623,7 @@ class AltriiMDMServer {
     const baseRestrictions = {
       PayloadType: 'com.apple.applicationaccess',
       PayloadIdentifier: `com.altriirecovery.restrictions.${deviceId}`,
-      PayloadUUID: uuidv4(),
+      PayloadUUID: derivePayloadUUID(deviceId, 'supervision', 'com.apple.applicationaccess'),
       PayloadVersion: 1,
       PayloadDisplayName: 'Altrii Recovery Restrictions'
     };
@@ -568,17 +643,7 @@ class AltriiMDMServer {
         allowVPNCreation: false,
         
         // Block specific bypass apps
-        blacklistedAppBundleIDs: [
-          'com.opera.OperaMini',
-          'com.opera.Opera-Touch',
-          'org.torproject.ios',
-          'com.tunnelbear.ios.TunnelBear',
-          'com.nordvpn.ios',
-          'com.expressvpn.ExpressVPN',
-          'com.protonvpn.ios',
-          'com.cloudflare.onedotonedotonedotone',
-          ...(settings.additionalBlockedApps || [])
-        ]
+        blacklistedAppBundleIDs: this.compileBlockedApps(settings, securityLevel)
       };
     }
 
@@ -608,35 +673,27 @@ class AltriiMDMServer {
         safariForceFraudWarning: true,
         
         // Block ALL third-party browsers and bypass apps
-        blacklistedAppBundleIDs: [
-          'com.opera.OperaMini',
-          'com.opera.Opera-Touch',
-          'org.torproject.ios',
-          'com.tunnelbear.ios.TunnelBear',
-          'com.nordvpn.ios',
-          'com.expressvpn.ExpressVPN',
-          'com.protonvpn.ios',
-          'com.cloudflare.onedotonedotonedotone',
-          'com.brave.ios.browser',
-          'com.mozilla.ios.Firefox',
-          'com.mozilla.ios.Focus',
-          'com.google.chrome.ios',
-          'com.microsoft.msedge',
-          'com.duckduckgo.mobile.ios',
-          'com.alohabrowser.alohabrowser',
-          ...(settings.additionalBlockedApps || [])
-        ]
+        blacklistedAppBundleIDs: this.compileBlockedApps(settings, securityLevel)
       };
     }
 
-    return baseRestrictions;
+    // Level 1 only restricts the apps the user has chosen to block
+    return {
+      ...baseRestrictions,
+      blacklistedAppBundleIDs: this.compileBlockedApps(settings, securityLevel)
+    };
+  }
+
+  // Bypass apps for the security level plus the user's own app rules
+  compileBlockedApps(settings, securityLevel) {
+    return getEnforcedBundleIds(settings, securityLevel, settings.additionalBlockedApps || []);
   }
 
   buildSecurityPayload(deviceId, securityLevel) {
     const payload = {
       PayloadType: 'com.apple.security',
       PayloadIdentifier: `com.altriirecovery.security.${deviceId}`,
-      PayloadUUID: uuidv4(),
+      PayloadUUID: derivePayloadUUID(deviceId, 'supervision', 'com.apple.security'),
       PayloadVersion: 1,
       PayloadDisplayName: 'Altrii Recovery Security'
     };
@@ -677,39 +734,11 @@ class AltriiMDMServer {
     const { commandType, parameters } = req.body;
     
     try {
-      const command = this.buildCommand(commandType, parameters);
-      
-      // Store in database
-      const device = await db.query(
-        'SELECT id FROM device_profiles WHERE profile_uuid = $1',
-        [deviceId]
-      );
+      const command = await this.queueCommand(deviceId, commandType, parameters);
 
-      if (device.rows.length === 0) {
+      if (!command) {
         return res.status(404).json({ error: 'Device not found' });
       }
-
-      await db.query(`
-        INSERT INTO mdm_commands
-        (device_id, command_uuid, command_type, command_data, status)
-        VALUES ($1, $2, $3, $4, 'pending')
-      `, [
-        device.rows[0].id,
-        command.CommandUUID,
-        commandType,
-        JSON.stringify(command)
-      ]);
-      
-      // Add to pending commands
-      const deviceCommands = this.pendingCommands.get(deviceId) || [];
-      deviceCommands.push(command);
-      this.pendingCommands.set(deviceId, deviceCommands);
-      
-      // Send push notification to wake device
-      const session = this.deviceSessions.get(deviceId);
-      if (session && session.pushToken) {
-        await this.sendPushNotification(deviceId, session.pushToken, session.pushMagic);
-      }
       
       res.json({
         commandUUID: command.CommandUUID,
@@ -722,6 +751,113 @@ class AltriiMDMServer {
     }
   }
 
+  // Store a command for a device and wake it with a push; returns null if the device is unknown
+  async queueCommand(deviceId, commandType, parameters) {
+    const command = this.buildCommand(commandType, parameters);
+    
+    const device = await pool.query(
+      'SELECT id FROM device_profiles WHERE profile_uuid = $1',
+      [deviceId]
+    );
+
+    if (device.rows.length === 0) {
+      return null;
+    }
+
+    await pool.query(`
+      INSERT INTO mdm_commands
+      (device_id, command_uuid, command_type, command_data, status)
+      VALUES ($1, $2, $3, $4, 'pending')
+    `, [
+      device.rows[0].id,
+      command.CommandUUID,
+      commandType,
+      JSON.stringify(command)
+    ]);
+    
+    // Add to pending commands
+    const deviceCommands = this.pendingCommands.get(deviceId) || [];
+    deviceCommands.push(command);
+    this.pendingCommands.set(deviceId, deviceCommands);
+    
+    // Send push notification to wake device
+    const session = this.deviceSessions.get(deviceId);
+    if (session && session.pushToken) {
+      await this.sendPushNotification(deviceId, session.pushToken, session.pushMagic);
+    }
+
+    return command;
+  }
+
+  // Swap supervision profiles on enrolled devices whose schedule has moved into a new phase,
+  // or whose profile was flagged outdated (e.g. a temporary access grant started or ended)
+  async processScheduleBoundaries() {
+    try {
+      const devices = await pool.query(`
+        SELECT
+          dp.id AS device_record_id, dp.user_id, dp.profile_uuid AS device_uuid, dp.schedule_phase,
+          dp.profile_outdated, dp.profile_revision, sp.profile_uuid AS supervision_profile_uuid, sp.security_level,
+          COALESCE(ms.supervised, false) AS supervised
+        FROM device_profiles dp
+        JOIN supervision_profiles sp ON sp.device_id = dp.id
+        LEFT JOIN mdm_device_sessions ms ON ms.device_id = dp.id
+        WHERE dp.mdm_enrolled = true AND dp.device_status = 'active'
+      `);
+
+      for (const device of devices.rows) {
+        // Device overrides layered over the user's defaults
+        const { row: settings } = await getEffectiveSettingsRow(device.user_id, device.device_record_id);
+        const row = { ...settings, ...device };
+        const phase = getSchedulePhase(getScheduleFromSettings(row));
+        const phaseChanged = phase !== (row.schedule_phase || SCHEDULE_PHASES.DAY);
+
+        if (!phaseChanged && !row.profile_outdated) {
+          continue;
+        }
+
+        const profile = await this.buildSupervisionProfile({
+          deviceId: row.device_uuid,
+          profileUUID: row.supervision_profile_uuid,
+          settings: row,
+          securityLevel: row.security_level,
+          isWebOnly: true,
+          deviceRecord: row,
+          phase,
+          removalPassword: await this.getRemovalPassword(row)
+        });
+
+        const signedProfile = await this.signProfile(profile);
+        await this.queueCommand(row.device_uuid, 'InstallProfile', { profileData: signedProfile });
+
+        // Settings changed while this profile was being built stay flagged for the next check
+        await pool.query(
+          `UPDATE device_profiles
+           SET schedule_phase = $1, schedule_phase_changed_at = NOW(),
+               downloaded_profile_revision = $3, profile_downloaded_at = NOW(),
+               profile_outdated = profile_revision > $3,
+               profile_outdated_at = CASE WHEN profile_revision > $3 THEN profile_outdated_at END
+           WHERE id = $2`,
+          [phase, row.device_record_id, row.profile_revision]
+        );
+
+        if (!phaseChanged) {
+          await this.logDeviceEvent(row.device_record_id, 'profile_refreshed', { phase });
+          console.log(`Re-pushed outdated ${phase} profile to device ${row.device_uuid}`);
+          continue;
+        }
+
+        await this.logDeviceEvent(row.device_record_id, 'schedule_phase_changed', {
+          from: row.schedule_phase,
+          to: phase
+        });
+
+        console.log(`Schedule switched device ${row.device_uuid} to ${phase} profile`);
+      }
+    } catch (error) {
+      console.error('Schedule boundary check error:', error);
+    }
+  }
+
   buildCommand(type, parameters = {}) {
     const command = {
       CommandUUID: uuidv4(),
@@ -835,35 +971,30 @@ class AltriiMDMServer {
     return commands.length > 0 ? commands[0] : null;
   }
 
-  async compileBlockedDomains(settings) {
+  async compileBlockedDomains(settings, phase = SCHEDULE_PHASES.DAY) {
     const domains = [];
     
-    // Get category-based domains from database
-    const categories = [];
-    if (settings.block_adult_content) categories.push('adult');
-    if (settings.block_gambling) categories.push('gambling');
-    if (settings.block_social_media) categories.push('social_media');
-    if (settings.block_gaming) categories.push('gaming');
-    if (settings.block_news) categories.push('news');
-    if (settings.block_entertainment) categories.push('entertainment');
-    if (settings.block_shopping) categories.push('shopping');
-    if (settings.block_dating) categories.push('dating');
+    // Get category-based domains from the shared domain catalogue (every category outside allowed hours)
+    const selectedCategories = getBlockedCategories(settings);
+    const categories = getCategoriesInForce(selectedCategories, phase);
 
     if (categories.length > 0) {
-      const categoryDomains = await db.query(
-        'SELECT domain FROM blocked_domains WHERE category = ANY($1)',
-        [categories]
-      );
-      domains.push(...categoryDomains.rows.map(r => r.domain));
+      domains.push(...await getDomainsForCategories(categories));
     }
     
     // Add custom blocked domains
-    if (settings.custom_blocked_domains && Array.isArray(settings.custom_blocked_domains)) {
-      domains.push(...settings.custom_blocked_domains);
+    if (Array.isArray(settings.custom_blocked_domains)) {
+      domains.push(...normalizeDomainList(settings.custom_blocked_domains));
     }
     
-    // Remove duplicates and filter out Altrii domains
-    const uniqueDomains = [...new Set(domains)].filter(domain => 
+    // Apply allow-list exceptions with the same subdomain/wildcard semantics as the web-filter profile
+    const { blocked } = resolveDomainRules(domains, normalizeDomainList(settings.custom_allowed_domains));
+    
+    // Remove duplicates, add URL prefix rules and filter out Altrii domains
+    const uniqueDomains = [
+      ...new Set(blocked.map(toFilterEntry)),
+      ...getUrlPrefixFilterEntries(settings)
+    ].filter(domain => 
       !domain.includes('altriirecovery.com')
     );
     
@@ -872,62 +1003,36 @@ class AltriiMDMServer {
 
   async getBaselinePermittedURLs() {
     // Essential services that should always be accessible
-    return [
-      'apple.com',
-      'icloud.com',
-      'icloud-content.com',
-      'cdn-apple.com',
-      'mzstatic.com',
-      'altriirecovery.com',
-      'www.altriirecovery.com',
-      'app.altriirecovery.com',
-      'api.altriirecovery.com',
-      'emergency.gov',
-      '911.gov',
-      'suicidepreventionlifeline.org',
-      'crisistextline.org'
-    ];
+    return [...BASELINE_PERMITTED_DOMAINS];
+  }
+
+  // Signing paths from the server config, falling back to the shared PROFILE_SIGNING_* settings
+  getSigningConfig() {
+    return getSigningConfig({
+      certPath: this.config.signingCertPath,
+      keyPath: this.config.signingKeyPath,
+      chainPath: this.config.signingChainPath,
+      passphrase: this.config.signingKeyPassphrase
+    });
   }
 
   async signProfile(profile) {
     // Convert profile to plist
     const plistData = plist.build(profile);
+    const signingConfig = this.getSigningConfig();
     
     // If no signing certificates available, return unsigned
-    if (!this.config.signingCertificate || !this.config.signingKey) {
+    if (!isSigningConfigured(signingConfig)) {
       console.warn('No signing certificates available - returning unsigned profile');
       return plistData;
     }
 
     try {
-      // Sign the profile using node-forge
-      const p7 = forge.pkcs7.createSignedData();
-      p7.content = forge.util.createBuffer(plistData);
-      
-      p7.addCertificate(this.config.signingCertificate);
-      p7.addSigner({
-        key: this.config.signingKey,
-        certificate: this.config.signingCertificate,
-        digestAlgorithm: forge.pki.oids.sha256,
-        authenticatedAttributes: [{
-          type: forge.pki.oids.contentType,
-          value: forge.pki.oids.data
-        }, {
-          type: forge.pki.oids.messageDigest
-        }, {
-          type: forge.pki.oids.signingTime,
-          value: new Date()
-        }]
-      });
-
-      p7.sign();
-      
-      // Convert to DER format
-      const asn1 = forge.asn1.toDer(p7.toAsn1());
-      return Buffer.from(asn1.getBytes(), 'binary');
+      const credentials = await loadSigningCredentials(signingConfig);
+      return signProfileData(plistData, credentials);
       
     } catch (error) {
-      console.error('Profile signing failed:', error);
+      console.error('Profile signing failed:', error.message);
       return plistData; // Return unsigned on error
     }
   }
@@ -998,6 +1103,13 @@ class AltriiMDMServer {
       );
       const blockedBundleIds = new Set(blockedApps.rows.map(r => r.bundle_identifier));
 
+      // Plus the apps the device's owner has blocked in their settings
+      const owner = await pool.query('SELECT user_id FROM device_profiles WHERE id = $1', [deviceId]);
+      if (owner.rows.length > 0) {
+        const { row: settings } = await getEffectiveSettingsRow(owner.rows[0].user_id, deviceId);
+        getBlockedBundleIds(settings).forEach(bundleId => blockedBundleIds.add(bundleId));
+      }
+
       // Insert app inventory
       for (const app of apps) {
         const isBlocked = blockedBundleIds.has(app.BundleIdentifier);
@@ -1272,20 +1384,18 @@ class AltriiMDMServer {
     }
   }
 
-  // Load signing certificates if available
+  // Check the signing certificates at startup, so a bad certificate shows up in the logs
+  // before the first profile goes out. They are reloaded when the files change.
   async loadSigningCertificates() {
-    if (!this.config.signingCertPath || !this.config.signingKeyPath) {
+    const signingConfig = this.getSigningConfig();
+
+    if (!isSigningConfigured(signingConfig)) {
       return;
     }
 
     try {
-      const certPem = await fs.promises.readFile(this.config.signingCertPath, 'utf8');
-      const keyPem = await fs.promises.readFile(this.config.signingKeyPath, 'utf8');
-      
-      this.config.signingCertificate = forge.pki.certificateFromPem(certPem);
-      this.config.signingKey = forge.pki.privateKeyFromPem(keyPem);
-      
-      console.log('Signing certificates loaded successfully');
+      const credentials = await loadSigningCredentials(signingConfig);
+      console.log(`Signing certificates loaded successfully (${credentials.subject}, expires ${credentials.expiresAt.toISOString()})`);
     } catch (error) {
       console.warn('Failed to load signing certificates:', error.message);
     }
@@ -1295,6 +1405,9 @@ class AltriiMDMServer {
   async start() {
     // Load certificates if available
     await this.loadSigningCertificates();
+
+    // Swap profiles at schedule boundaries
+    this.scheduleTimer = setInterval(() => this.processScheduleBoundaries(), SCHEDULE_CHECK_INTERVAL_MS);
     
     const port = this.config.port || 3001;
     
@@ -1320,6 +1433,11 @@ class AltriiMDMServer {
   async shutdown() {
     console.log('Shutting down MDM server...');
     
+    // Stop schedule checks
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+    }
+    
     // Close APNS provider
     if (this.apnProvider) {
       this.apnProvider.shutdown();
@@ -1361,7 +1479,8 @@ if (require.main === module) {
     
     // Signing certificates (optional)
     signingCertPath: process.env.MDM_SIGNING_CERT_PATH,
-    signingKeyPath: process.env.MDM_SIGNING_KEY_PATH
+    signingKeyPath: process.env.MDM_SIGNING_KEY_PATH,
+    signingChainPath: process.env.MDM_SIGNING_CHAIN_PATH
   };
   
   const server = new AltriiMDMServer(config);
@@ -0,0 +1,77 @@
+-- Versioned domain category catalogue shared by the web-filter profile builder and the MDM content filter
+
+CREATE TABLE IF NOT EXISTS domain_catalogue_versions (
+  version SERIAL PRIMARY KEY,
+  change_summary TEXT,
+  changed_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS blocked_domains (
+  id SERIAL PRIMARY KEY,
+  domain VARCHAR(253) NOT NULL,
+  category VARCHAR(50) NOT NULL
+);
+
+ALTER TABLE blocked_domains ADD COLUMN IF NOT EXISTS source VARCHAR(100) NOT NULL DEFAULT 'manual';
+ALTER TABLE blocked_domains ADD COLUMN IF NOT EXISTS confidence NUMERIC(3, 2) NOT NULL DEFAULT 1.00;
+ALTER TABLE blocked_domains ADD COLUMN IF NOT EXISTS added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE blocked_domains ADD COLUMN IF NOT EXISTS added_in_version INTEGER;
+ALTER TABLE blocked_domains ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP;
+ALTER TABLE blocked_domains ADD COLUMN IF NOT EXISTS retired_in_version INTEGER;
+ALTER TABLE blocked_domains ADD COLUMN IF NOT EXISTS retired_reason TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS blocked_domains_domain_category_idx ON blocked_domains (domain, category);
+CREATE INDEX IF NOT EXISTS blocked_domains_active_category_idx ON blocked_domains (category) WHERE retired_at IS NULL;
+
+-- Seed the catalogue with the domains that used to be hardcoded in services/profile.js
+INSERT INTO domain_catalogue_versions (change_summary) VALUES ('Initial catalogue seeded from CORE_BLOCKED_DOMAINS');
+
+INSERT INTO blocked_domains (domain, category, source, confidence, added_in_version)
+SELECT seed.domain, seed.category, 'core', 1.00, (SELECT MAX(version) FROM domain_catalogue_versions)
+FROM (VALUES
+  ('pornhub.com', 'adult_content'), ('xvideos.com', 'adult_content'), ('xnxx.com', 'adult_content'),
+  ('redtube.com', 'adult_content'), ('youporn.com', 'adult_content'), ('tube8.com', 'adult_content'),
+  ('spankbang.com', 'adult_content'), ('xhamster.com', 'adult_content'), ('beeg.com', 'adult_content'),
+  ('chaturbate.com', 'adult_content'), ('onlyfans.com', 'adult_content'), ('cam4.com', 'adult_content'),
+  ('livejasmin.com', 'adult_content'), ('stripchat.com', 'adult_content'), ('bongacams.com', 'adult_content'),
+
+  ('bet365.com', 'gambling'), ('ladbrokes.com', 'gambling'), ('williamhill.com', 'gambling'),
+  ('paddypower.com', 'gambling'), ('coral.co.uk', 'gambling'), ('betfair.com', 'gambling'),
+  ('skybet.com', 'gambling'), ('888casino.com', 'gambling'), ('betway.com', 'gambling'),
+  ('unibet.com', 'gambling'), ('pokerstars.com', 'gambling'), ('partypoker.com', 'gambling'),
+  ('casino.com', 'gambling'), ('betfred.com', 'gambling'), ('virgin.bet', 'gambling'),
+
+  ('facebook.com', 'social_media'), ('instagram.com', 'social_media'), ('tiktok.com', 'social_media'),
+  ('twitter.com', 'social_media'), ('x.com', 'social_media'), ('snapchat.com', 'social_media'),
+  ('linkedin.com', 'social_media'), ('pinterest.com', 'social_media'), ('reddit.com', 'social_media'),
+  ('tumblr.com', 'social_media'), ('discord.com', 'social_media'), ('telegram.org', 'social_media'),
+  ('whatsapp.com', 'social_media'), ('messenger.com', 'social_media'), ('skype.com', 'social_media'),
+
+  ('steam.com', 'gaming'), ('twitch.tv', 'gaming'), ('roblox.com', 'gaming'),
+  ('minecraft.net', 'gaming'), ('epicgames.com', 'gaming'), ('battlenet.com', 'gaming'),
+  ('origin.com', 'gaming'), ('uplay.com', 'gaming'), ('xbox.com', 'gaming'),
+  ('playstation.com', 'gaming'), ('nintendo.com', 'gaming'), ('riot.games', 'gaming'),
+  ('valorant.com', 'gaming'), ('leagueoflegends.com', 'gaming'), ('fortnite.com', 'gaming'),
+
+  ('tinder.com', 'dating'), ('bumble.com', 'dating'), ('hinge.co', 'dating'),
+  ('match.com', 'dating'), ('eharmony.com', 'dating'), ('pof.com', 'dating'),
+  ('okcupid.com', 'dating'), ('badoo.com', 'dating'), ('grindr.com', 'dating'),
+  ('zoosk.com', 'dating'),
+
+  ('bbc.co.uk', 'news'), ('cnn.com', 'news'), ('theguardian.com', 'news'),
+  ('dailymail.co.uk', 'news'), ('telegraph.co.uk', 'news'), ('independent.co.uk', 'news'),
+  ('sky.com', 'news'), ('metro.co.uk', 'news'), ('mirror.co.uk', 'news'),
+  ('express.co.uk', 'news'),
+
+  ('netflix.com', 'entertainment'), ('youtube.com', 'entertainment'), ('prime.amazon.com', 'entertainment'),
+  ('disney.com', 'entertainment'), ('hulu.com', 'entertainment'), ('hbomax.com', 'entertainment'),
+  ('paramount.com', 'entertainment'), ('spotify.com', 'entertainment'), ('tv.apple.com', 'entertainment'),
+  ('crunchyroll.com', 'entertainment'),
+
+  ('amazon.com', 'shopping'), ('amazon.co.uk', 'shopping'), ('ebay.com', 'shopping'),
+  ('ebay.co.uk', 'shopping'), ('etsy.com', 'shopping'), ('asos.com', 'shopping'),
+  ('next.co.uk', 'shopping'), ('argos.co.uk', 'shopping'), ('currys.co.uk', 'shopping'),
+  ('johnlewis.com', 'shopping')
+) AS seed (domain, category)
+ON CONFLICT (domain, category) DO NOTHING;
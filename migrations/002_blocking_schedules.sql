@@ -0,0 +1,6 @@
+-- Time-based blocking schedules: the timezone a schedule is evaluated in, and the phase last pushed to each device
+
+ALTER TABLE blocking_settings ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+ALTER TABLE device_profiles ADD COLUMN IF NOT EXISTS schedule_phase VARCHAR(10);
+ALTER TABLE device_profiles ADD COLUMN IF NOT EXISTS schedule_phase_changed_at TIMESTAMP;
@@ -0,0 +1,18 @@
+-- Named blocking presets: user-defined bundles of settings (built-in presets live in services/presets.js)
+
+CREATE TABLE IF NOT EXISTS blocking_presets (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  preset_key VARCHAR(64) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  settings JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS blocking_presets_user_key_idx ON blocking_presets (user_id, preset_key);
+
+-- Which preset a settings row was last applied from, so drift can be detected
+ALTER TABLE blocking_settings ADD COLUMN IF NOT EXISTS preset_key VARCHAR(64);
+ALTER TABLE blocking_settings ADD COLUMN IF NOT EXISTS preset_applied_at TIMESTAMP;
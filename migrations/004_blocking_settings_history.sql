@@ -0,0 +1,20 @@
+-- Append-only history of blocking settings revisions, used for diffs and rollback
+
+CREATE TABLE IF NOT EXISTS blocking_settings_history (
+  id SERIAL PRIMARY KEY,
+  settings_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  device_id INTEGER,
+  settings_version INTEGER,
+  settings_snapshot JSONB NOT NULL,
+  changed_by INTEGER,
+  change_source VARCHAR(100) NOT NULL DEFAULT 'api',
+  client_ip VARCHAR(45),
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS blocking_settings_history_user_idx ON blocking_settings_history (user_id, device_id, created_at DESC);
+
+-- Rows written before history existed may not carry a version yet
+UPDATE blocking_settings SET settings_version = 1 WHERE settings_version IS NULL;
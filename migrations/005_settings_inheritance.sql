@@ -0,0 +1,17 @@
+-- Settings inheritance: device rows override only the fields they list, and device profiles track when they fall out of date
+
+ALTER TABLE blocking_settings ADD COLUMN IF NOT EXISTS overridden_fields TEXT[] NOT NULL DEFAULT '{}';
+
+-- Existing device rows were saved in full, so keep every field they hold as an override
+UPDATE blocking_settings
+SET overridden_fields = ARRAY[
+  'block_adult_content', 'block_gambling', 'block_social_media', 'block_gaming',
+  'block_news', 'block_entertainment', 'block_shopping', 'block_dating',
+  'custom_blocked_domains', 'custom_allowed_domains',
+  'enable_time_restrictions', 'allowed_hours_start', 'allowed_hours_end', 'blocked_days', 'timezone',
+  'enable_safe_search', 'block_explicit_content'
+]
+WHERE device_id IS NOT NULL AND overridden_fields = '{}';
+
+ALTER TABLE device_profiles ADD COLUMN IF NOT EXISTS profile_outdated BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE device_profiles ADD COLUMN IF NOT EXISTS profile_outdated_at TIMESTAMP;
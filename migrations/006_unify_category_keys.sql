@@ -0,0 +1,20 @@
+-- Unify content category keys on the registry in services/categories.js (adult -> adult_content, social -> social_media)
+
+-- blocking_settings rows need no rewrite: categories are stored as block_<key> boolean columns
+-- (block_adult_content, block_social_media, ...), which already use the registry keys. The legacy
+-- "adult"/"social" keys only existed in the API payloads of the old routes/blocking.js, which mapped
+-- them onto those columns before saving, and in blocking_presets / blocking_settings_history, which
+-- snapshot the same columns. The catalogue is the only stored data carrying the legacy keys, because
+-- the old MDM compiler queried blocked_domains with them.
+
+-- Drop legacy rows whose domain is already catalogued under the current key
+DELETE FROM blocked_domains legacy
+USING blocked_domains current_entry
+WHERE current_entry.domain = legacy.domain
+  AND (
+    (legacy.category = 'adult' AND current_entry.category = 'adult_content') OR
+    (legacy.category = 'social' AND current_entry.category = 'social_media')
+  );
+
+UPDATE blocked_domains SET category = 'adult_content' WHERE category = 'adult';
+UPDATE blocked_domains SET category = 'social_media' WHERE category = 'social';
@@ -0,0 +1,4 @@
+-- Per-app blocking rules: app categories (services/apps.js) and individual bundle IDs blocked on supervised devices
+
+ALTER TABLE blocking_settings ADD COLUMN IF NOT EXISTS blocked_app_categories TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE blocking_settings ADD COLUMN IF NOT EXISTS custom_blocked_apps TEXT[] NOT NULL DEFAULT '{}';
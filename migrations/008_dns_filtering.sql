@@ -0,0 +1,8 @@
+-- Encrypted DNS filtering: per-setting toggle for the DoH/DoT payload and the per-user key the resolver identifies users by
+
+ALTER TABLE blocking_settings ADD COLUMN IF NOT EXISTS enable_dns_filtering BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS dns_resolver_key VARCHAR(32);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS dns_resolver_key_created_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_dns_resolver_key ON users (dns_resolver_key);
@@ -0,0 +1,18 @@
+-- Temporary access requests made from the hosted block page, optionally forwarded to the device's supervisor
+
+CREATE TABLE IF NOT EXISTS access_requests (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  device_id INTEGER,
+  hostname VARCHAR(253) NOT NULL,
+  url TEXT NOT NULL,
+  reason TEXT,
+  matched_rule JSONB,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  supervisor_email VARCHAR(255),
+  supervisor_notified_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS access_requests_user_idx ON access_requests (user_id, device_id, created_at DESC);
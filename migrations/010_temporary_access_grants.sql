@@ -0,0 +1,26 @@
+-- Time-boxed allow grants: a domain allowed on one device for a set duration, expired by a background job
+
+CREATE TABLE IF NOT EXISTS temporary_access_grants (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  device_id INTEGER NOT NULL,
+  domain VARCHAR(253) NOT NULL,
+  reason TEXT NOT NULL,
+  duration_minutes INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  access_request_id INTEGER,
+  supervisor_email VARCHAR(255),
+  approval_token_hash VARCHAR(64),
+  approval_expires_at TIMESTAMP,
+  approved_at TIMESTAMP,
+  created_by INTEGER,
+  ended_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS temporary_access_grants_device_idx ON temporary_access_grants (device_id, status, ends_at);
+CREATE INDEX IF NOT EXISTS temporary_access_grants_user_idx ON temporary_access_grants (user_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS temporary_access_grants_token_idx ON temporary_access_grants (approval_token_hash);
@@ -0,0 +1,4 @@
+-- URL rules finer or broader than a domain: blocked URL prefixes ("reddit.com/r/example") and blocked keywords
+
+ALTER TABLE blocking_settings ADD COLUMN IF NOT EXISTS blocked_url_prefixes TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE blocking_settings ADD COLUMN IF NOT EXISTS blocked_keywords TEXT[] NOT NULL DEFAULT '{}';
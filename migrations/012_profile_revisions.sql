@@ -0,0 +1,5 @@
+-- Profile revisions: every settings change that outdates a device's profile bumps its revision, and downloads record the revision they served
+
+ALTER TABLE device_profiles ADD COLUMN IF NOT EXISTS profile_revision INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE device_profiles ADD COLUMN IF NOT EXISTS downloaded_profile_revision INTEGER;
+ALTER TABLE device_profiles ADD COLUMN IF NOT EXISTS profile_downloaded_at TIMESTAMP;
@@ -0,0 +1,9 @@
+-- Profile removal passwords: one per device, AES-256-GCM encrypted, shown to the user only after their timer ends
+
+CREATE TABLE IF NOT EXISTS profile_removal_passwords (
+  device_id INTEGER PRIMARY KEY,
+  encrypted_password TEXT NOT NULL,
+  revealed_at TIMESTAMP,
+  supervisor_notified_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,19 @@
+-- One-time profile download links: short-lived, single-use URLs a device can open without signing in, with each use recorded
+
+CREATE TABLE IF NOT EXISTS profile_download_links (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  device_id INTEGER NOT NULL,
+  token_hash VARCHAR(64) NOT NULL,
+  phase VARCHAR(10),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  used_ip VARCHAR(45),
+  used_user_agent TEXT,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS profile_download_links_token_idx ON profile_download_links (token_hash);
+CREATE INDEX IF NOT EXISTS profile_download_links_device_idx ON profile_download_links (device_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS profile_download_links_user_idx ON profile_download_links (user_id, created_at DESC);
@@ -0,0 +1,13 @@
+-- Per-device DNS resolver keys, so the resolver applies a device's own overrides and temporary access grants
+
+ALTER TABLE device_profiles ADD COLUMN IF NOT EXISTS dns_resolver_key VARCHAR(32);
+ALTER TABLE device_profiles ADD COLUMN IF NOT EXISTS dns_resolver_key_created_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_device_profiles_dns_resolver_key ON device_profiles (dns_resolver_key);
+
+-- Installed profiles still carry the user-level key, which only resolves to the user's defaults.
+-- Flag them so they are reinstalled (or re-pushed over MDM) with the device's own key.
+UPDATE device_profiles
+SET profile_outdated = true, profile_outdated_at = CURRENT_TIMESTAMP, profile_revision = profile_revision + 1
+WHERE device_status = 'active'
+  AND user_id IN (SELECT id FROM users WHERE dns_resolver_key IS NOT NULL);
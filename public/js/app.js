@@ -507,6 +507,7 @@ class AltriiApp {
             const timerStatus = await this.safeApiCall('/api/timers/status');
             const devicesData = await this.safeApiCall('/api/devices');
             const subscriptionData = await this.safeApiCall('/api/subscriptions/status');
+            const catalogueStats = await this.safeApiCall('/api/catalogue/stats');
 
             // Update timer status
             const timerElement = document.getElementById('timer-status');
@@ -541,6 +542,12 @@ class AltriiApp {
                 planElement.textContent = planName;
             }
             
+            // Update blocked domains count from the domain catalogue
+            const blockedDomainsElement = document.getElementById('blocked-domains');
+            if (blockedDomainsElement && catalogueStats?.totalDomains !== undefined) {
+                blockedDomainsElement.textContent = catalogueStats.totalDomains.toLocaleString();
+            }
+            
             // Reload supervision status if enabled
             if (this.supervisionEnabled) {
                 this.loadSupervisionStatus();
@@ -755,6 +762,9 @@ class AltriiApp {
                 this.populateBlockingForm(settingsData.settings);
             }
             
+            const presetsData = await this.safeApiCall('/api/blocking/presets');
+            this.renderBlockingPresets(presetsData?.presets || [], settingsData?.settings?.preset, isLocked);
+            
             // Show lock status to user
             this.updateBlockingFormStatus(isLocked, timerStatus);
             
@@ -908,14 +918,73 @@ class AltriiApp {
         }
     }
 
+    // Presets: one-click bundles of blocking settings
+    renderBlockingPresets(presets, presetStatus, isLocked = false) {
+        const container = document.getElementById('blocking-presets');
+        const statusContainer = document.getElementById('preset-status');
+        if (!container) return;
+        
+        const activeKey = presetStatus?.presetKey;
+        
+        container.innerHTML = presets.map(preset => `
+            <div class="border ${preset.key === activeKey ? 'border-blue-500 bg-blue-50' : 'border-gray-200'} rounded-md p-4 flex flex-col">
+                <div class="flex items-center justify-between mb-1">
+                    <h4 class="font-medium text-gray-900">${this.escapeHTML(preset.name)}</h4>
+                    ${preset.builtIn ? '' : '<span class="text-xs text-gray-500">Custom</span>'}
+                </div>
+                <p class="text-sm text-gray-600 flex-1 mb-3">${this.escapeHTML(preset.description || '')}</p>
+                <button class="preset-apply-btn bg-blue-600 text-white px-3 py-2 rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+                        data-preset-key="${this.escapeHTML(preset.key)}"
+                        ${isLocked ? 'disabled' : ''}>
+                    ${preset.key === activeKey ? 'Re-apply' : 'Apply'}
+                </button>
+            </div>
+        `).join('');
+        
+        if (statusContainer) {
+            if (activeKey) {
+                const drifted = presetStatus.drifted;
+                statusContainer.className = `mb-4 text-sm rounded-md p-3 ${drifted ? 'bg-yellow-50 text-yellow-800' : 'bg-green-50 text-green-800'}`;
+                statusContainer.innerHTML = drifted
+                    ? `<i class="fas fa-exclamation-triangle mr-2"></i>Based on <strong>${this.escapeHTML(presetStatus.presetName || activeKey)}</strong>, but ${presetStatus.changedSettings.length || 'some'} setting(s) have been changed since it was applied.`
+                    : `<i class="fas fa-check-circle mr-2"></i>Using the <strong>${this.escapeHTML(presetStatus.presetName)}</strong> preset.`;
+            } else {
+                statusContainer.className = 'hidden mb-4';
+            }
+        }
+        
+        container.querySelectorAll('.preset-apply-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.applyBlockingPreset(btn.getAttribute('data-preset-key'));
+            });
+        });
+    }
+
+    async applyBlockingPreset(presetKey) {
+        try {
+            const result = await this.apiCall(`/api/blocking/presets/${encodeURIComponent(presetKey)}/apply`, {
+                method: 'POST',
+                body: JSON.stringify({})
+            });
+            
+            this.showSuccess(result.message || 'Preset applied');
+            await this.loadBlockingSettings();
+            
+        } catch (error) {
+            console.error('Failed to apply preset:', error);
+            this.showNotification(error.message || 'Failed to apply preset', 'error');
+        }
+    }
+
     renderDefaultCategories(isLocked = false) {
         const container = document.getElementById('blocking-categories');
         if (!container) return;
         
         const defaultCategories = [
-            { key: 'adult', name: 'Adult Content', description: 'Block adult and explicit content', defaultEnabled: true },
+            { key: 'adult_content', name: 'Adult Content', description: 'Block adult and explicit content', defaultEnabled: true },
             { key: 'gambling', name: 'Gambling', description: 'Block gambling and betting sites', defaultEnabled: true },
-            { key: 'social', name: 'Social Media', description: 'Block social media platforms', defaultEnabled: false },
+            { key: 'social_media', name: 'Social Media', description: 'Block social media platforms', defaultEnabled: false },
             { key: 'gaming', name: 'Gaming', description: 'Block gaming websites and platforms', defaultEnabled: false }
         ];
         
@@ -926,22 +995,17 @@ class AltriiApp {
     async populateBlockingForm(settings) {
         // Populate categories
         if (settings) {
-            Object.keys(settings).forEach(key => {
-                if (key.startsWith('block_') && key !== 'custom_blocked_domains' && key !== 'custom_allowed_domains') {
-                    const categoryKey = key.replace('block_', '').replace('_content', '');
-                    const checkbox = document.getElementById(`category-${categoryKey}`);
-                    if (checkbox) {
-                        checkbox.checked = settings[key];
-                        // Update toggle visual state
-                        const slider = checkbox.nextElementSibling;
-                        if (settings[key]) {
-                            slider?.classList.remove('toggle-inactive');
-                            slider?.classList.add('toggle-active');
-                        } else {
-                            slider?.classList.remove('toggle-active');
-                            slider?.classList.add('toggle-inactive');
-                        }
-                    }
+            const blockedCategories = settings.categories || [];
+            document.querySelectorAll('#blocking-categories input[name="categories"]').forEach(checkbox => {
+                checkbox.checked = blockedCategories.includes(checkbox.value);
+                // Update toggle visual state
+                const slider = checkbox.nextElementSibling;
+                if (checkbox.checked) {
+                    slider?.classList.remove('toggle-inactive');
+                    slider?.classList.add('toggle-active');
+                } else {
+                    slider?.classList.remove('toggle-active');
+                    slider?.classList.add('toggle-inactive');
                 }
             });
             
@@ -949,12 +1013,12 @@ class AltriiApp {
             const customBlocked = document.getElementById('custom-blocked');
             const customAllowed = document.getElementById('custom-allowed');
             
-            if (customBlocked && settings.custom_blocked_domains) {
-                customBlocked.value = settings.custom_blocked_domains.join('\n');
+            if (customBlocked && settings.customBlockedDomains) {
+                customBlocked.value = settings.customBlockedDomains.join('\n');
             }
             
-            if (customAllowed && settings.custom_allowed_domains) {
-                customAllowed.value = settings.custom_allowed_domains.join('\n');
+            if (customAllowed && settings.customAllowedDomains) {
+                customAllowed.value = settings.customAllowedDomains.join('\n');
             }
         }
     }
@@ -987,16 +1051,10 @@ class AltriiApp {
         try {
             // Gather form data
             const formData = {
-                block_adult_content: document.getElementById('category-adult')?.checked || false,
-                block_gambling: document.getElementById('category-gambling')?.checked || false,
-                block_social_media: document.getElementById('category-social')?.checked || false,
-                block_gaming: document.getElementById('category-gaming')?.checked || false,
-                block_news: document.getElementById('category-news')?.checked || false,
-                block_entertainment: document.getElementById('category-entertainment')?.checked || false,
-                block_shopping: document.getElementById('category-shopping')?.checked || false,
-                block_dating: document.getElementById('category-dating')?.checked || false,
-                custom_blocked_domains: document.getElementById('custom-blocked')?.value.split('\n').filter(d => d.trim()) || [],
-                custom_allowed_domains: document.getElementById('custom-allowed')?.value.split('\n').filter(d => d.trim()) || []
+                categories: Array.from(document.querySelectorAll('#blocking-categories input[name="categories"]:checked'))
+                    .map(checkbox => checkbox.value),
+                customBlockedDomains: document.getElementById('custom-blocked')?.value.split('\n').map(d => d.trim()).filter(Boolean) || [],
+                customAllowedDomains: document.getElementById('custom-allowed')?.value.split('\n').map(d => d.trim()).filter(Boolean) || []
             };
             
             console.log('Saving blocking settings:', formData);
@@ -1755,6 +1813,16 @@ class AltriiApp {
         return planNames[planId] || planId;
     }
 
+    // Escape user-supplied text (preset names and descriptions) before it goes into innerHTML
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     getTimerStatusClass(status) {
         const statusClasses = {
             'active': 'bg-red-100 text-red-800',
@@ -1,468 +1,916 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
-const { Pool } = require('pg');
+const {
+  getBlockingSettings,
+  saveBlockingSettings,
+  deleteBlockingSettings,
+  checkSettingsLocked,
+  getAllUserBlockingSettings
+} = require('../services/blocking');
+const {
+  listPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  applyPreset,
+  getPresetStatus
+} = require('../services/presets');
+const {
+  listSettingsHistory,
+  getSettingsRevision,
+  diffSettingsRevisions,
+  rollbackSettings
+} = require('../services/history');
+const { getDeviceById } = require('../services/device');
+const {
+  CATEGORY_KEYS,
+  getCategorySettingKey,
+  validateCategoryKeys,
+  getBlockedCategories,
+  listCategories
+} = require('../services/categories');
+const {
+  normalizeBundleId,
+  getBlockedBundleIds,
+  listAppCategories
+} = require('../services/apps');
+const { ACCESS_REQUEST_STATUSES, getAccessRequests } = require('../services/accessrequests');
+const { categoriseDomain } = require('../services/categoriser');
+const {
+  GRANT_STATUSES,
+  DEFAULT_GRANT_MINUTES,
+  createGrant,
+  revokeGrant,
+  getGrants
+} = require('../services/grants');
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+// Who made a settings change and from where, for the settings history
+const getRequestContext = (req, source) => ({
+  changedBy: req.user.userId || req.user.id,
+  source,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent') || null
 });
 
-// Content categories with descriptions
-const CONTENT_CATEGORIES = [
-  {
-    key: 'adult',
-    name: 'Adult Content',
-    description: 'Block pornography, explicit content, and adult websites',
-    defaultEnabled: true
-  },
-  {
-    key: 'gambling',
-    name: 'Gambling',
-    description: 'Block gambling sites, casinos, and betting platforms',
-    defaultEnabled: true
-  },
-  {
-    key: 'social',
-    name: 'Social Media',
-    description: 'Block Facebook, Instagram, Twitter, TikTok, and other social platforms',
-    defaultEnabled: false
-  },
-  {
-    key: 'gaming',
-    name: 'Gaming',
-    description: 'Block gaming websites, online games, and gaming platforms',
-    defaultEnabled: false
-  },
-  {
-    key: 'news',
-    name: 'News',
-    description: 'Block news websites and current events platforms',
-    defaultEnabled: false
-  },
-  {
-    key: 'entertainment',
-    name: 'Entertainment',
-    description: 'Block streaming services, video platforms, and entertainment sites',
-    defaultEnabled: false
-  },
-  {
-    key: 'shopping',
-    name: 'Shopping',
-    description: 'Block e-commerce sites and online shopping platforms',
-    defaultEnabled: false
-  },
-  {
-    key: 'dating',
-    name: 'Dating',
-    description: 'Block dating apps and relationship websites',
-    defaultEnabled: false
+// Parse an optional device ID from the request and make sure the device belongs to the user
+const getOwnedDeviceId = async (userId, value) => {
+  if (value === undefined || value === null || value === '') {
+    return { deviceId: null };
   }
-];
+
+  const deviceId = parseInt(value);
+  if (isNaN(deviceId)) {
+    return { status: 400, error: 'Invalid device ID' };
+  }
+
+  const deviceResult = await getDeviceById(userId, deviceId);
+  if (!deviceResult.success) {
+    return { status: 404, error: 'Device not found' };
+  }
+
+  return { deviceId };
+};
+
+// Parse a revision ID from the request: a positive whole number, or null
+const parseRevisionId = (value) => {
+  return /^\d+$/.test(String(value ?? '')) && Number(value) > 0 ? Number(value) : null;
+};
+
+// Turn the dashboard payload ({ categories, customBlockedDomains, timeRestrictions, ... })
+// into the settings fields the service saves. Fields missing from the payload are left out
+// so the stored values are kept.
+const toSettingsData = (body) => {
+  const settingsData = {};
+
+  if (body.categories !== undefined) {
+    CATEGORY_KEYS.forEach(category => {
+      settingsData[getCategorySettingKey(category)] = body.categories.includes(category);
+    });
+  }
+
+  if (body.customBlockedDomains !== undefined) {
+    settingsData.customBlockedDomains = body.customBlockedDomains;
+  }
+
+  if (body.customAllowedDomains !== undefined) {
+    settingsData.customAllowedDomains = body.customAllowedDomains;
+  }
+
+  if (body.timeRestrictions !== undefined) {
+    const timeRestrictions = body.timeRestrictions || {};
+    settingsData.enableTimeRestrictions = Boolean(timeRestrictions.enabled);
+    settingsData.allowedHoursStart = timeRestrictions.allowedHoursStart || null;
+    settingsData.allowedHoursEnd = timeRestrictions.allowedHoursEnd || null;
+    settingsData.blockedDays = timeRestrictions.blockedDays || [];
+    if (timeRestrictions.timezone !== undefined) {
+      settingsData.timezone = timeRestrictions.timezone;
+    }
+  }
+
+  [
+    'blockedUrlPrefixes', 'blockedKeywords', 'enableSafeSearch', 'blockExplicitContent',
+    'blockedAppCategories', 'customBlockedApps', 'enableDnsFiltering', 'inheritFields'
+  ].forEach(field => {
+    if (body[field] !== undefined) {
+      settingsData[field] = body[field];
+    }
+  });
+
+  return settingsData;
+};
+
+// Format service settings in the shape the dashboard reads
+const formatSettings = (settings, lockCheck = { locked: false }) => ({
+  id: settings.id,
+  deviceId: settings.deviceId,
+  isDefault: settings.isDefault,
+  categories: getBlockedCategories(settings),
+  customBlockedDomains: settings.customBlockedDomains,
+  // Temporary grants are listed separately so a dashboard save doesn't make them permanent
+  customAllowedDomains: settings.customAllowedDomains
+    .filter(domain => !(settings.temporaryAllowedDomains || []).includes(domain)),
+  temporaryAllowedDomains: settings.temporaryAllowedDomains || [],
+  blockedUrlPrefixes: settings.blockedUrlPrefixes,
+  blockedKeywords: settings.blockedKeywords,
+  timeRestrictions: settings.enableTimeRestrictions ? {
+    enabled: settings.enableTimeRestrictions,
+    allowedHoursStart: settings.allowedHoursStart,
+    allowedHoursEnd: settings.allowedHoursEnd,
+    blockedDays: settings.blockedDays,
+    timezone: settings.timezone
+  } : null,
+  timezone: settings.timezone,
+  enableSafeSearch: settings.enableSafeSearch,
+  blockExplicitContent: settings.blockExplicitContent,
+  blockedAppCategories: settings.blockedAppCategories,
+  customBlockedApps: settings.customBlockedApps,
+  enableDnsFiltering: settings.enableDnsFiltering,
+  enabled: !settings.settingsLocked,
+  locked: lockCheck.locked,
+  ...(lockCheck.locked && { lockInfo: lockCheck }),
+  settingsVersion: settings.settingsVersion,
+  createdAt: settings.createdAt,
+  updatedAt: settings.updatedAt
+});
+
+// Send a failed service result: validation problems and timer locks are 400s, anything else a 500
+const sendServiceError = (res, result) => {
+  return res.status(result.message ? 500 : 400).json({
+    error: result.error,
+    details: result.details,
+    lockInfo: result.lockInfo
+  });
+};
 
 // Get content categories
 router.get('/categories', (req, res) => {
+  const categories = listCategories();
   res.json({
-    categories: CONTENT_CATEGORIES,
-    total: CONTENT_CATEGORIES.length
+    categories,
+    total: categories.length
   });
 });
 
-// Get user's blocking settings - FIXED to match database schema
-router.get('/', authenticateToken, async (req, res) => {
+// Suggest a content category for a domain, e.g. before it is added as a custom domain.
+// With ?deviceId= (or for the default settings) suggestBlockingCategory says whether the
+// dashboard should offer to block that category instead.
+router.get('/categorise', authenticateToken, async (req, res) => {
   try {
-    console.log('🔍 Getting blocking settings for user:', req.user.userId || req.user.id);
-    
     const userId = req.user.userId || req.user.id;
-    
-    if (!userId) {
-      console.error('❌ No valid user ID found in GET request');
-      return res.status(401).json({ 
-        error: 'Invalid user authentication',
-        debug: { reqUser: req.user }
+
+    if (!req.query.domain) {
+      return res.status(400).json({ error: 'domain query parameter is required' });
+    }
+
+    const device = await getOwnedDeviceId(userId, req.query.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const result = await categoriseDomain(String(req.query.domain));
+
+    if (!result.success) {
+      return res.status(result.message ? 500 : 400).json({ error: result.error });
+    }
+
+    const { category, categoryName } = result.result;
+    let categoryBlocked = null;
+
+    if (category) {
+      const settingsResult = await getBlockingSettings(userId, device.deviceId);
+      if (!settingsResult.success) {
+        return res.status(500).json({ error: settingsResult.error });
+      }
+      categoryBlocked = getBlockedCategories(settingsResult.settings).includes(category);
+    }
+
+    res.json({
+      deviceId: device.deviceId,
+      ...result.result,
+      categoryBlocked,
+      suggestBlockingCategory: categoryBlocked === false,
+      message: category
+        ? categoryBlocked
+          ? `This looks like ${categoryName}, which is already blocked`
+          : `This looks like ${categoryName} - block that category instead?`
+        : null
+    });
+
+  } catch (error) {
+    console.error('❌ Categorise domain error:', error);
+    res.status(500).json({ error: 'Failed to categorise domain' });
+  }
+});
+
+// Get app categories that can be blocked as a group
+router.get('/apps/categories', (req, res) => {
+  const categories = listAppCategories();
+  res.json({
+    categories,
+    total: categories.length
+  });
+});
+
+// Get app rules for the default settings, or a device's effective app rules with ?deviceId=
+router.get('/apps', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+
+    const device = await getOwnedDeviceId(userId, req.query.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const result = await getBlockingSettings(userId, device.deviceId);
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json({
+      deviceId: device.deviceId,
+      blockedAppCategories: result.settings.blockedAppCategories,
+      customBlockedApps: result.settings.customBlockedApps,
+      blockedBundleIds: getBlockedBundleIds(result.settings)
+    });
+
+  } catch (error) {
+    console.error('❌ Get app rules error:', error);
+    res.status(500).json({ error: 'Failed to get app rules' });
+  }
+});
+
+// Block a single app by bundle ID, for the default settings or one device with { deviceId }
+router.post('/apps', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const bundleId = normalizeBundleId(req.body.bundleId);
+
+    if (!bundleId) {
+      return res.status(400).json({
+        error: 'Invalid bundle ID',
+        details: 'Bundle IDs are reverse-DNS identifiers such as com.example.app'
       });
     }
 
-    const result = await pool.query(
-      `SELECT 
-        device_id, 
-        block_adult_content, block_gambling, block_social_media, block_gaming, 
-        block_news, block_entertainment, block_shopping, block_dating,
-        custom_blocked_domains, custom_allowed_domains, 
-        enable_time_restrictions, allowed_hours_start, allowed_hours_end, blocked_days,
-        enable_safe_search, block_explicit_content, 
-        created_at, updated_at
-       FROM blocking_settings 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC LIMIT 1`,
-      [userId]
+    const device = await getOwnedDeviceId(userId, req.body.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const current = await getBlockingSettings(userId, device.deviceId);
+    if (!current.success) {
+      return res.status(500).json({ error: current.error });
+    }
+
+    const customBlockedApps = current.settings.customBlockedApps;
+    if (customBlockedApps.some(app => app.toLowerCase() === bundleId.toLowerCase())) {
+      return res.json({ message: 'App is already blocked', bundleId, customBlockedApps });
+    }
+
+    const result = await saveBlockingSettings(
+      userId,
+      device.deviceId,
+      { customBlockedApps: [...customBlockedApps, bundleId] },
+      { context: getRequestContext(req, 'app_rules') }
+    );
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.status(201).json({
+      message: 'App blocked',
+      bundleId,
+      customBlockedApps: result.settings.custom_blocked_apps
+    });
+
+  } catch (error) {
+    console.error('❌ Block app error:', error);
+    res.status(500).json({ error: 'Failed to block app' });
+  }
+});
+
+// Stop blocking a single app, for the default settings or one device with ?deviceId=
+router.delete('/apps/:bundleId', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const bundleId = req.params.bundleId.toLowerCase();
+
+    const device = await getOwnedDeviceId(userId, req.query.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const current = await getBlockingSettings(userId, device.deviceId);
+    if (!current.success) {
+      return res.status(500).json({ error: current.error });
+    }
+
+    const customBlockedApps = current.settings.customBlockedApps;
+    const remaining = customBlockedApps.filter(app => app.toLowerCase() !== bundleId);
+
+    if (remaining.length === customBlockedApps.length) {
+      return res.status(404).json({ error: 'App is not in the blocked apps list' });
+    }
+
+    const result = await saveBlockingSettings(
+      userId,
+      device.deviceId,
+      { customBlockedApps: remaining },
+      { context: getRequestContext(req, 'app_rules') }
     );
 
-    if (result.rows.length === 0) {
-      console.log('📝 No existing settings found, returning defaults');
-      // Return default settings if none exist
-      return res.json({
-        settings: {
-          categories: ['adult', 'gambling'], // Default enabled categories
-          customBlockedDomains: [],
-          customAllowedDomains: [],
-          timeRestrictions: null,
-          enabled: true
-        }
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.json({
+      message: 'App unblocked',
+      bundleId: req.params.bundleId,
+      customBlockedApps: result.settings.custom_blocked_apps
+    });
+
+  } catch (error) {
+    console.error('❌ Unblock app error:', error);
+    res.status(500).json({ error: 'Failed to unblock app' });
+  }
+});
+
+// List temporary access requests made from the block page, optionally ?deviceId= and ?status=
+router.get('/access-requests', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { status } = req.query;
+
+    if (status !== undefined && !Object.values(ACCESS_REQUEST_STATUSES).includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        validStatuses: Object.values(ACCESS_REQUEST_STATUSES)
       });
     }
 
-    const settings = result.rows[0];
+    const device = await getOwnedDeviceId(userId, req.query.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
 
-    // Convert boolean columns back to categories array
-    const categories = [];
-    if (settings.block_adult_content) categories.push('adult');
-    if (settings.block_gambling) categories.push('gambling');
-    if (settings.block_social_media) categories.push('social');
-    if (settings.block_gaming) categories.push('gaming');
-    if (settings.block_news) categories.push('news');
-    if (settings.block_entertainment) categories.push('entertainment');
-    if (settings.block_shopping) categories.push('shopping');
-    if (settings.block_dating) categories.push('dating');
+    const result = await getAccessRequests(userId, { deviceId: device.deviceId, status: status || null });
 
-    console.log('✅ Found existing settings for user');
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
 
     res.json({
-      settings: {
-        deviceId: settings.device_id,
-        categories: categories,
-        customBlockedDomains: settings.custom_blocked_domains || [],
-        customAllowedDomains: settings.custom_allowed_domains || [],
-        timeRestrictions: settings.enable_time_restrictions ? {
-          enabled: settings.enable_time_restrictions,
-          allowedHoursStart: settings.allowed_hours_start,
-          allowedHoursEnd: settings.allowed_hours_end,
-          blockedDays: settings.blocked_days || []
-        } : null,
-        enabled: !settings.settings_locked, // Use settings_locked as enabled inverse
-        createdAt: settings.created_at,
-        updatedAt: settings.updated_at
-      }
+      requests: result.requests,
+      total: result.requests.length
     });
+
   } catch (error) {
-    console.error('❌ Get blocking settings error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get blocking settings',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    console.error('❌ Get access requests error:', error);
+    res.status(500).json({ error: 'Failed to get access requests' });
+  }
+});
+
+// List temporary access grants, optionally for one device and/or status
+router.get('/grants', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { status } = req.query;
+
+    if (status !== undefined && !Object.values(GRANT_STATUSES).includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        validStatuses: Object.values(GRANT_STATUSES)
+      });
+    }
+
+    const device = await getOwnedDeviceId(userId, req.query.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const result = await getGrants(userId, { deviceId: device.deviceId, status: status || null });
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json({
+      grants: result.grants,
+      total: result.grants.length
     });
+
+  } catch (error) {
+    console.error('❌ Get grants error:', error);
+    res.status(500).json({ error: 'Failed to get temporary access grants' });
   }
 });
 
-// Save blocking settings - FIXED to match database schema
-router.post('/', authenticateToken, async (req, res) => {
+// Allow a domain on a device for a limited time. While a timer commitment locks the device,
+// the grant waits for the supervisor's approval (202) instead of starting straight away (201).
+router.post('/grants', authenticateToken, async (req, res) => {
   try {
-    console.log('🔧 === BLOCKING SETTINGS SAVE DEBUG ===');
-    console.log('👤 req.user:', req.user);
-    console.log('📝 req.body:', JSON.stringify(req.body, null, 2));
-
-    const { 
-      categories = [], 
-      customBlockedDomains = [], 
-      customAllowedDomains = [],
-      timeRestrictions = null,
-      deviceId = null,
-      enabled = true
-    } = req.body;
-
-    // Fix: Use the correct user ID field
     const userId = req.user.userId || req.user.id;
-    
-    if (!userId) {
-      console.error('❌ No valid user ID found');
-      return res.status(401).json({ 
-        error: 'Invalid user authentication',
-        debug: { reqUser: req.user }
+    const { domain, reason, accessRequestId } = req.body;
+    const durationMinutes = req.body.durationMinutes === undefined
+      ? DEFAULT_GRANT_MINUTES
+      : Number(req.body.durationMinutes);
+
+    if (req.body.deviceId === undefined || req.body.deviceId === null || req.body.deviceId === '') {
+      return res.status(400).json({ error: 'Device ID is required' });
+    }
+
+    const device = await getOwnedDeviceId(userId, req.body.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const deviceResult = await getDeviceById(userId, device.deviceId);
+
+    const result = await createGrant(userId, {
+      deviceId: device.deviceId,
+      deviceName: deviceResult.success ? deviceResult.device.deviceName : null,
+      domain,
+      durationMinutes,
+      reason,
+      accessRequestId: accessRequestId ? parseInt(accessRequestId) || null : null
+    });
+
+    if (!result.success) {
+      const status = result.message ? 500 : result.error === 'Access request not found' ? 404 : 400;
+      return res.status(status).json({
+        error: result.error,
+        lockInfo: result.lockInfo
       });
     }
 
-    console.log('✅ Using userId:', userId);
+    res.status(result.approvalRequired ? 202 : 201).json({
+      message: result.approvalRequired
+        ? 'Settings are locked - temporary access will start once the supervisor approves it'
+        : 'Temporary access granted',
+      grant: result.grant,
+      approvalRequired: result.approvalRequired,
+      supervisorNotified: result.supervisorNotified
+    });
+
+  } catch (error) {
+    console.error('❌ Create grant error:', error);
+    res.status(500).json({ error: 'Failed to grant temporary access' });
+  }
+});
+
+// End a temporary access grant early
+router.delete('/grants/:grantId', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const grantId = parseInt(req.params.grantId);
+
+    if (isNaN(grantId)) {
+      return res.status(400).json({ error: 'Invalid grant ID' });
+    }
+
+    const result = await revokeGrant(userId, grantId);
 
-    // Check timer with correct field name for your database
-    console.log('🔍 Checking for active timer...');
-    const timerCheck = await pool.query(
-      `SELECT id, end_time 
-       FROM timer_commitments 
-       WHERE user_id = $1 
-         AND status = $2 
-         AND end_time > NOW()`,
-      [userId, 'active']
-    );
+    if (!result.success) {
+      return res.status(result.message ? 500 : 404).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Temporary access revoked',
+      grant: result.grant
+    });
+
+  } catch (error) {
+    console.error('❌ Revoke grant error:', error);
+    res.status(500).json({ error: 'Failed to revoke temporary access' });
+  }
+});
+
+// List built-in and user-defined presets
+router.get('/presets', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const result = await listPresets(userId);
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json({
+      presets: result.presets,
+      total: result.presets.length
+    });
+
+  } catch (error) {
+    console.error('❌ List presets error:', error);
+    res.status(500).json({ error: 'Failed to list presets' });
+  }
+});
+
+// Which preset the default (or ?deviceId=) settings came from, and whether they've drifted
+router.get('/presets/status', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+
+    const device = await getOwnedDeviceId(userId, req.query.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const result = await getPresetStatus(userId, device.deviceId);
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json({ status: result.status });
+
+  } catch (error) {
+    console.error('❌ Preset status error:', error);
+    res.status(500).json({ error: 'Failed to get preset status' });
+  }
+});
+
+// Create a user-defined preset
+router.post('/presets', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    console.log('🎛️ Create preset request from user:', userId);
+
+    const { name, description, settings } = req.body;
+    const result = await createPreset(userId, { name, description, settings });
 
-    console.log('⏰ Timer check result:', timerCheck.rows.length, 'active timers');
-
-    if (timerCheck.rows.length > 0) {
-      const timer = timerCheck.rows[0];
-      const timeRemaining = Math.ceil((new Date(timer.end_time) - new Date()) / 1000 / 60 / 60);
-      
-      console.log('❌ Settings locked by active timer');
-      return res.status(400).json({ 
-        error: 'Settings are locked while timer is active',
-        details: `Timer has ${timeRemaining} hours remaining. Use emergency unlock if needed.`,
-        lockInfo: {
-          timerId: timer.id,
-          unlockTime: timer.end_time,
-          timeRemaining: timeRemaining
-        }
+    if (!result.success) {
+      return res.status(result.message ? 500 : 400).json({
+        error: result.error,
+        details: result.details
       });
     }
 
-    console.log('✅ No active timer found, proceeding with save');
+    res.status(201).json({
+      message: 'Preset created',
+      preset: result.preset
+    });
 
-    // Validate categories
-    const validCategories = CONTENT_CATEGORIES.map(c => c.key);
-    const invalidCategories = categories.filter(cat => !validCategories.includes(cat));
-    
-    if (invalidCategories.length > 0) {
-      console.log('❌ Invalid categories:', invalidCategories);
-      return res.status(400).json({ 
-        error: `Invalid categories: ${invalidCategories.join(', ')}`,
-        validCategories: validCategories
+  } catch (error) {
+    console.error('❌ Create preset error:', error);
+    res.status(500).json({ error: 'Failed to create preset' });
+  }
+});
+
+// Update a user-defined preset
+router.put('/presets/:presetKey', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { name, description, settings } = req.body;
+
+    const result = await updatePreset(userId, req.params.presetKey, { name, description, settings });
+
+    if (!result.success) {
+      const status = result.message ? 500 : result.error === 'Preset not found' ? 404 : 400;
+      return res.status(status).json({
+        error: result.error,
+        details: result.details
       });
     }
 
-    // Convert categories array to boolean columns
-    const categoryBooleans = {
-      block_adult_content: categories.includes('adult'),
-      block_gambling: categories.includes('gambling'),
-      block_social_media: categories.includes('social'),
-      block_gaming: categories.includes('gaming'),
-      block_news: categories.includes('news'),
-      block_entertainment: categories.includes('entertainment'),
-      block_shopping: categories.includes('shopping'),
-      block_dating: categories.includes('dating')
-    };
+    res.json({
+      message: 'Preset updated',
+      preset: result.preset
+    });
 
-    console.log('📝 Category booleans:', categoryBooleans);
+  } catch (error) {
+    console.error('❌ Update preset error:', error);
+    res.status(500).json({ error: 'Failed to update preset' });
+  }
+});
 
-    // Validate domains (basic validation)
-    const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-_.]*[a-zA-Z0-9]$/;
-    
-    const invalidBlockedDomains = customBlockedDomains.filter(domain => 
-      domain && !domainRegex.test(domain)
-    );
-    
-    const invalidAllowedDomains = customAllowedDomains.filter(domain => 
-      domain && !domainRegex.test(domain)
-    );
+// Delete a user-defined preset
+router.delete('/presets/:presetKey', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const result = await deletePreset(userId, req.params.presetKey);
+
+    if (!result.success) {
+      const status = result.message ? 500 : result.error === 'Preset not found' ? 404 : 400;
+      return res.status(status).json({ error: result.error });
+    }
+
+    res.json({ message: result.message });
 
-    if (invalidBlockedDomains.length > 0) {
-      console.log('❌ Invalid blocked domains:', invalidBlockedDomains);
-      return res.status(400).json({ 
-        error: `Invalid blocked domains: ${invalidBlockedDomains.join(', ')}` 
+  } catch (error) {
+    console.error('❌ Delete preset error:', error);
+    res.status(500).json({ error: 'Failed to delete preset' });
+  }
+});
+
+// Apply a preset to the default settings, or to one device with { deviceId }
+router.post('/presets/:presetKey/apply', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { presetKey } = req.params;
+
+    const device = await getOwnedDeviceId(userId, req.body.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const { deviceId } = device;
+
+    console.log('🎛️ Apply preset request:', presetKey, 'user:', userId, 'device:', deviceId);
+
+    const presetResult = await getPreset(userId, presetKey);
+    if (!presetResult.success) {
+      return res.status(presetResult.message ? 500 : 404).json({ error: presetResult.error });
+    }
+
+    const result = await applyPreset(userId, presetKey, deviceId, getRequestContext(req, 'preset'));
+
+    if (!result.success) {
+      return res.status(result.message ? 500 : 400).json({
+        error: result.error,
+        details: result.details,
+        lockInfo: result.lockInfo
       });
     }
 
-    if (invalidAllowedDomains.length > 0) {
-      console.log('❌ Invalid allowed domains:', invalidAllowedDomains);
-      return res.status(400).json({ 
-        error: `Invalid allowed domains: ${invalidAllowedDomains.join(', ')}` 
+    res.json({
+      message: `${result.preset.name} preset applied`,
+      preset: {
+        key: result.preset.key,
+        name: result.preset.name
+      },
+      deviceId,
+      action: result.action
+    });
+
+  } catch (error) {
+    console.error('❌ Apply preset error:', error);
+    res.status(500).json({ error: 'Failed to apply preset' });
+  }
+});
+
+// List settings revisions for the default settings, or one device with ?deviceId=
+router.get('/history', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const device = await getOwnedDeviceId(userId, req.query.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const result = await listSettingsHistory(userId, device.deviceId, { limit, offset });
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json({
+      total: result.total,
+      limit,
+      offset,
+      revisions: result.revisions
+    });
+
+  } catch (error) {
+    console.error('❌ List settings history error:', error);
+    res.status(500).json({ error: 'Failed to get settings history' });
+  }
+});
+
+// Compare two revisions (?from=&to=); without "to" the latest revision is used
+router.get('/history/diff', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const from = parseRevisionId(req.query.from);
+    const to = req.query.to ? parseRevisionId(req.query.to) : null;
+
+    if (!from || (req.query.to && !to)) {
+      return res.status(400).json({ error: 'from (and optional to) must be revision IDs' });
+    }
+
+    const result = await diffSettingsRevisions(userId, from, to);
+
+    if (!result.success) {
+      return res.status(result.message ? 500 : 404).json({ error: result.error });
+    }
+
+    res.json({
+      from: result.from,
+      to: result.to,
+      diff: result.diff
+    });
+
+  } catch (error) {
+    console.error('❌ Diff settings revisions error:', error);
+    res.status(500).json({ error: 'Failed to compare settings revisions' });
+  }
+});
+
+// Get a single revision with its full settings snapshot
+router.get('/history/:revisionId', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const revisionId = parseInt(req.params.revisionId);
+
+    if (!revisionId) {
+      return res.status(400).json({ error: 'Invalid revision ID' });
+    }
+
+    const result = await getSettingsRevision(userId, revisionId);
+
+    if (!result.success) {
+      return res.status(result.message ? 500 : 404).json({ error: result.error });
+    }
+
+    res.json({ revision: result.revision });
+
+  } catch (error) {
+    console.error('❌ Get settings revision error:', error);
+    res.status(500).json({ error: 'Failed to get settings revision' });
+  }
+});
+
+// Roll settings back to a revision (refused while a timer commitment is active)
+router.post('/history/:revisionId/rollback', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const revisionId = parseInt(req.params.revisionId);
+
+    console.log('⏪ Settings rollback request from user:', userId, 'revision:', revisionId);
+
+    if (!revisionId) {
+      return res.status(400).json({ error: 'Invalid revision ID' });
+    }
+
+    const result = await rollbackSettings(userId, revisionId, getRequestContext(req, 'rollback'));
+
+    if (!result.success) {
+      const status = result.message ? 500 : result.error === 'Revision not found' ? 404 : 400;
+      return res.status(status).json({
+        error: result.error,
+        details: result.details,
+        lockInfo: result.lockInfo
       });
     }
 
-    console.log('✅ All validation passed');
+    res.json({
+      message: 'Settings rolled back',
+      restoredRevision: result.restoredRevision
+    });
 
-    // Check if settings already exist
-    console.log('🔍 Checking for existing settings...');
-    const existingSettings = await pool.query(
-      'SELECT id FROM blocking_settings WHERE user_id = $1',
-      [userId]
-    );
+  } catch (error) {
+    console.error('❌ Settings rollback error:', error);
+    res.status(500).json({ error: 'Failed to roll back settings' });
+  }
+});
 
-    console.log('📊 Existing settings check:', existingSettings.rows.length, 'records found');
-
-    let result;
-
-    if (existingSettings.rows.length > 0) {
-      // Update existing settings
-      console.log('🔄 Updating existing settings...');
-      result = await pool.query(
-        `UPDATE blocking_settings 
-         SET 
-           device_id = $1,
-           block_adult_content = $2,
-           block_gambling = $3,
-           block_social_media = $4,
-           block_gaming = $5,
-           block_news = $6,
-           block_entertainment = $7,
-           block_shopping = $8,
-           block_dating = $9,
-           custom_blocked_domains = $10,
-           custom_allowed_domains = $11,
-           enable_time_restrictions = $12,
-           allowed_hours_start = $13,
-           allowed_hours_end = $14,
-           blocked_days = $15,
-           updated_at = CURRENT_TIMESTAMP
-         WHERE user_id = $16
-         RETURNING id, created_at, updated_at`,
-        [
-          deviceId,
-          categoryBooleans.block_adult_content,
-          categoryBooleans.block_gambling,
-          categoryBooleans.block_social_media,
-          categoryBooleans.block_gaming,
-          categoryBooleans.block_news,
-          categoryBooleans.block_entertainment,
-          categoryBooleans.block_shopping,
-          categoryBooleans.block_dating,
-          customBlockedDomains,
-          customAllowedDomains,
-          timeRestrictions?.enabled || false,
-          timeRestrictions?.allowedHoursStart || null,
-          timeRestrictions?.allowedHoursEnd || null,
-          timeRestrictions?.blockedDays || [],
-          userId
-        ]
-      );
-      console.log('✅ Settings updated successfully');
-    } else {
-      // Create new settings
-      console.log('🆕 Creating new settings...');
-      result = await pool.query(
-        `INSERT INTO blocking_settings 
-         (user_id, device_id, 
-          block_adult_content, block_gambling, block_social_media, block_gaming,
-          block_news, block_entertainment, block_shopping, block_dating,
-          custom_blocked_domains, custom_allowed_domains,
-          enable_time_restrictions, allowed_hours_start, allowed_hours_end, blocked_days)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-         RETURNING id, created_at, updated_at`,
-        [
-          userId,
-          deviceId,
-          categoryBooleans.block_adult_content,
-          categoryBooleans.block_gambling,
-          categoryBooleans.block_social_media,
-          categoryBooleans.block_gaming,
-          categoryBooleans.block_news,
-          categoryBooleans.block_entertainment,
-          categoryBooleans.block_shopping,
-          categoryBooleans.block_dating,
-          customBlockedDomains,
-          customAllowedDomains,
-          timeRestrictions?.enabled || false,
-          timeRestrictions?.allowedHoursStart || null,
-          timeRestrictions?.allowedHoursEnd || null,
-          timeRestrictions?.blockedDays || []
-        ]
-      );
-      console.log('✅ Settings created successfully');
-    }
-
-    const responseData = {
-      success: true,
+// Get the user's default blocking settings, or a device's effective settings with ?deviceId=
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid user authentication' });
+    }
+
+    const device = await getOwnedDeviceId(userId, req.query.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const result = await getBlockingSettings(userId, device.deviceId);
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    const lockCheck = await checkSettingsLocked(userId, device.deviceId);
+    const presetStatus = await getPresetStatus(userId, device.deviceId);
+
+    res.json({
       settings: {
-        id: result.rows[0].id,
-        categories,
-        customBlockedDomains,
-        customAllowedDomains,
-        timeRestrictions,
-        enabled,
-        createdAt: result.rows[0].created_at,
-        updatedAt: result.rows[0].updated_at
+        ...formatSettings(result.settings, lockCheck),
+        preset: presetStatus.success ? presetStatus.status : null
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get blocking settings error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get blocking settings',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Save the user's default blocking settings, or a device's with { deviceId }.
+// Only the fields sent are changed.
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid user authentication' });
+    }
+
+    if (req.body.categories !== undefined) {
+      const categoryError = validateCategoryKeys(req.body.categories);
+      if (categoryError) {
+        return res.status(400).json(categoryError);
       }
-    };
+    }
+
+    const device = await getOwnedDeviceId(userId, req.body.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    console.log('🛡️ Saving blocking settings for user:', userId, 'device:', device.deviceId);
+
+    const result = await saveBlockingSettings(
+      userId,
+      device.deviceId,
+      toSettingsData(req.body),
+      { context: getRequestContext(req, 'settings_form') }
+    );
 
-    console.log('📤 Sending success response');
-    console.log('🏁 === BLOCKING SETTINGS SAVE END ===');
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
 
-    res.json(responseData);
+    const saved = await getBlockingSettings(userId, device.deviceId);
 
+    res.json({
+      success: true,
+      action: result.action,
+      settings: saved.success ? formatSettings(saved.settings) : null
+    });
   } catch (error) {
-    console.error('💥 === DETAILED BLOCKING SETTINGS ERROR ===');
-    console.error('Error message:', error.message);
-    console.error('Error code:', error.code);
-    console.error('Full error stack:', error.stack);
-    console.error('req.user:', req.user);
-    console.error('req.body:', req.body);
-    
+    console.error('❌ Save blocking settings error:', error);
     res.status(500).json({ 
       error: 'Failed to save blocking settings',
-      details: process.env.NODE_ENV === 'development' ? {
-        message: error.message,
-        code: error.code
-      } : undefined
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// Get settings for specific device
+// Get the effective settings for a specific device: the device's own overrides layered
+// over the user's defaults, with where each value came from
 router.get('/device/:deviceId', authenticateToken, async (req, res) => {
   try {
-    const { deviceId } = req.params;
     const userId = req.user.userId || req.user.id;
 
     if (!userId) {
       return res.status(401).json({ error: 'Invalid user authentication' });
     }
 
-    // Verify device ownership
-    const deviceCheck = await pool.query(
-      'SELECT id FROM device_profiles WHERE id = $1 AND user_id = $2',
-      [deviceId, userId]
-    );
+    const device = await getOwnedDeviceId(userId, req.params.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
 
-    if (deviceCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Device not found' });
-    }
-
-    const result = await pool.query(
-      `SELECT 
-        block_adult_content, block_gambling, block_social_media, block_gaming,
-        block_news, block_entertainment, block_shopping, block_dating,
-        custom_blocked_domains, custom_allowed_domains,
-        enable_time_restrictions, allowed_hours_start, allowed_hours_end, blocked_days,
-        updated_at
-       FROM blocking_settings 
-       WHERE user_id = $1 AND (device_id = $2 OR device_id IS NULL)
-       ORDER BY device_id DESC LIMIT 1`,
-      [userId, deviceId]
-    );
+    const result = await getBlockingSettings(userId, device.deviceId);
 
-    if (result.rows.length === 0) {
-      return res.json({
-        settings: {
-          categories: ['adult', 'gambling'],
-          customBlockedDomains: [],
-          customAllowedDomains: [],
-          timeRestrictions: null,
-          enabled: true
-        }
-      });
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
     }
 
-    const settings = result.rows[0];
-
-    // Convert boolean columns back to categories array
-    const categories = [];
-    if (settings.block_adult_content) categories.push('adult');
-    if (settings.block_gambling) categories.push('gambling');
-    if (settings.block_social_media) categories.push('social');
-    if (settings.block_gaming) categories.push('gaming');
-    if (settings.block_news) categories.push('news');
-    if (settings.block_entertainment) categories.push('entertainment');
-    if (settings.block_shopping) categories.push('shopping');
-    if (settings.block_dating) categories.push('dating');
+    const settings = result.settings;
+    const lockCheck = await checkSettingsLocked(userId, device.deviceId);
 
     res.json({
-      settings: {
-        categories: categories,
-        customBlockedDomains: settings.custom_blocked_domains || [],
-        customAllowedDomains: settings.custom_allowed_domains || [],
-        timeRestrictions: settings.enable_time_restrictions ? {
-          enabled: settings.enable_time_restrictions,
-          allowedHoursStart: settings.allowed_hours_start,
-          allowedHoursEnd: settings.allowed_hours_end,
-          blockedDays: settings.blocked_days || []
-        } : null,
-        enabled: true,
-        updatedAt: settings.updated_at
+      settings: formatSettings(settings, lockCheck),
+      effectiveSettings: settings,
+      inheritance: {
+        inheritsFrom: settings.inheritsFrom,
+        hasDeviceOverrides: settings.overriddenFields.length > 0,
+        overriddenFields: settings.overriddenFields,
+        sources: settings.sources
       }
     });
   } catch (error) {
@@ -474,8 +922,10 @@ router.get('/device/:deviceId', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete blocking settings
-router.delete('/', authenticateToken, async (req, res) => {
+// Override settings for a specific device. Only the fields sent are overridden;
+// fields listed in inheritFields go back to following the user's defaults.
+// categories, if sent, is validated like POST / and sets every category flag.
+router.put('/device/:deviceId', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId || req.user.id;
 
@@ -483,33 +933,73 @@ router.delete('/', authenticateToken, async (req, res) => {
       return res.status(401).json({ error: 'Invalid user authentication' });
     }
 
-    // Check if settings are locked by active timer
-    const timerCheck = await pool.query(
-      `SELECT id FROM timer_commitments 
-       WHERE user_id = $1 
-         AND status = $2 
-         AND end_time > NOW()`,
-      [userId, 'active']
-    );
+    const { categories, ...fields } = req.body;
 
-    if (timerCheck.rows.length > 0) {
-      return res.status(400).json({ 
-        error: 'Settings are locked while timer is active' 
-      });
+    if (categories !== undefined) {
+      const categoryError = validateCategoryKeys(categories);
+      if (categoryError) {
+        return res.status(400).json(categoryError);
+      }
     }
 
-    const result = await pool.query(
-      'DELETE FROM blocking_settings WHERE user_id = $1 RETURNING id',
-      [userId]
+    const device = await getOwnedDeviceId(userId, req.params.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const result = await saveBlockingSettings(
+      userId,
+      device.deviceId,
+      { ...fields, ...toSettingsData({ categories }) },
+      { context: getRequestContext(req, 'device_settings') }
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'No settings found to delete' });
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    const effective = await getBlockingSettings(userId, device.deviceId);
+
+    res.json({
+      success: true,
+      action: result.action,
+      settings: effective.success ? effective.settings : null
+    });
+  } catch (error) {
+    console.error('Save device settings error:', error);
+    res.status(500).json({ 
+      error: 'Failed to save device settings',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Delete the user's default blocking settings, or a device's overrides with ?deviceId=
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid user authentication' });
+    }
+
+    const device = await getOwnedDeviceId(userId, req.query.deviceId);
+    if (device.error) {
+      return res.status(device.status).json({ error: device.error });
+    }
+
+    const result = await deleteBlockingSettings(userId, device.deviceId);
+
+    if (!result.success) {
+      if (result.error === 'Blocking settings not found') {
+        return res.status(404).json({ error: 'No settings found to delete' });
+      }
+      return sendServiceError(res, result);
     }
 
     res.json({
       success: true,
-      message: 'Blocking settings deleted successfully'
+      message: result.message
     });
   } catch (error) {
     console.error('Delete blocking settings error:', error);
@@ -529,23 +1019,26 @@ router.get('/test/overview', authenticateToken, async (req, res) => {
       return res.status(401).json({ error: 'Invalid user authentication' });
     }
 
-    const settingsCount = await pool.query(
-      'SELECT COUNT(*) as count FROM blocking_settings WHERE user_id = $1',
-      [userId]
-    );
+    const allSettings = await getAllUserBlockingSettings(userId);
+
+    if (!allSettings.success) {
+      return res.status(500).json({ error: allSettings.error });
+    }
 
     res.json({
       message: 'Blocking system overview',
       userId: userId,
       userIdSource: req.user.userId ? 'userId' : 'id',
-      totalCategories: CONTENT_CATEGORIES.length,
-      availableCategories: CONTENT_CATEGORIES.map(c => c.key),
-      userSettingsCount: parseInt(settingsCount.rows[0].count),
+      totalCategories: listCategories().length,
+      availableCategories: listCategories().map(c => c.key),
+      userSettingsCount: allSettings.settings.length,
       endpoints: {
         getCategories: 'GET /api/blocking/categories',
         getSettings: 'GET /api/blocking',
         saveSettings: 'POST /api/blocking',
-        getDeviceSettings: 'GET /api/blocking/device/:deviceId'
+        deleteSettings: 'DELETE /api/blocking',
+        getDeviceSettings: 'GET /api/blocking/device/:deviceId',
+        saveDeviceSettings: 'PUT /api/blocking/device/:deviceId'
       },
       debug: {
         reqUser: req.user,
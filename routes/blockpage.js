@@ -0,0 +1,250 @@
+const express = require('express');
+const { testUrl } = require('../services/profile');
+const { getDeviceById, getDeviceByProfileUUID } = require('../services/device');
+const { getResolverKeyOwner } = require('../services/dnsfilter');
+const { createAccessRequest, MAX_REASON_LENGTH } = require('../services/accessrequests');
+const { getGrantForApproval, approveGrant } = require('../services/grants');
+
+const router = express.Router();
+
+// The block page is public: a device identifies itself with its profile UUID (?device=) or,
+// for encrypted DNS filtering, with its resolver key (?key=).
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const escapeHTML = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Work out whose settings apply from the device or key parameter. Returns null if neither is known.
+// identifiedBy holds the parameter that matched, so the access request form can pass it on.
+const getBlockPageContext = async ({ device, key }) => {
+  if (device && UUID_REGEX.test(device)) {
+    const deviceResult = await getDeviceByProfileUUID(device);
+    if (deviceResult.success) {
+      return {
+        userId: deviceResult.device.userId,
+        deviceId: deviceResult.device.id,
+        deviceName: deviceResult.device.deviceName,
+        identifiedBy: { device }
+      };
+    }
+  }
+
+  if (key) {
+    const owner = await getResolverKeyOwner(key);
+    if (owner) {
+      // Legacy per-user keys don't name a device
+      const deviceResult = owner.deviceId ? await getDeviceById(owner.userId, owner.deviceId) : null;
+      return {
+        userId: owner.userId,
+        deviceId: owner.deviceId,
+        deviceName: deviceResult?.success ? deviceResult.device.deviceName : null,
+        identifiedBy: { key }
+      };
+    }
+  }
+
+  return null;
+};
+
+const getDashboardUrl = () => {
+  return process.env.FRONTEND_URL || '/';
+};
+
+// Page shell shared by the block page and the request confirmation
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(title)} - Altrii Recovery</title>
+    <style>
+        body { font-family: -apple-system, Arial, sans-serif; line-height: 1.6; color: #333; background: #f8fafc; margin: 0; padding: 20px; }
+        .card { max-width: 560px; margin: 40px auto; background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); overflow: hidden; }
+        .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 1.5em; }
+        .content { padding: 24px 30px; }
+        .site { font-weight: bold; word-break: break-all; }
+        .reason { background: #f1f5f9; padding: 10px; border-radius: 4px; }
+        .button { display: inline-block; background: #2563eb; color: white; padding: 10px 24px; text-decoration: none; border: none; border-radius: 6px; font-weight: bold; font-size: 1em; cursor: pointer; }
+        textarea { width: 100%; box-sizing: border-box; padding: 8px; border: 1px solid #cbd5e1; border-radius: 4px; font: inherit; }
+        .footer { padding: 16px 30px; border-top: 1px solid #e2e8f0; font-size: 14px; color: #64748b; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        ${body}
+        <div class="footer">
+            <a href="${escapeHTML(getDashboardUrl())}">Open your Altrii Recovery dashboard</a>
+        </div>
+    </div>
+</body>
+</html>`;
+
+const renderBlockPage = ({ hostname, url, explanation, device, key, deviceKnown = false }) => renderPage('Site Blocked', `
+        <div class="header">
+            <h1>🛡️ This site is blocked</h1>
+        </div>
+        <div class="content">
+            ${hostname ? `<p class="site">${escapeHTML(hostname)}</p>` : ''}
+            <p class="reason">${escapeHTML(explanation || 'This site is blocked by your Altrii Recovery content filter.')}</p>
+            ${url && (device || key) ? `
+            <h2>Need it for something legitimate?</h2>
+            <p>Ask for temporary access. The request is recorded${deviceKnown ? ' and sent to your supervisor if this device is supervised' : ''}.</p>
+            <form method="POST" action="/blocked/request-access">
+                <input type="hidden" name="url" value="${escapeHTML(url)}">
+                ${device ? `<input type="hidden" name="device" value="${escapeHTML(device)}">` : ''}
+                ${key ? `<input type="hidden" name="key" value="${escapeHTML(key)}">` : ''}
+                <p><textarea name="reason" rows="3" maxlength="${MAX_REASON_LENGTH}" placeholder="Why do you need this site?"></textarea></p>
+                <button type="submit" class="button">Request temporary access</button>
+            </form>` : ''}
+        </div>`);
+
+const renderMessagePage = (title, message) => renderPage(title, `
+        <div class="header">
+            <h1>${escapeHTML(title)}</h1>
+        </div>
+        <div class="content">
+            <p>${escapeHTML(message)}</p>
+        </div>`);
+
+const renderApprovalPage = (grant, token) => renderPage('Approve Temporary Access', `
+        <div class="header">
+            <h1>⏳ Approve temporary access?</h1>
+        </div>
+        <div class="content">
+            <p><strong>Device:</strong> ${escapeHTML(grant.deviceName || 'Unnamed device')}</p>
+            <p class="site">${escapeHTML(grant.domain)}</p>
+            <p><strong>For:</strong> ${escapeHTML(grant.durationMinutes)} minutes, starting when you approve</p>
+            <p class="reason">${escapeHTML(grant.reason)}</p>
+            <form method="POST" action="/blocked/approve/${encodeURIComponent(token)}">
+                <button type="submit" class="button">Approve</button>
+            </form>
+            <p>If you don't approve, nothing changes and the request lapses on its own.</p>
+        </div>`);
+
+// Block page: explains which category or rule blocked the site and offers an access request form
+router.get('/', async (req, res) => {
+  const { url, device, key } = req.query;
+
+  try {
+    const context = await getBlockPageContext({ device, key });
+
+    if (!url || !context) {
+      return res.send(renderBlockPage({ hostname: null, url: null }));
+    }
+
+    const result = await testUrl(context.userId, context.deviceId, String(url));
+
+    if (!result.success) {
+      return res.send(renderBlockPage({ hostname: null, url: null }));
+    }
+
+    const { hostname, verdict, explanation } = result.test;
+
+    // The device may still be running an older profile, or the DNS answer may be cached
+    const message = verdict === 'blocked'
+      ? explanation
+      : `${hostname} isn't blocked by your current settings - your device may still be using an older profile.`;
+
+    res.send(renderBlockPage({
+      hostname,
+      url: String(url),
+      explanation: message,
+      deviceKnown: Boolean(context.deviceId),
+      ...context.identifiedBy
+    }));
+
+  } catch (error) {
+    console.error('❌ Block page error:', error.message);
+    res.send(renderBlockPage({ hostname: null, url: null }));
+  }
+});
+
+// Record a temporary access request from the block page form
+router.post('/request-access', async (req, res) => {
+  const { url, device, key, reason } = req.body;
+
+  try {
+    const context = await getBlockPageContext({ device, key });
+
+    if (!context) {
+      return res.status(404).send(renderMessagePage('Device Not Found', 'We couldn\'t tell which device this request came from, so it wasn\'t recorded.'));
+    }
+
+    if (!url) {
+      return res.status(400).send(renderMessagePage('Request Not Sent', 'No site was given for the request.'));
+    }
+
+    const result = await createAccessRequest({
+      userId: context.userId,
+      deviceId: context.deviceId,
+      deviceName: context.deviceName,
+      url: String(url),
+      reason: reason ? String(reason) : null
+    });
+
+    if (!result.success) {
+      return res.status(result.message ? 500 : 400).send(renderMessagePage('Request Not Sent', result.error));
+    }
+
+    const { request, duplicate } = result;
+    let message;
+
+    if (duplicate) {
+      message = `You already asked for access to ${request.hostname} - it is still waiting for a decision.`;
+    } else if (request.supervisorNotified) {
+      message = `Your request for ${request.hostname} has been sent to your supervisor.`;
+    } else {
+      message = `Your request for ${request.hostname} has been recorded. You can review it from your dashboard.`;
+    }
+
+    res.status(duplicate ? 200 : 201).send(renderMessagePage('Request Sent', message));
+
+  } catch (error) {
+    console.error('❌ Access request error:', error.message);
+    res.status(500).send(renderMessagePage('Request Not Sent', 'Something went wrong recording your request. Please try again.'));
+  }
+});
+
+// Supervisor approval link from the grant email. GET only shows the request, so link
+// previews and scanners can't approve it - the grant starts on the confirming POST.
+router.get('/approve/:token', async (req, res) => {
+  try {
+    const result = await getGrantForApproval(req.params.token);
+
+    if (!result.success) {
+      return res.status(result.message ? 500 : 404).send(renderMessagePage('Link Expired', result.error));
+    }
+
+    res.send(renderApprovalPage(result.grant, req.params.token));
+
+  } catch (error) {
+    console.error('❌ Grant approval page error:', error.message);
+    res.status(500).send(renderMessagePage('Something Went Wrong', 'Please try the link again.'));
+  }
+});
+
+router.post('/approve/:token', async (req, res) => {
+  try {
+    const result = await approveGrant(req.params.token);
+
+    if (!result.success) {
+      return res.status(result.message ? 500 : 404).send(renderMessagePage('Not Approved', result.error));
+    }
+
+    const { domain, durationMinutes } = result.grant;
+    res.send(renderMessagePage('Access Approved', `${domain} is allowed on the device for the next ${durationMinutes} minutes, then blocked again automatically.`));
+
+  } catch (error) {
+    console.error('❌ Grant approval error:', error.message);
+    res.status(500).send(renderMessagePage('Not Approved', 'Something went wrong approving this request. Please try again.'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  listCatalogueEntries,
+  addCatalogueEntries,
+  retireCatalogueEntries,
+  getCatalogueStats,
+  getCatalogueHistory
+} = require('../services/catalogue');
+const { importBlocklist } = require('../services/importer');
+const { validateCategoryKeys } = require('../services/categories');
+
+const router = express.Router();
+
+// Get catalogue summary (public - used by the dashboard domain count)
+router.get('/stats', async (req, res) => {
+  try {
+    const result = await getCatalogueStats();
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json(result.stats);
+
+  } catch (error) {
+    console.error('❌ Catalogue stats error:', error);
+    res.status(500).json({ error: 'Failed to get catalogue stats' });
+  }
+});
+
+// List catalogue entries
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { category, search } = req.query;
+
+    if (category) {
+      const categoryError = validateCategoryKeys([category]);
+      if (categoryError) {
+        return res.status(400).json(categoryError);
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await listCatalogueEntries({
+      category: category || null,
+      search: search || null,
+      includeRetired: req.query.includeRetired === 'true',
+      limit,
+      offset
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json({
+      version: result.version,
+      total: result.total,
+      limit,
+      offset,
+      entries: result.entries
+    });
+
+  } catch (error) {
+    console.error('❌ List catalogue error:', error);
+    res.status(500).json({ error: 'Failed to list catalogue entries' });
+  }
+});
+
+// Get catalogue version history
+router.get('/versions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const result = await getCatalogueHistory(limit);
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json({ versions: result.versions });
+
+  } catch (error) {
+    console.error('❌ Catalogue history error:', error);
+    res.status(500).json({ error: 'Failed to get catalogue history' });
+  }
+});
+
+// Add entries to the catalogue
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('📚 Catalogue add request from admin:', req.user.id);
+
+    const { entries, source, changeSummary } = req.body;
+
+    const result = await addCatalogueEntries(entries, {
+      source: source || 'admin',
+      changedBy: req.user.id,
+      changeSummary
+    });
+
+    if (!result.success) {
+      // Database failures carry a message; everything else is a bad request
+      return res.status(result.message ? 500 : 400).json({
+        error: result.error,
+        details: result.details
+      });
+    }
+
+    res.status(result.added > 0 ? 201 : 200).json({
+      message: result.added > 0 ? 'Catalogue updated' : 'No new domains added',
+      version: result.version,
+      added: result.added,
+      skipped: result.skipped
+    });
+
+  } catch (error) {
+    console.error('❌ Catalogue add error:', error);
+    res.status(500).json({ error: 'Failed to add catalogue entries' });
+  }
+});
+
+// Import an external blocklist (hosts file, AdBlock list or plain domains)
+// Accepts JSON { category, content, format, source } or a text/plain body with ?category=
+router.post('/import', authenticateToken, requireAdmin, express.text({ limit: '10mb' }), async (req, res) => {
+  console.log('📥 Blocklist import request from admin:', req.user.id);
+
+  try {
+    const isTextUpload = typeof req.body === 'string';
+    const params = isTextUpload ? req.query : { ...req.query, ...req.body };
+    const content = isTextUpload ? req.body : req.body.content;
+
+    let confidence;
+
+    if (params.confidence !== undefined) {
+      confidence = String(params.confidence).trim() === '' ? NaN : Number(params.confidence);
+
+      if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+        return res.status(400).json({ error: 'confidence must be a number between 0 and 1' });
+      }
+    }
+
+    const result = await importBlocklist(content, {
+      category: params.category,
+      format: params.format || 'auto',
+      source: params.source ? `import:${params.source}` : 'import:upload',
+      confidence,
+      changedBy: req.user.id
+    });
+
+    if (!result.success) {
+      return res.status(result.message ? 500 : 400).json({
+        error: result.error,
+        message: result.message,
+        details: result.details,
+        validCategories: result.validCategories,
+        validFormats: result.validFormats
+      });
+    }
+
+    res.status(result.report.added > 0 ? 201 : 200).json({
+      message: 'Blocklist import complete',
+      report: result.report
+    });
+
+  } catch (error) {
+    console.error('❌ Blocklist import error:', error);
+    res.status(500).json({ error: 'Failed to import blocklist' });
+  }
+});
+
+// Retire entries from the catalogue
+router.post('/retire', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('📚 Catalogue retire request from admin:', req.user.id);
+
+    const { entryIds, reason } = req.body;
+
+    const result = await retireCatalogueEntries(entryIds, {
+      reason: reason || null,
+      changedBy: req.user.id
+    });
+
+    if (!result.success) {
+      return res.status(result.message ? 500 : 400).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Catalogue entries retired',
+      version: result.version,
+      retired: result.retired
+    });
+
+  } catch (error) {
+    console.error('❌ Catalogue retire error:', error);
+    res.status(500).json({ error: 'Failed to retire catalogue entries' });
+  }
+});
+
+module.exports = router;
@@ -16,7 +16,8 @@ router.get('/', authenticateToken, async (req, res) => {
     
     const result = await pool.query(
       `SELECT id, device_name, device_model, device_type, device_udid, 
-              profile_uuid, profile_installed, mdm_enrolled, created_at
+              profile_uuid, profile_installed, profile_outdated, profile_revision, downloaded_profile_revision,
+              mdm_enrolled, created_at
        FROM device_profiles 
        WHERE user_id = $1 
        ORDER BY created_at DESC`,
@@ -31,6 +32,9 @@ router.get('/', authenticateToken, async (req, res) => {
       deviceUdid: device.device_udid,
       profileUuid: device.profile_uuid,
       profileInstalled: device.profile_installed,
+      profileOutdated: device.profile_outdated,
+      profileRevision: device.profile_revision,
+      downloadedProfileRevision: device.downloaded_profile_revision,
       mdmEnrolled: device.mdm_enrolled,
       createdAt: device.created_at
     }));
@@ -348,7 +352,8 @@ router.get('/:deviceId', authenticateToken, async (req, res) => {
 
     const result = await pool.query(
       `SELECT id, device_name, device_model, device_type, device_udid, 
-              profile_uuid, profile_installed, mdm_enrolled, created_at, updated_at
+              profile_uuid, profile_installed, profile_outdated, profile_revision, downloaded_profile_revision,
+              mdm_enrolled, created_at, updated_at
        FROM device_profiles 
        WHERE id = $1 AND user_id = $2`,
       [deviceId, req.user.userId]
@@ -369,6 +374,9 @@ router.get('/:deviceId', authenticateToken, async (req, res) => {
         deviceUdid: device.device_udid,
         profileUuid: device.profile_uuid,
         profileInstalled: device.profile_installed,
+        profileOutdated: device.profile_outdated,
+        profileRevision: device.profile_revision,
+        downloadedProfileRevision: device.downloaded_profile_revision,
         mdmEnrolled: device.mdm_enrolled,
         createdAt: device.created_at,
         updatedAt: device.updated_at
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const { markDeviceProfilesOutdated } = require('../services/blocking');
 const { Pool } = require('pg');
 
 const pool = new Pool({
@@ -231,6 +232,9 @@ router.post('/', authenticateToken, async (req, res) => {
     console.log('✅ Timer created successfully!');
     console.log('Database result:', result.rows[0]);
 
+    // Profiles downloaded from now on are protected from removal, so flag the installed ones
+    await markDeviceProfilesOutdated(pool, req.user.userId, deviceId ? { deviceId: parseInt(deviceId) } : {});
+
     const responseData = {
       success: true,
       timer: {
@@ -0,0 +1,67 @@
+// scripts/dns-stub-upstream.js - Stub upstream resolver for testing dns/server.js locally.
+// Answers every A query with 192.0.2.1 and AAAA with 2001:db8::1 (documentation addresses);
+// names under .invalid get NXDOMAIN. Run the resolver with DNS_UPSTREAM=127.0.0.1:5300.
+// The tests start it in-process with createStubUpstream on a free port.
+const dgram = require('dgram');
+const { TYPES, RCODES, parseMessage, buildResponse, encodeAddress } = require('../dns/packet');
+
+const PORT = parseInt(process.env.DNS_STUB_PORT, 10) || 5300;
+
+const STUB_ADDRESSES = {
+  [TYPES.A]: '192.0.2.1',
+  [TYPES.AAAA]: '2001:db8::1'
+};
+
+// The stub's answer to a query
+const answerQuery = (query) => {
+  const question = query.questions[0];
+
+  if (!question || question.name.endsWith('.invalid')) {
+    return buildResponse(query, { rcode: RCODES.NXDOMAIN });
+  }
+
+  const address = STUB_ADDRESSES[question.type];
+  return buildResponse(query, {
+    answers: address ? [{ name: question.name, type: question.type, ttl: 300, data: encodeAddress(address) }] : []
+  });
+};
+
+// Start the stub on a UDP port (0 picks a free one). Resolves with the bound socket once listening.
+const createStubUpstream = ({ port = PORT, quiet = false } = {}) => {
+  const server = dgram.createSocket('udp4');
+
+  server.on('message', (message, remote) => {
+    let query;
+
+    try {
+      query = parseMessage(message);
+    } catch (error) {
+      console.error('❌ Ignoring malformed query from', remote.address);
+      return;
+    }
+
+    const question = query.questions[0];
+
+    if (!quiet) {
+      console.log(`🧪 ${question ? question.name : '(no question)'} type ${question ? question.type : '-'}`);
+    }
+
+    server.send(answerQuery(query), remote.port, remote.address);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.bind(port, '127.0.0.1', () => resolve(server));
+  });
+};
+
+module.exports = {
+  STUB_ADDRESSES,
+  createStubUpstream
+};
+
+if (require.main === module) {
+  createStubUpstream().then(server => {
+    console.log(`🧪 Stub upstream DNS listening on udp://127.0.0.1:${server.address().port}`);
+  });
+}
@@ -0,0 +1,73 @@
+// scripts/import-blocklist.js - Import a local blocklist file into the domain catalogue
+//
+// Usage: node scripts/import-blocklist.js <file> <category> [--format auto|hosts|adblock|domains]
+//                                         [--source name] [--confidence 0.9]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { closePool } = require('../config/database');
+const { importBlocklist } = require('../services/importer');
+
+const parseArgs = (argv) => {
+  const options = { positional: [] };
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      options.positional.push(argv[i]);
+    }
+  }
+  
+  return options;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const [file, category] = args.positional;
+  
+  if (!file || !category) {
+    console.error('Usage: node scripts/import-blocklist.js <file> <category> [--format auto|hosts|adblock|domains] [--source name] [--confidence 0.9]');
+    process.exit(1);
+  }
+  
+  let exitCode = 0;
+  
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    
+    const result = await importBlocklist(content, {
+      category,
+      format: args.format || 'auto',
+      source: `import:${args.source || path.basename(file)}`,
+      confidence: args.confidence !== undefined ? Number(args.confidence) : undefined
+    });
+    
+    if (!result.success) {
+      console.error('❌', result.error);
+      (result.details || []).forEach(detail => console.error('   ', detail));
+      exitCode = 1;
+    } else {
+      const { report } = result;
+      console.log(`📄 Format: ${report.format} (${report.totalLines} lines, ${report.ignoredLines} comments/blank)`);
+      console.log(`➕ Added:    ${report.added}`);
+      console.log(`⏭️  Skipped:  ${report.skipped}`);
+      console.log(`🚫 Rejected: ${report.rejected}`);
+      report.rejectedSamples.forEach(sample => {
+        console.log(`   line ${sample.line}: ${sample.value} (${sample.reason})`);
+      });
+      if (report.catalogueVersion) {
+        console.log(`📚 Catalogue version: ${report.catalogueVersion}`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    exitCode = 1;
+  }
+  
+  await closePool();
+  process.exit(exitCode);
+};
+
+run();
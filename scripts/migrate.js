@@ -0,0 +1,74 @@
+// scripts/migrate.js - Applies pending SQL migrations from /migrations in filename order
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { pool, closePool } = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Make sure the bookkeeping table exists
+const ensureMigrationsTable = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      filename VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+// Get migration files that have not been applied yet
+const getPendingMigrations = async () => {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .sort();
+  
+  const applied = await pool.query('SELECT filename FROM schema_migrations');
+  const appliedFiles = new Set(applied.rows.map(row => row.filename));
+  
+  return files.filter(file => !appliedFiles.has(file));
+};
+
+// Run a single migration inside a transaction
+const applyMigration = async (filename) => {
+  const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, filename), 'utf8');
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await client.query('INSERT INTO schema_migrations (filename) VALUES ($1)', [filename]);
+    await client.query('COMMIT');
+    console.log('✅ Applied migration:', filename);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${filename} failed: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+const migrate = async () => {
+  try {
+    console.log('🗄️  Running database migrations...');
+    await ensureMigrationsTable();
+    
+    const pending = await getPendingMigrations();
+    
+    if (pending.length === 0) {
+      console.log('✅ Database is up to date');
+    }
+    
+    for (const filename of pending) {
+      await applyMigration(filename);
+    }
+    
+    await closePool();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌', error.message);
+    await closePool();
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -14,6 +14,9 @@ const { testEmailConfig } = require('./services/email');
 // Test Stripe configuration on startup
 const { testStripeConfig } = require('./services/stripe');
 
+// Background job that ends temporary access grants
+const { startGrantExpiryJob } = require('./services/grants');
+
 // Import ALL route files
 const authRoutes = require('./routes/auth');
 const protectedRoutes = require('./routes/protected');
@@ -22,6 +25,8 @@ const deviceRoutes = require('./routes/devices');
 const blockingRoutes = require('./routes/blocking');
 const profileRoutes = require('./routes/profiles');
 const timerRoutes = require('./routes/timers');
+const catalogueRoutes = require('./routes/catalogue');
+const blockPageRoutes = require('./routes/blockpage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -60,6 +65,10 @@ app.use('/api/devices', deviceRoutes);
 app.use('/api/blocking', blockingRoutes);
 app.use('/api/profiles', profileRoutes);
 app.use('/api/timers', timerRoutes);
+app.use('/api/catalogue', catalogueRoutes);
+
+// Hosted block page (public - devices identify themselves with their profile UUID)
+app.use('/blocked', blockPageRoutes);
 
 // Debug route to show registered routes
 app.get('/api/debug/routes', (req, res) => {
@@ -175,6 +184,8 @@ app.use((err, req, res, next) => {
   });
 });
 
+let grantExpiryTimer = null;
+
 // Start server with database connection test
 const startServer = async () => {
   try {
@@ -205,6 +216,9 @@ const startServer = async () => {
       console.warn('   Check your STRIPE_* environment variables');
     }
     
+    // Expire temporary access grants as their time runs out
+    grantExpiryTimer = startGrantExpiryJob();
+    
     // Start the server
     app.listen(PORT, () => {
       console.log(`🚀 Altrii Recovery API + Frontend started successfully`);
@@ -230,6 +244,9 @@ const gracefulShutdown = async (signal) => {
   console.log(`${signal} received, shutting down gracefully`);
   
   try {
+    if (grantExpiryTimer) {
+      clearInterval(grantExpiryTimer);
+    }
     await closePool();
     console.log('✅ Graceful shutdown completed');
     process.exit(0);
@@ -0,0 +1,154 @@
+const { pool } = require('../config/database');
+const { testUrl } = require('./profile');
+const { sendAccessRequestEmail } = require('./email');
+const { getDeviceSupervisor } = require('./device');
+
+// Temporary access requests made from the block page. A request is recorded against the device
+// that hit the block and, when the device is supervised, forwarded to the supervisor by email.
+
+const ACCESS_REQUEST_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DENIED: 'denied'
+};
+
+const MAX_REASON_LENGTH = 500;
+
+// A repeat request for the same site within this window returns the existing one instead of emailing again
+const DUPLICATE_WINDOW_HOURS = 24;
+
+// Format an access_requests row for API responses
+const formatAccessRequest = (row) => ({
+  id: row.id,
+  deviceId: row.device_id,
+  hostname: row.hostname,
+  url: row.url,
+  reason: row.reason,
+  matchedRule: row.matched_rule,
+  status: row.status,
+  supervisorNotified: Boolean(row.supervisor_notified_at),
+  supervisorNotifiedAt: row.supervisor_notified_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Record a request for temporary access to a blocked URL
+const createAccessRequest = async ({ userId, deviceId = null, deviceName = null, url, reason = null }) => {
+  try {
+    if (reason && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+      return {
+        success: false,
+        error: `Reason must be text of at most ${MAX_REASON_LENGTH} characters`
+      };
+    }
+
+    // Work out what blocked the site, using the same rules as the block page
+    const testResult = await testUrl(userId, deviceId, url);
+
+    if (!testResult.success) {
+      return testResult;
+    }
+
+    const { hostname, matchedRule, explanation } = testResult.test;
+
+    const existing = await pool.query(`
+      SELECT * FROM access_requests
+      WHERE user_id = $1 AND device_id IS NOT DISTINCT FROM $2 AND hostname = $3 AND status = $4
+        AND created_at > NOW() - ($5 || ' hours')::interval
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [userId, deviceId, hostname, ACCESS_REQUEST_STATUSES.PENDING, DUPLICATE_WINDOW_HOURS]);
+
+    if (existing.rows.length > 0) {
+      return {
+        success: true,
+        request: formatAccessRequest(existing.rows[0]),
+        duplicate: true
+      };
+    }
+
+    const supervisor = deviceId ? await getDeviceSupervisor(deviceId) : null;
+
+    const result = await pool.query(`
+      INSERT INTO access_requests (user_id, device_id, hostname, url, reason, matched_rule, status, supervisor_email)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      userId, deviceId, hostname, url.trim(), reason ? reason.trim() : null,
+      matchedRule ? JSON.stringify(matchedRule) : null,
+      ACCESS_REQUEST_STATUSES.PENDING,
+      supervisor ? supervisor.supervisorEmail : null
+    ]);
+
+    let request = result.rows[0];
+
+    console.log(`🚦 Access request ${request.id} recorded for ${hostname} (user ${userId}, device ${deviceId})`);
+
+    if (supervisor) {
+      const emailResult = await sendAccessRequestEmail(supervisor.supervisorEmail, {
+        deviceName: deviceName || 'Unnamed device',
+        hostname,
+        reason: request.reason,
+        explanation
+      });
+
+      if (emailResult.success) {
+        const updated = await pool.query(`
+          UPDATE access_requests
+          SET supervisor_notified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+          RETURNING *
+        `, [request.id]);
+        request = updated.rows[0];
+      }
+    }
+
+    return {
+      success: true,
+      request: formatAccessRequest(request),
+      duplicate: false
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to create access request:', error.message);
+    return {
+      success: false,
+      error: 'Failed to create access request',
+      message: error.message
+    };
+  }
+};
+
+// List a user's access requests, newest first, optionally for one device and/or status
+const getAccessRequests = async (userId, { deviceId = null, status = null } = {}) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM access_requests
+      WHERE user_id = $1
+        AND ($2::integer IS NULL OR device_id = $2)
+        AND ($3::varchar IS NULL OR status = $3)
+      ORDER BY created_at DESC
+      LIMIT 100
+    `, [userId, deviceId, status]);
+
+    return {
+      success: true,
+      requests: result.rows.map(row => formatAccessRequest(row))
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get access requests:', error.message);
+    return {
+      success: false,
+      error: 'Failed to get access requests',
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  ACCESS_REQUEST_STATUSES,
+  MAX_REASON_LENGTH,
+  createAccessRequest,
+  getAccessRequests
+};
@@ -0,0 +1,147 @@
+// App rules by bundle identifier. Users block whole app categories and/or individual bundle IDs;
+// supervised devices receive the result in the restrictions payload's blacklistedAppBundleIDs.
+
+// App categories users can block as a group
+const APP_CATEGORIES = {
+  vpn: {
+    name: 'VPNs & Proxies',
+    description: 'VPN and DNS apps that can route traffic around the content filter',
+    bundleIds: [
+      'com.tunnelbear.ios.TunnelBear',
+      'com.nordvpn.ios',
+      'com.expressvpn.ExpressVPN',
+      'com.protonvpn.ios',
+      'com.cloudflare.onedotonedotonedotone'
+    ]
+  },
+  alternate_browser: {
+    name: 'Alternate Browsers',
+    description: 'Third-party browsers that may not honour Safari restrictions',
+    bundleIds: [
+      'com.opera.OperaMini',
+      'com.opera.Opera-Touch',
+      'org.torproject.ios',
+      'com.brave.ios.browser',
+      'com.mozilla.ios.Firefox',
+      'com.mozilla.ios.Focus',
+      'com.google.chrome.ios',
+      'com.microsoft.msedge',
+      'com.duckduckgo.mobile.ios',
+      'com.alohabrowser.alohabrowser'
+    ]
+  },
+  dating: {
+    name: 'Dating Apps',
+    description: 'Dating and hookup apps',
+    bundleIds: [
+      'com.cardify.tinder',
+      'com.bumble.app',
+      'co.hinge.mobile.ios',
+      'com.grindrguy.grindrx',
+      'com.match.match.com',
+      'com.okcupid.app',
+      'com.badoo.Badoo',
+      'com.pof.mobileapp'
+    ]
+  }
+};
+
+// Apps blocked on supervised devices regardless of user settings, by security level
+const SECURITY_LEVEL_BLOCKED_APPS = {
+  2: [
+    'com.opera.OperaMini',
+    'com.opera.Opera-Touch',
+    'org.torproject.ios',
+    ...APP_CATEGORIES.vpn.bundleIds
+  ],
+  3: [
+    ...APP_CATEGORIES.vpn.bundleIds,
+    ...APP_CATEGORIES.alternate_browser.bundleIds
+  ]
+};
+
+const MAX_BUNDLE_ID_LENGTH = 155;
+
+// Reverse-DNS identifier: alphanumerics and hyphens, at least two dot-separated parts
+const BUNDLE_ID_REGEX = /^[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/;
+
+const isValidAppCategory = (category) => {
+  return Object.prototype.hasOwnProperty.call(APP_CATEGORIES, category);
+};
+
+// Trim a bundle ID and check its format. Returns null if it isn't one.
+// Case is kept as given - iOS matches bundle IDs case-insensitively, so duplicates are found that way.
+const normalizeBundleId = (input) => {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  const bundleId = input.trim();
+
+  if (bundleId.length > MAX_BUNDLE_ID_LENGTH || !BUNDLE_ID_REGEX.test(bundleId)) {
+    return null;
+  }
+
+  return bundleId;
+};
+
+const validateBundleId = (bundleId) => {
+  return normalizeBundleId(bundleId) !== null;
+};
+
+// Normalise a list of bundle IDs, dropping invalid entries and case-insensitive duplicates
+const normalizeBundleIdList = (bundleIds) => {
+  const seen = new Set();
+
+  return (bundleIds || []).map(normalizeBundleId).filter(bundleId => {
+    if (!bundleId || seen.has(bundleId.toLowerCase())) {
+      return false;
+    }
+    seen.add(bundleId.toLowerCase());
+    return true;
+  });
+};
+
+// Bundle IDs a user's app rules block. Accepts camelCased settings or snake_cased rows,
+// like getScheduleFromSettings does.
+const getBlockedBundleIds = (settings = {}) => {
+  const categories = settings.blockedAppCategories ?? settings.blocked_app_categories ?? [];
+  const customApps = settings.customBlockedApps ?? settings.custom_blocked_apps ?? [];
+
+  return normalizeBundleIdList([
+    ...categories.filter(isValidAppCategory).flatMap(category => APP_CATEGORIES[category].bundleIds),
+    ...customApps
+  ]);
+};
+
+// Bundle IDs a supervision profile blocks: the bypass apps for its security level plus the user's
+// own app rules. This is the restrictions payload's blacklistedAppBundleIDs.
+const getEnforcedBundleIds = (settings = {}, securityLevel = 0, additionalBundleIds = []) => {
+  return normalizeBundleIdList([
+    ...(SECURITY_LEVEL_BLOCKED_APPS[Math.min(securityLevel, 3)] || []),
+    ...getBlockedBundleIds(settings),
+    ...additionalBundleIds
+  ]);
+};
+
+// App categories in the shape the API returns
+const listAppCategories = () => {
+  return Object.keys(APP_CATEGORIES).map(key => ({
+    key,
+    name: APP_CATEGORIES[key].name,
+    description: APP_CATEGORIES[key].description,
+    bundleIds: APP_CATEGORIES[key].bundleIds
+  }));
+};
+
+module.exports = {
+  APP_CATEGORIES,
+  SECURITY_LEVEL_BLOCKED_APPS,
+  isValidAppCategory,
+  normalizeBundleId,
+  validateBundleId,
+  normalizeBundleIdList,
+  getBlockedBundleIds,
+  getEnforcedBundleIds,
+  listAppCategories
+};
@@ -1,84 +1,256 @@
+const { domainToASCII } = require('url');
+const psl = require('psl');
 const { pool } = require('../config/database');
-
-// Define available content categories
-const CONTENT_CATEGORIES = {
-  adult_content: {
-    name: 'Adult Content',
-    description: 'Pornography, explicit content, and adult websites',
-    defaultBlocked: true
-  },
-  gambling: {
-    name: 'Gambling',
-    description: 'Online casinos, betting sites, and gambling platforms',
-    defaultBlocked: true
-  },
-  social_media: {
-    name: 'Social Media',
-    description: 'Facebook, Instagram, TikTok, Twitter, and other social platforms',
-    defaultBlocked: false
-  },
-  gaming: {
-    name: 'Gaming',
-    description: 'Online games, gaming platforms, and game streaming',
-    defaultBlocked: false
-  },
-  news: {
-    name: 'News',
-    description: 'News websites and current events platforms',
-    defaultBlocked: false
-  },
-  entertainment: {
-    name: 'Entertainment',
-    description: 'Streaming services, movie sites, and entertainment platforms',
-    defaultBlocked: false
-  },
-  shopping: {
-    name: 'Shopping',
-    description: 'E-commerce sites and online shopping platforms',
-    defaultBlocked: false
-  },
-  dating: {
-    name: 'Dating',
-    description: 'Dating apps and relationship platforms',
-    defaultBlocked: false
-  }
-};
+const {
+  CONTENT_CATEGORIES,
+  getCategoryColumn,
+  getCategorySettingKey
+} = require('./categories');
+const { isValidAppCategory, validateBundleId, normalizeBundleIdList } = require('./apps');
+const {
+  validateUrlPrefix,
+  validateKeyword,
+  validateUrlRuleList,
+  normalizeUrlPrefixList,
+  normalizeKeywordList
+} = require('./urlrules');
 
 // Get default blocking settings
 const getDefaultBlockingSettings = () => {
   const settings = {};
   
   Object.keys(CONTENT_CATEGORIES).forEach(category => {
-    settings[`block_${category}`] = CONTENT_CATEGORIES[category].defaultBlocked;
+    settings[getCategoryColumn(category)] = CONTENT_CATEGORIES[category].defaultBlocked;
   });
   
   return {
     ...settings,
     custom_blocked_domains: [],
     custom_allowed_domains: [],
+    blocked_url_prefixes: [],
+    blocked_keywords: [],
     enable_time_restrictions: false,
     allowed_hours_start: null,
     allowed_hours_end: null,
     blocked_days: [],
+    timezone: 'UTC',
     enable_safe_search: true,
     block_explicit_content: true,
+    blocked_app_categories: [],
+    custom_blocked_apps: [],
+    enable_dns_filtering: false,
     settings_locked: false
   };
 };
 
-// Validate domain format
+// Essential services that should always be accessible, whatever the user's rules say.
+// Sent as PermittedURLs in the MDM content filter and checked first by the URL tester.
+const BASELINE_PERMITTED_DOMAINS = [
+  'apple.com',
+  'icloud.com',
+  'icloud-content.com',
+  'cdn-apple.com',
+  'mzstatic.com',
+  'altriirecovery.com',
+  'www.altriirecovery.com',
+  'app.altriirecovery.com',
+  'api.altriirecovery.com',
+  'emergency.gov',
+  '911.gov',
+  'suicidepreventionlifeline.org',
+  'crisistextline.org'
+];
+
+// Domain rule pattern: optional "*." wildcard, one or more labels, alphabetic or punycode TLD
+const DOMAIN_RULE_REGEX = /^(\*\.)?([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+// Find the registrable domain (e.g. "bbc.co.uk" for "news.bbc.co.uk") using the bundled Public Suffix List.
+// Returns null for bare public suffixes such as "co.uk" or "github.io".
+const getRegistrableDomain = (hostname) => {
+  return psl.get(hostname);
+};
+
+// Normalise user input into a canonical domain rule, or null if it isn't one.
+// Lowercases, strips scheme, credentials, path, port and trailing dots, converts IDN to
+// punycode and drops a leading "www." - so "WWW.Reddit.com/" and "reddit.com" are the same rule.
+const normalizeDomain = (input) => {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+  
+  let value = input.trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .split(/[/?#]/)[0]
+    .replace(/^[^@]*@/, '')
+    .replace(/:\d*$/, '')
+    .replace(/\.+$/, '');
+  
+  const wildcard = value.startsWith('*.');
+  if (wildcard) {
+    value = value.slice(2);
+  }
+  
+  // domainToASCII handles Unicode labels and returns '' for anything that can't be a hostname
+  let domain = domainToASCII(value);
+  
+  // Only drop "www." when what's left is still a registrable domain ("www.co.uk" stays as is)
+  if (domain.startsWith('www.') && getRegistrableDomain(domain.slice(4))) {
+    domain = domain.slice(4);
+  }
+  
+  const rule = wildcard ? `*.${domain}` : domain;
+  
+  if (!domain || rule.length > 253 || !DOMAIN_RULE_REGEX.test(rule)) {
+    return null;
+  }
+  
+  // A rule for a bare public suffix would cover every site registered under it
+  if (!getRegistrableDomain(domain)) {
+    return null;
+  }
+  
+  return rule;
+};
+
+// Normalise a list of domain rules, dropping invalid entries and duplicates
+const normalizeDomainList = (domains) => {
+  const normalized = (domains || []).map(normalizeDomain).filter(Boolean);
+  return [...new Set(normalized)];
+};
+
+// Validate domain format (plain domains, multi-level hosts, IDN and *.wildcard rules)
 const validateDomain = (domain) => {
-  if (!domain || typeof domain !== 'string') {
-    return false;
+  return normalizeDomain(domain) !== null;
+};
+
+// Split a rule into its base domain and whether it is a "*." wildcard
+// - "example.com"   matches example.com and every subdomain
+// - "*.example.com" matches every subdomain but not example.com itself
+const parseDomainRule = (rule) => {
+  const value = String(rule).trim().toLowerCase();
+  const wildcard = value.startsWith('*.');
+  const base = wildcard ? value.slice(2) : value;
+  const domain = domainToASCII(base) || base;
+  
+  return {
+    rule: wildcard ? `*.${domain}` : domain,
+    domain,
+    wildcard
+  };
+};
+
+// Check whether a hostname is covered by a domain rule
+const domainMatchesRule = (hostname, rule) => {
+  const host = String(hostname).trim().toLowerCase().replace(/\.$/, '');
+  const asciiHost = domainToASCII(host) || host;
+  const { domain, wildcard } = parseDomainRule(rule);
+  
+  if (asciiHost === domain) {
+    return !wildcard;
   }
   
-  // Remove protocol if present
-  const cleanDomain = domain.replace(/^https?:\/\//, '').replace(/^www\./, '');
+  return asciiHost.endsWith(`.${domain}`);
+};
+
+// Higher is more specific: each label counts, and a wildcard beats its own apex rule
+const getRuleSpecificity = (rule) => {
+  const { domain, wildcard } = parseDomainRule(rule);
+  return domain.split('.').length * 2 + (wildcard ? 1 : 0);
+};
+
+// Find the most specific rule in a list that covers the hostname
+const findMatchingRule = (hostname, rules = []) => {
+  let bestRule = null;
+  let bestSpecificity = -1;
   
-  // Basic domain validation regex
-  const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9]?\.[a-zA-Z]{2,}$/;
+  rules.forEach(rule => {
+    if (domainMatchesRule(hostname, rule)) {
+      const specificity = getRuleSpecificity(rule);
+      if (specificity > bestSpecificity) {
+        bestRule = rule;
+        bestSpecificity = specificity;
+      }
+    }
+  });
   
-  return domainRegex.test(cleanDomain);
+  return bestRule ? { rule: bestRule, specificity: bestSpecificity } : null;
+};
+
+// Decide whether a hostname is blocked: the most specific matching rule wins, ties go to allow
+const evaluateDomainRules = (hostname, blockedRules = [], allowedRules = []) => {
+  const blockMatch = findMatchingRule(hostname, blockedRules);
+  const allowMatch = findMatchingRule(hostname, allowedRules);
+  
+  if (allowMatch && (!blockMatch || allowMatch.specificity >= blockMatch.specificity)) {
+    return { verdict: 'allowed', rule: allowMatch.rule };
+  }
+  
+  if (blockMatch) {
+    return { verdict: 'blocked', rule: blockMatch.rule };
+  }
+  
+  return { verdict: 'not_covered', rule: null };
+};
+
+// Build a fast evaluateDomainRules for large rule lists (e.g. a DNS resolver checking every query).
+// Same semantics: candidate rules are walked from most to least specific - the host itself, then
+// "*.parent" and "parent" for each parent domain - and at equal specificity allow wins.
+const createDomainMatcher = (blockedRules = [], allowedRules = []) => {
+  const blocked = new Set(blockedRules.map(rule => parseDomainRule(rule).rule));
+  const allowed = new Set(allowedRules.map(rule => parseDomainRule(rule).rule));
+  
+  return (hostname) => {
+    const host = String(hostname).trim().toLowerCase().replace(/\.$/, '');
+    const labels = (domainToASCII(host) || host).split('.');
+    
+    for (let i = 0; i < labels.length; i++) {
+      const suffix = labels.slice(i).join('.');
+      const candidates = i === 0 ? [suffix] : [`*.${suffix}`, suffix];
+      
+      for (const rule of candidates) {
+        if (allowed.has(rule)) {
+          return { verdict: 'allowed', rule };
+        }
+        if (blocked.has(rule)) {
+          return { verdict: 'blocked', rule };
+        }
+      }
+    }
+    
+    return { verdict: 'not_covered', rule: null };
+  };
+};
+
+// Reconcile block and allow rules into the lists a content filter payload needs.
+// A blocked rule is dropped when an allow rule covers it at the same or higher specificity;
+// allow rules that sit inside a remaining blocked rule are kept as carve-out exceptions.
+const resolveDomainRules = (blockedRules = [], allowedRules = []) => {
+  const blocked = [...new Set(blockedRules.map(rule => parseDomainRule(rule).rule))];
+  const allowed = [...new Set(allowedRules.map(rule => parseDomainRule(rule).rule))];
+  
+  const effectiveBlocked = blocked.filter(rule => {
+    const { domain, wildcard } = parseDomainRule(rule);
+    // Probe with the rule's own most general host ("x.domain" for wildcards)
+    const probe = wildcard ? `x.${domain}` : domain;
+    return evaluateDomainRules(probe, [rule], allowed).verdict === 'blocked';
+  });
+  
+  const exceptions = allowed.filter(rule => {
+    const { domain } = parseDomainRule(rule);
+    return findMatchingRule(domain, effectiveBlocked) !== null;
+  });
+  
+  return {
+    blocked: effectiveBlocked.sort(),
+    allowed: allowed.sort(),
+    exceptions: exceptions.sort()
+  };
+};
+
+// Convert a rule into a content filter URL entry. iOS filter entries always cover
+// subdomains, so a wildcard is emitted as its base domain.
+const toFilterEntry = (rule) => {
+  return parseDomainRule(rule).domain;
 };
 
 // Validate time format (HH:MM)
@@ -89,24 +261,38 @@ const validateTimeFormat = (time) => {
   return timeRegex.test(time);
 };
 
+// Validate an IANA timezone name (e.g. "Europe/London")
+const validateTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
 // Validate blocking settings data
 const validateBlockingSettings = (settings) => {
   const errors = [];
   
   // Validate category settings
   Object.keys(CONTENT_CATEGORIES).forEach(category => {
-    const key = `block_${category}`;
+    const key = getCategorySettingKey(category);
     if (settings[key] !== undefined && typeof settings[key] !== 'boolean') {
       errors.push(`${key} must be true or false`);
     }
   });
   
   // Validate custom domains
-  if (settings.custom_blocked_domains) {
-    if (!Array.isArray(settings.custom_blocked_domains)) {
-      errors.push('custom_blocked_domains must be an array');
+  if (settings.customBlockedDomains) {
+    if (!Array.isArray(settings.customBlockedDomains)) {
+      errors.push('customBlockedDomains must be an array');
     } else {
-      settings.custom_blocked_domains.forEach((domain, index) => {
+      settings.customBlockedDomains.forEach((domain, index) => {
         if (!validateDomain(domain)) {
           errors.push(`Invalid blocked domain at index ${index}: ${domain}`);
         }
@@ -114,11 +300,11 @@ const validateBlockingSettings = (settings) => {
     }
   }
   
-  if (settings.custom_allowed_domains) {
-    if (!Array.isArray(settings.custom_allowed_domains)) {
-      errors.push('custom_allowed_domains must be an array');
+  if (settings.customAllowedDomains) {
+    if (!Array.isArray(settings.customAllowedDomains)) {
+      errors.push('customAllowedDomains must be an array');
     } else {
-      settings.custom_allowed_domains.forEach((domain, index) => {
+      settings.customAllowedDomains.forEach((domain, index) => {
         if (!validateDomain(domain)) {
           errors.push(`Invalid allowed domain at index ${index}: ${domain}`);
         }
@@ -126,90 +312,216 @@ const validateBlockingSettings = (settings) => {
     }
   }
   
+  // Validate URL prefix and keyword rules
+  if (settings.blockedUrlPrefixes) {
+    errors.push(...validateUrlRuleList('blockedUrlPrefixes', settings.blockedUrlPrefixes, validateUrlPrefix, 'URL prefix'));
+  }
+  
+  if (settings.blockedKeywords) {
+    errors.push(...validateUrlRuleList('blockedKeywords', settings.blockedKeywords, validateKeyword, 'keyword'));
+  }
+  
+  if (settings.enableDnsFiltering !== undefined && typeof settings.enableDnsFiltering !== 'boolean') {
+    errors.push('enableDnsFiltering must be true or false');
+  }
+  
+  // Validate app rules
+  if (settings.blockedAppCategories) {
+    if (!Array.isArray(settings.blockedAppCategories)) {
+      errors.push('blockedAppCategories must be an array');
+    } else {
+      settings.blockedAppCategories.forEach(category => {
+        if (!isValidAppCategory(category)) {
+          errors.push(`Unknown app category: ${category}`);
+        }
+      });
+    }
+  }
+  
+  if (settings.customBlockedApps) {
+    if (!Array.isArray(settings.customBlockedApps)) {
+      errors.push('customBlockedApps must be an array');
+    } else {
+      settings.customBlockedApps.forEach((bundleId, index) => {
+        if (!validateBundleId(bundleId)) {
+          errors.push(`Invalid app bundle ID at index ${index}: ${bundleId}`);
+        }
+      });
+    }
+  }
+  
   // Validate time restrictions
-  if (settings.enable_time_restrictions !== undefined && typeof settings.enable_time_restrictions !== 'boolean') {
-    errors.push('enable_time_restrictions must be true or false');
+  if (settings.enableTimeRestrictions !== undefined && typeof settings.enableTimeRestrictions !== 'boolean') {
+    errors.push('enableTimeRestrictions must be true or false');
   }
   
-  if (settings.allowed_hours_start && !validateTimeFormat(settings.allowed_hours_start)) {
-    errors.push('allowed_hours_start must be in HH:MM format');
+  if (settings.allowedHoursStart && !validateTimeFormat(settings.allowedHoursStart)) {
+    errors.push('allowedHoursStart must be in HH:MM format');
   }
   
-  if (settings.allowed_hours_end && !validateTimeFormat(settings.allowed_hours_end)) {
-    errors.push('allowed_hours_end must be in HH:MM format');
+  if (settings.allowedHoursEnd && !validateTimeFormat(settings.allowedHoursEnd)) {
+    errors.push('allowedHoursEnd must be in HH:MM format');
+  }
+  
+  if (settings.timezone !== undefined && !validateTimezone(settings.timezone)) {
+    errors.push(`Invalid timezone: ${settings.timezone}`);
   }
   
   // Validate blocked days
-  if (settings.blocked_days) {
-    if (!Array.isArray(settings.blocked_days)) {
-      errors.push('blocked_days must be an array');
+  if (settings.blockedDays) {
+    if (!Array.isArray(settings.blockedDays)) {
+      errors.push('blockedDays must be an array');
     } else {
-      settings.blocked_days.forEach((day, index) => {
+      settings.blockedDays.forEach((day, index) => {
         if (!Number.isInteger(day) || day < 0 || day > 6) {
           errors.push(`Invalid day at index ${index}: ${day} (must be 0-6)`);
         }
       });
     }
   }
-  
+
+  // Validate fields handed back to the user's defaults
+  if (settings.inheritFields !== undefined) {
+    if (!Array.isArray(settings.inheritFields)) {
+      errors.push('inheritFields must be an array');
+    } else {
+      settings.inheritFields.forEach(field => {
+        if (!INHERITABLE_SETTINGS[field]) {
+          errors.push(`Unknown inheritable setting: ${field}`);
+        }
+      });
+    }
+  }
+
   return errors;
 };
 
-// Get blocking settings for user/device
+// Settings a device can inherit from the user's defaults, keyed by the API field name
+const INHERITABLE_SETTINGS = {
+  ...Object.fromEntries(Object.keys(CONTENT_CATEGORIES).map(category => [
+    getCategorySettingKey(category),
+    getCategoryColumn(category)
+  ])),
+  customBlockedDomains: 'custom_blocked_domains',
+  customAllowedDomains: 'custom_allowed_domains',
+  blockedUrlPrefixes: 'blocked_url_prefixes',
+  blockedKeywords: 'blocked_keywords',
+  enableTimeRestrictions: 'enable_time_restrictions',
+  allowedHoursStart: 'allowed_hours_start',
+  allowedHoursEnd: 'allowed_hours_end',
+  blockedDays: 'blocked_days',
+  timezone: 'timezone',
+  enableSafeSearch: 'enable_safe_search',
+  blockExplicitContent: 'block_explicit_content',
+  blockedAppCategories: 'blocked_app_categories',
+  customBlockedApps: 'custom_blocked_apps',
+  enableDnsFiltering: 'enable_dns_filtering'
+};
+
+// Where an effective setting value came from
+const SETTING_SOURCES = {
+  DEVICE: 'device',
+  USER_DEFAULT: 'user_default',
+  SYSTEM_DEFAULT: 'system_default'
+};
+
+// Merge a device row over the user's default row over the system defaults.
+// A device row only wins for the columns listed in its overridden_fields.
+// Returns the merged row (snake_cased, like a blocking_settings row) and the source of each column.
+const resolveEffectiveSettings = (defaultRow, deviceRow) => {
+  const systemDefaults = getDefaultBlockingSettings();
+  const overridden = new Set(deviceRow?.overridden_fields || []);
+  const row = { ...(deviceRow || defaultRow || {}) };
+  const sources = {};
+
+  Object.values(INHERITABLE_SETTINGS).forEach(column => {
+    if (deviceRow && overridden.has(column)) {
+      row[column] = deviceRow[column];
+      sources[column] = SETTING_SOURCES.DEVICE;
+    } else if (defaultRow) {
+      row[column] = defaultRow[column];
+      sources[column] = SETTING_SOURCES.USER_DEFAULT;
+    } else {
+      row[column] = systemDefaults[column];
+      sources[column] = SETTING_SOURCES.SYSTEM_DEFAULT;
+    }
+  });
+
+  return { row, sources };
+};
+
+// Domains a device may visit right now through temporary access grants
+const getActiveGrantDomains = async (deviceId) => {
+  const result = await pool.query(`
+    SELECT DISTINCT domain FROM temporary_access_grants
+    WHERE device_id = $1 AND status = 'active' AND starts_at <= NOW() AND ends_at > NOW()
+  `, [deviceId]);
+
+  return result.rows.map(row => row.domain);
+};
+
+// Add granted domains to an effective row's allow-list. temporary_allowed_domains records the ones
+// that weren't already allowed, so callers can tell them apart from the saved list.
+const applyTemporaryGrants = (row, grantDomains = []) => {
+  const allowed = row.custom_allowed_domains || [];
+  const temporary = grantDomains.filter(domain => !allowed.includes(domain));
+
+  row.custom_allowed_domains = [...allowed, ...temporary];
+  row.temporary_allowed_domains = temporary;
+
+  return row;
+};
+
+// Load the user's default row and (optionally) a device row, then merge them.
+// A device's active temporary access grants are added to the merged allow-list.
+const getEffectiveSettingsRow = async (userId, deviceId = null) => {
+  const result = await pool.query(`
+    SELECT * FROM blocking_settings
+    WHERE user_id = $1 AND (device_id IS NULL OR device_id = $2)
+    ORDER BY created_at DESC
+  `, [userId, deviceId]);
+
+  const defaultRow = result.rows.find(row => row.device_id === null) || null;
+  const deviceRow = deviceId
+    ? result.rows.find(row => row.device_id !== null && Number(row.device_id) === Number(deviceId)) || null
+    : null;
+
+  const effective = resolveEffectiveSettings(defaultRow, deviceRow);
+  applyTemporaryGrants(effective.row, deviceId ? await getActiveGrantDomains(deviceId) : []);
+
+  return {
+    defaultRow,
+    deviceRow,
+    ...effective
+  };
+};
+
+// Get blocking settings for user/device. Device settings inherit every field
+// the device doesn't override from the user's defaults.
 const getBlockingSettings = async (userId, deviceId = null) => {
   try {
     console.log('🛡️ Getting blocking settings for user:', userId, 'device:', deviceId);
     
-    let query, params;
-    
-    if (deviceId) {
-      // Get device-specific settings
-      query = `
-        SELECT * FROM blocking_settings 
-        WHERE user_id = $1 AND device_id = $2
-        ORDER BY created_at DESC
-        LIMIT 1
-      `;
-      params = [userId, deviceId];
-    } else {
-      // Get user's default settings (no device_id)
-      query = `
-        SELECT * FROM blocking_settings 
-        WHERE user_id = $1 AND device_id IS NULL
-        ORDER BY created_at DESC
-        LIMIT 1
-      `;
-      params = [userId];
-    }
-    
-    const result = await pool.query(query, params);
+    const { defaultRow, deviceRow, row: settings, sources } = await getEffectiveSettingsRow(userId, deviceId);
+    const ownRow = deviceRow || defaultRow;
     
-    if (result.rows.length === 0) {
-      // Return default settings if none exist
-      const defaultSettings = getDefaultBlockingSettings();
-      return {
-        success: true,
-        settings: {
-          id: null,
-          userId: userId,
-          deviceId: deviceId,
-          isDefault: true,
-          ...defaultSettings,
-          createdAt: null,
-          updatedAt: null
-        }
-      };
-    }
+    // Report sources and overrides by API field name
+    const fieldSources = {};
+    Object.entries(INHERITABLE_SETTINGS).forEach(([field, column]) => {
+      fieldSources[field] = sources[column];
+    });
     
-    const settings = result.rows[0];
+    const overriddenFields = Object.keys(fieldSources)
+      .filter(field => fieldSources[field] === SETTING_SOURCES.DEVICE);
     
     return {
       success: true,
       settings: {
-        id: settings.id,
-        userId: settings.user_id,
-        deviceId: settings.device_id,
-        isDefault: false,
+        id: ownRow ? ownRow.id : null,
+        userId: userId,
+        deviceId: deviceId,
+        isDefault: !ownRow,
+        inheritsFrom: deviceRow ? (defaultRow ? SETTING_SOURCES.USER_DEFAULT : SETTING_SOURCES.SYSTEM_DEFAULT) : null,
         
         // Content categories
         blockAdultContent: settings.block_adult_content,
@@ -224,22 +536,43 @@ const getBlockingSettings = async (userId, deviceId = null) => {
         // Custom domains
         customBlockedDomains: settings.custom_blocked_domains || [],
         customAllowedDomains: settings.custom_allowed_domains || [],
+        temporaryAllowedDomains: settings.temporary_allowed_domains || [],
+        
+        // URL prefix and keyword rules
+        blockedUrlPrefixes: settings.blocked_url_prefixes || [],
+        blockedKeywords: settings.blocked_keywords || [],
         
         // Time restrictions
         enableTimeRestrictions: settings.enable_time_restrictions,
         allowedHoursStart: settings.allowed_hours_start,
         allowedHoursEnd: settings.allowed_hours_end,
         blockedDays: settings.blocked_days || [],
+        timezone: settings.timezone || 'UTC',
         
         // Safe search
         enableSafeSearch: settings.enable_safe_search,
         blockExplicitContent: settings.block_explicit_content,
         
+        // App rules
+        blockedAppCategories: settings.blocked_app_categories || [],
+        customBlockedApps: settings.custom_blocked_apps || [],
+        
+        // Encrypted DNS filtering
+        enableDnsFiltering: Boolean(settings.enable_dns_filtering),
+        
+        // Preset the settings were applied from
+        presetKey: ownRow ? ownRow.preset_key || null : null,
+        presetAppliedAt: ownRow ? ownRow.preset_applied_at || null : null,
+        
+        // Inheritance
+        sources: fieldSources,
+        overriddenFields,
+        
         // Meta
-        settingsLocked: settings.settings_locked,
-        settingsVersion: settings.settings_version,
-        createdAt: settings.created_at,
-        updatedAt: settings.updated_at
+        settingsLocked: ownRow ? ownRow.settings_locked : false,
+        settingsVersion: ownRow ? ownRow.settings_version : null,
+        createdAt: ownRow ? ownRow.created_at : null,
+        updatedAt: ownRow ? ownRow.updated_at : null
       }
     };
     
@@ -252,11 +585,83 @@ const getBlockingSettings = async (userId, deviceId = null) => {
   }
 };
 
-// Create or update blocking settings
-const saveBlockingSettings = async (userId, deviceId, settingsData) => {
+// Flag device profiles as stale so the user knows to reinstall them, and bump their profile revision.
+// With changedColumns, only devices that inherit at least one of those columns are flagged.
+const markDeviceProfilesOutdated = async (client, userId, options = {}) => {
+  const { deviceId = null, changedColumns = null } = options;
+
+  if (deviceId) {
+    await client.query(`
+      UPDATE device_profiles
+      SET profile_outdated = true, profile_outdated_at = CURRENT_TIMESTAMP, profile_revision = profile_revision + 1
+      WHERE id = $1 AND user_id = $2
+    `, [deviceId, userId]);
+    return;
+  }
+
+  const result = await client.query(`
+    UPDATE device_profiles dp
+    SET profile_outdated = true, profile_outdated_at = CURRENT_TIMESTAMP, profile_revision = dp.profile_revision + 1
+    WHERE dp.user_id = $1
+      AND dp.device_status = 'active'
+      AND NOT EXISTS (
+        SELECT 1 FROM blocking_settings bs
+        WHERE bs.user_id = dp.user_id AND bs.device_id = dp.id
+          AND $2::text[] IS NOT NULL AND $2::text[] <@ bs.overridden_fields
+      )
+    RETURNING dp.id
+  `, [userId, changedColumns]);
+
+  if (result.rows.length > 0) {
+    console.log(`📱 Marked ${result.rows.length} inheriting device profile(s) as outdated`);
+  }
+};
+
+// Inheritable columns that differ between two versions of a settings row (null when there was no previous row)
+const getChangedColumns = (before, after) => {
+  if (!before) {
+    return null;
+  }
+
+  return Object.values(INHERITABLE_SETTINGS)
+    .filter(column => JSON.stringify(before[column] ?? null) !== JSON.stringify(after[column] ?? null));
+};
+
+// Append a revision to the settings history. Runs on the caller's client so it
+// commits or rolls back together with the settings write it records.
+const recordSettingsRevision = async (client, settingsRow, context = {}) => {
+  await client.query(`
+    INSERT INTO blocking_settings_history (
+      settings_id, user_id, device_id, settings_version, settings_snapshot,
+      changed_by, change_source, client_ip, user_agent
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [
+    settingsRow.id,
+    settingsRow.user_id,
+    settingsRow.device_id,
+    settingsRow.settings_version,
+    JSON.stringify(settingsRow),
+    context.changedBy ?? settingsRow.user_id,
+    context.source || 'api',
+    context.ipAddress || null,
+    context.userAgent || null
+  ]);
+};
+
+// Create or update blocking settings.
+// options.presetKey records the preset the settings were applied from; plain saves keep the
+// existing preset_key so the row can be reported as drifted from it.
+// options.context ({ changedBy, source, ipAddress, userAgent }) is stored with the history revision.
+// Device saves only override the fields they set (plus any overridden before); fields named in
+// settingsData.inheritFields go back to following the user's defaults.
+const saveBlockingSettings = async (userId, deviceId, settingsData, options = {}) => {
+  const { presetKey = null, context = {} } = options;
+  
+  console.log('🛡️ Saving blocking settings for user:', userId, 'device:', deviceId);
+  
+  let client;
+  
   try {
-    console.log('🛡️ Saving blocking settings for user:', userId, 'device:', deviceId);
-    
     // Validate settings data
     const validationErrors = validateBlockingSettings(settingsData);
     if (validationErrors.length > 0) {
@@ -267,26 +672,28 @@ const saveBlockingSettings = async (userId, deviceId, settingsData) => {
       };
     }
     
-    // Check if settings are locked (timer active)
-    if (deviceId) {
-      const lockCheck = await checkSettingsLocked(userId, deviceId);
-      if (lockCheck.locked) {
-        return {
-          success: false,
-          error: 'Settings are locked due to active timer commitment',
-          lockInfo: lockCheck
-        };
-      }
+    // Check if settings are locked (timer active). Default settings feed every device, so any timer locks them.
+    const lockCheck = await checkSettingsLocked(userId, deviceId);
+    if (lockCheck.locked) {
+      return {
+        success: false,
+        error: 'Settings are locked due to active timer commitment',
+        lockInfo: lockCheck
+      };
     }
     
+    client = await pool.connect();
+    
+    await client.query('BEGIN');
+    
     // Check if settings already exist
-    const existingResult = await pool.query(
-      'SELECT id FROM blocking_settings WHERE user_id = $1 AND ($2::integer IS NULL AND device_id IS NULL OR device_id = $2)',
+    const existingResult = await client.query(
+      'SELECT * FROM blocking_settings WHERE user_id = $1 AND ($2::integer IS NULL AND device_id IS NULL OR device_id = $2)',
       [userId, deviceId]
     );
     
     const settingsExists = existingResult.rows.length > 0;
-    const settingsId = settingsExists ? existingResult.rows[0].id : null;
+    const existing = settingsExists ? existingResult.rows[0] : null;
     
     // Prepare data for database
     const dbData = {
@@ -300,21 +707,53 @@ const saveBlockingSettings = async (userId, deviceId, settingsData) => {
       block_entertainment: settingsData.blockEntertainment ?? false,
       block_shopping: settingsData.blockShopping ?? false,
       block_dating: settingsData.blockDating ?? false,
-      custom_blocked_domains: settingsData.customBlockedDomains || [],
-      custom_allowed_domains: settingsData.customAllowedDomains || [],
+      custom_blocked_domains: normalizeDomainList(settingsData.customBlockedDomains),
+      custom_allowed_domains: normalizeDomainList(settingsData.customAllowedDomains),
+      blocked_url_prefixes: normalizeUrlPrefixList(settingsData.blockedUrlPrefixes),
+      blocked_keywords: normalizeKeywordList(settingsData.blockedKeywords),
       enable_time_restrictions: settingsData.enableTimeRestrictions ?? false,
       allowed_hours_start: settingsData.allowedHoursStart || null,
       allowed_hours_end: settingsData.allowedHoursEnd || null,
       blocked_days: settingsData.blockedDays || [],
+      timezone: settingsData.timezone || 'UTC',
       enable_safe_search: settingsData.enableSafeSearch ?? true,
-      block_explicit_content: settingsData.blockExplicitContent ?? true
+      block_explicit_content: settingsData.blockExplicitContent ?? true,
+      blocked_app_categories: [...new Set(settingsData.blockedAppCategories || [])],
+      custom_blocked_apps: normalizeBundleIdList(settingsData.customBlockedApps),
+      enable_dns_filtering: settingsData.enableDnsFiltering ?? false
     };
     
+    // Fields the caller didn't send keep their stored value rather than being reset
+    if (existing) {
+      Object.entries(INHERITABLE_SETTINGS).forEach(([field, column]) => {
+        if (settingsData[field] === undefined) {
+          dbData[column] = existing[column];
+        }
+      });
+    }
+    
+    let overriddenFields = [];
+    
+    if (deviceId) {
+      const inheritFields = new Set(settingsData.inheritFields || []);
+      const overridden = new Set(existing ? existing.overridden_fields || [] : []);
+      
+      Object.entries(INHERITABLE_SETTINGS).forEach(([field, column]) => {
+        if (inheritFields.has(field)) {
+          overridden.delete(column);
+        } else if (settingsData[field] !== undefined) {
+          overridden.add(column);
+        }
+      });
+      
+      overriddenFields = Object.values(INHERITABLE_SETTINGS).filter(column => overridden.has(column));
+    }
+    
     let result;
     
     if (settingsExists) {
       // Update existing settings
-      result = await pool.query(`
+      result = await client.query(`
         UPDATE blocking_settings 
         SET 
           block_adult_content = $3,
@@ -333,6 +772,15 @@ const saveBlockingSettings = async (userId, deviceId, settingsData) => {
           blocked_days = $16,
           enable_safe_search = $17,
           block_explicit_content = $18,
+          timezone = $19,
+          preset_key = COALESCE($20, preset_key),
+          preset_applied_at = CASE WHEN $20::varchar IS NULL THEN preset_applied_at ELSE CURRENT_TIMESTAMP END,
+          overridden_fields = $21,
+          blocked_app_categories = $22,
+          custom_blocked_apps = $23,
+          enable_dns_filtering = $24,
+          blocked_url_prefixes = $25,
+          blocked_keywords = $26,
           settings_version = settings_version + 1,
           updated_at = CURRENT_TIMESTAMP
         WHERE user_id = $1 AND ($2::integer IS NULL AND device_id IS NULL OR device_id = $2)
@@ -344,18 +792,25 @@ const saveBlockingSettings = async (userId, deviceId, settingsData) => {
         dbData.block_shopping, dbData.block_dating, dbData.custom_blocked_domains,
         dbData.custom_allowed_domains, dbData.enable_time_restrictions,
         dbData.allowed_hours_start, dbData.allowed_hours_end, dbData.blocked_days,
-        dbData.enable_safe_search, dbData.block_explicit_content
+        dbData.enable_safe_search, dbData.block_explicit_content, dbData.timezone,
+        presetKey, overriddenFields, dbData.blocked_app_categories, dbData.custom_blocked_apps,
+        dbData.enable_dns_filtering, dbData.blocked_url_prefixes, dbData.blocked_keywords
       ]);
     } else {
       // Create new settings
-      result = await pool.query(`
+      result = await client.query(`
         INSERT INTO blocking_settings (
           user_id, device_id, block_adult_content, block_gambling, block_social_media,
           block_gaming, block_news, block_entertainment, block_shopping, block_dating,
           custom_blocked_domains, custom_allowed_domains, enable_time_restrictions,
           allowed_hours_start, allowed_hours_end, blocked_days, enable_safe_search,
-          block_explicit_content, settings_version
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, 1)
+          block_explicit_content, timezone, preset_key, preset_applied_at, overridden_fields,
+          blocked_app_categories, custom_blocked_apps, enable_dns_filtering,
+          blocked_url_prefixes, blocked_keywords, settings_version
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
+          CASE WHEN $20::varchar IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END, $21, $22, $23, $24, $25, $26, 1
+        )
         RETURNING *
       `, [
         dbData.user_id, dbData.device_id, dbData.block_adult_content, dbData.block_gambling,
@@ -363,10 +818,27 @@ const saveBlockingSettings = async (userId, deviceId, settingsData) => {
         dbData.block_entertainment, dbData.block_shopping, dbData.block_dating,
         dbData.custom_blocked_domains, dbData.custom_allowed_domains,
         dbData.enable_time_restrictions, dbData.allowed_hours_start, dbData.allowed_hours_end,
-        dbData.blocked_days, dbData.enable_safe_search, dbData.block_explicit_content
+        dbData.blocked_days, dbData.enable_safe_search, dbData.block_explicit_content,
+        dbData.timezone, presetKey, overriddenFields, dbData.blocked_app_categories,
+        dbData.custom_blocked_apps, dbData.enable_dns_filtering, dbData.blocked_url_prefixes,
+        dbData.blocked_keywords
       ]);
     }
     
+    await recordSettingsRevision(client, result.rows[0], context);
+    
+    // A device change only affects that device; a change to the defaults affects every device inheriting it
+    if (deviceId) {
+      await markDeviceProfilesOutdated(client, userId, { deviceId });
+    } else {
+      const changedColumns = getChangedColumns(existing, result.rows[0]);
+      if (changedColumns === null || changedColumns.length > 0) {
+        await markDeviceProfilesOutdated(client, userId, { changedColumns });
+      }
+    }
+    
+    await client.query('COMMIT');
+    
     console.log('✅ Blocking settings saved successfully');
     
     return {
@@ -376,29 +848,38 @@ const saveBlockingSettings = async (userId, deviceId, settingsData) => {
     };
     
   } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
     console.error('❌ Failed to save blocking settings:', error.message);
     return {
       success: false,
       error: 'Failed to save blocking settings',
       message: error.message
     };
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 };
 
-// Check if settings are locked due to timer commitment
-const checkSettingsLocked = async (userId, deviceId) => {
+// Check if settings are locked due to timer commitment.
+// A device is locked by its own timers and account-wide ones; the default settings (deviceId null)
+// are locked by any active timer, since every inheriting device picks up changes to them.
+const checkSettingsLocked = async (userId, deviceId = null) => {
   try {
     const result = await pool.query(`
       SELECT 
         id,
-        timer_end_time,
-        timer_status
+        device_id,
+        end_time
       FROM timer_commitments 
       WHERE user_id = $1 
-        AND (device_id = $2 OR device_id IS NULL)
-        AND timer_status = 'active'
-        AND timer_end_time > NOW()
-      ORDER BY timer_end_time DESC
+        AND ($2::integer IS NULL OR device_id = $2 OR device_id IS NULL)
+        AND status = 'active'
+        AND end_time > NOW()
+      ORDER BY end_time DESC
       LIMIT 1
     `, [userId, deviceId]);
     
@@ -407,7 +888,9 @@ const checkSettingsLocked = async (userId, deviceId) => {
       return {
         locked: true,
         timerId: timer.id,
-        unlockTime: timer.timer_end_time,
+        deviceId: timer.device_id,
+        unlockTime: timer.end_time,
+        timeRemaining: Math.ceil((new Date(timer.end_time) - new Date()) / 1000 / 60 / 60),
         message: 'Settings are locked due to active timer commitment'
       };
     }
@@ -436,39 +919,55 @@ const getAllUserBlockingSettings = async (userId) => {
       ORDER BY bs.device_id IS NULL DESC, dp.device_name ASC, bs.created_at DESC
     `, [userId]);
     
-    const settings = result.rows.map(row => ({
-      id: row.id,
-      userId: row.user_id,
-      deviceId: row.device_id,
-      deviceName: row.device_name || 'Default Settings',
-      deviceType: row.device_type,
-      isDefault: row.device_id === null,
-      
-      blockAdultContent: row.block_adult_content,
-      blockGambling: row.block_gambling,
-      blockSocialMedia: row.block_social_media,
-      blockGaming: row.block_gaming,
-      blockNews: row.block_news,
-      blockEntertainment: row.block_entertainment,
-      blockShopping: row.block_shopping,
-      blockDating: row.block_dating,
-      
-      customBlockedDomains: row.custom_blocked_domains || [],
-      customAllowedDomains: row.custom_allowed_domains || [],
-      
-      enableTimeRestrictions: row.enable_time_restrictions,
-      allowedHoursStart: row.allowed_hours_start,
-      allowedHoursEnd: row.allowed_hours_end,
-      blockedDays: row.blocked_days || [],
-      
-      enableSafeSearch: row.enable_safe_search,
-      blockExplicitContent: row.block_explicit_content,
-      
-      settingsLocked: row.settings_locked,
-      settingsVersion: row.settings_version,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    }));
+    // Device rows only hold their overrides, so show them merged with the user's defaults
+    const defaultRow = result.rows.find(row => row.device_id === null) || null;
+    
+    const settings = result.rows
+      .map(row => row.device_id === null ? row : resolveEffectiveSettings(defaultRow, row).row)
+      .map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        deviceId: row.device_id,
+        deviceName: row.device_name || 'Default Settings',
+        deviceType: row.device_type,
+        isDefault: row.device_id === null,
+        
+        blockAdultContent: row.block_adult_content,
+        blockGambling: row.block_gambling,
+        blockSocialMedia: row.block_social_media,
+        blockGaming: row.block_gaming,
+        blockNews: row.block_news,
+        blockEntertainment: row.block_entertainment,
+        blockShopping: row.block_shopping,
+        blockDating: row.block_dating,
+        
+        customBlockedDomains: row.custom_blocked_domains || [],
+        customAllowedDomains: row.custom_allowed_domains || [],
+        blockedUrlPrefixes: row.blocked_url_prefixes || [],
+        blockedKeywords: row.blocked_keywords || [],
+        
+        enableTimeRestrictions: row.enable_time_restrictions,
+        allowedHoursStart: row.allowed_hours_start,
+        allowedHoursEnd: row.allowed_hours_end,
+        blockedDays: row.blocked_days || [],
+        timezone: row.timezone || 'UTC',
+        
+        enableSafeSearch: row.enable_safe_search,
+        blockExplicitContent: row.block_explicit_content,
+        
+        blockedAppCategories: row.blocked_app_categories || [],
+        customBlockedApps: row.custom_blocked_apps || [],
+        
+        enableDnsFiltering: Boolean(row.enable_dns_filtering),
+        
+        overriddenFields: Object.keys(INHERITABLE_SETTINGS)
+          .filter(field => (row.overridden_fields || []).includes(INHERITABLE_SETTINGS[field])),
+        
+        settingsLocked: row.settings_locked,
+        settingsVersion: row.settings_version,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }));
     
     return {
       success: true,
@@ -485,20 +984,18 @@ const getAllUserBlockingSettings = async (userId) => {
 };
 
 // Delete blocking settings
-const deleteBlockingSettings = async (userId, deviceId) => {
+const deleteBlockingSettings = async (userId, deviceId = null) => {
   try {
     console.log('🛡️ Deleting blocking settings for user:', userId, 'device:', deviceId);
     
     // Check if settings are locked
-    if (deviceId) {
-      const lockCheck = await checkSettingsLocked(userId, deviceId);
-      if (lockCheck.locked) {
-        return {
-          success: false,
-          error: 'Cannot delete settings while timer is active',
-          lockInfo: lockCheck
-        };
-      }
+    const lockCheck = await checkSettingsLocked(userId, deviceId);
+    if (lockCheck.locked) {
+      return {
+        success: false,
+        error: 'Cannot delete settings while timer is active',
+        lockInfo: lockCheck
+      };
     }
     
     const result = await pool.query(
@@ -513,6 +1010,9 @@ const deleteBlockingSettings = async (userId, deviceId) => {
       };
     }
     
+    // A deleted device row falls back to the defaults; deleted defaults fall back to the system defaults
+    await markDeviceProfilesOutdated(pool, userId, { deviceId });
+    
     console.log('✅ Blocking settings deleted successfully');
     
     return {
@@ -524,20 +1024,38 @@ const deleteBlockingSettings = async (userId, deviceId) => {
     console.error('❌ Failed to delete blocking settings:', error.message);
     return {
       success: false,
-      error: 'Failed to delete blocking settings'
+      error: 'Failed to delete blocking settings',
+      message: error.message
     };
   }
 };
 
 module.exports = {
-  CONTENT_CATEGORIES,
   getDefaultBlockingSettings,
   validateBlockingSettings,
+  BASELINE_PERMITTED_DOMAINS,
+  INHERITABLE_SETTINGS,
+  SETTING_SOURCES,
   getBlockingSettings,
+  getEffectiveSettingsRow,
+  getActiveGrantDomains,
   saveBlockingSettings,
+  recordSettingsRevision,
+  markDeviceProfilesOutdated,
   checkSettingsLocked,
   getAllUserBlockingSettings,
   deleteBlockingSettings,
   validateDomain,
-  validateTimeFormat
+  normalizeDomain,
+  normalizeDomainList,
+  getRegistrableDomain,
+  validateTimeFormat,
+  validateTimezone,
+  parseDomainRule,
+  domainMatchesRule,
+  findMatchingRule,
+  evaluateDomainRules,
+  createDomainMatcher,
+  resolveDomainRules,
+  toFilterEntry
 };
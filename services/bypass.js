@@ -0,0 +1,399 @@
+const { pool } = require('../config/database');
+const { getBlockingSettings } = require('./blocking');
+const { getCategoryDomains } = require('./catalogue');
+const { APP_CATEGORIES, getEnforcedBundleIds } = require('./apps');
+const { explainUrlVerdict, URL_VERDICTS } = require('./profile');
+const { SCHEDULE_PHASES } = require('./schedule');
+
+// Bypass-resistance audit: checks a device's effective configuration against the ways people
+// most often get round the filter - VPN apps, other browsers, proxy and translate sites, cached
+// page viewers - and reports each gap with the setting that closes it.
+
+const AUDIT_SEVERITIES = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+// How much each check counts towards the score
+const SEVERITY_WEIGHTS = {
+  high: 3,
+  medium: 2,
+  low: 1
+};
+
+const PROFILE_TYPES = {
+  NONE: 'none',
+  WEB_FILTER: 'web_filter',
+  SUPERVISION: 'supervision'
+};
+
+// Names for the bypass apps in APP_CATEGORIES, so findings can say "Firefox" rather than a bundle ID
+const BYPASS_APP_NAMES = {
+  'com.tunnelbear.ios.TunnelBear': 'TunnelBear',
+  'com.nordvpn.ios': 'NordVPN',
+  'com.expressvpn.ExpressVPN': 'ExpressVPN',
+  'com.protonvpn.ios': 'Proton VPN',
+  'com.cloudflare.onedotonedotonedotone': 'Cloudflare 1.1.1.1',
+  'com.opera.OperaMini': 'Opera Mini',
+  'com.opera.Opera-Touch': 'Opera Touch',
+  'org.torproject.ios': 'Tor Browser',
+  'com.brave.ios.browser': 'Brave',
+  'com.mozilla.ios.Firefox': 'Firefox',
+  'com.mozilla.ios.Focus': 'Firefox Focus',
+  'com.google.chrome.ios': 'Chrome',
+  'com.microsoft.msedge': 'Edge',
+  'com.duckduckgo.mobile.ios': 'DuckDuckGo',
+  'com.alohabrowser.alohabrowser': 'Aloha Browser'
+};
+
+// App categories that are bypass routes in themselves
+const BYPASS_APP_CATEGORIES = {
+  vpn: AUDIT_SEVERITIES.HIGH,
+  alternate_browser: AUDIT_SEVERITIES.MEDIUM
+};
+
+// Websites that show other sites' content from their own address. Each is probed with the
+// URL tester; the fix adds the rules for whichever probes weren't blocked.
+const BYPASS_SITES = [
+  {
+    id: 'google_translate_proxy',
+    name: 'Google Translate proxy',
+    severity: AUDIT_SEVERITIES.HIGH,
+    probes: [
+      // translate.goog is on the public suffix list, so no domain rule can cover it - a keyword can
+      { url: 'https://example-com.translate.goog/', setting: 'blockedKeywords', rule: 'translate.goog' }
+    ]
+  },
+  {
+    id: 'google_translate_website',
+    name: 'Google Translate website translation',
+    severity: AUDIT_SEVERITIES.MEDIUM,
+    probes: [
+      { url: 'https://translate.google.com/translate?sl=auto&u=example.com', setting: 'blockedUrlPrefixes', rule: 'translate.google.com/translate?' }
+    ]
+  },
+  {
+    id: 'bing_translator_proxy',
+    name: 'Bing Translator proxy',
+    severity: AUDIT_SEVERITIES.MEDIUM,
+    probes: [
+      { url: 'https://www.translatetheweb.com/?a=example.com', setting: 'customBlockedDomains', rule: 'translatetheweb.com' }
+    ]
+  },
+  {
+    id: 'web_proxies',
+    name: 'Web proxy sites',
+    severity: AUDIT_SEVERITIES.HIGH,
+    probes: ['proxysite.com', 'croxyproxy.com', 'kproxy.com', 'hidester.com', 'proxyium.com'].map(domain => ({
+      url: `https://${domain}/`, setting: 'customBlockedDomains', rule: domain
+    }))
+  },
+  {
+    id: 'wayback_machine',
+    name: 'Wayback Machine cached pages',
+    severity: AUDIT_SEVERITIES.MEDIUM,
+    probes: [
+      { url: 'https://web.archive.org/web/2024/example.com', setting: 'customBlockedDomains', rule: 'web.archive.org' }
+    ]
+  },
+  {
+    id: 'archive_today',
+    name: 'archive.today page snapshots',
+    severity: AUDIT_SEVERITIES.MEDIUM,
+    probes: ['archive.ph', 'archive.today', 'archive.is'].map(domain => ({
+      url: `https://${domain}/`, setting: 'customBlockedDomains', rule: domain
+    }))
+  },
+  {
+    id: 'google_cache',
+    name: 'Google cached pages',
+    severity: AUDIT_SEVERITIES.LOW,
+    probes: [
+      { url: 'https://webcache.googleusercontent.com/search?q=cache:example.com', setting: 'customBlockedDomains', rule: 'webcache.googleusercontent.com' }
+    ]
+  },
+  {
+    id: 'public_doh_resolvers',
+    name: 'Public encrypted DNS resolvers',
+    severity: AUDIT_SEVERITIES.LOW,
+    probes: ['dns.google', 'cloudflare-dns.com', 'doh.opendns.com', 'dns.quad9.net'].map(domain => ({
+      url: `https://${domain}/dns-query`, setting: 'customBlockedDomains', rule: domain
+    }))
+  }
+];
+
+// Fix suggestions, in the shape the dashboard applies: add a value to a list setting or set a value
+const addFix = (setting, value, description) => ({ setting, action: 'add', value, description });
+const setFix = (setting, value, description) => ({ setting, action: 'set', value, description });
+
+const SUPERVISION_FIX = setFix(
+  'profileType',
+  PROFILE_TYPES.SUPERVISION,
+  'Enrol the device in supervision - only supervised devices can block apps and stop the profile being removed'
+);
+
+// Which profile a device runs and at what level
+const getDeviceProtection = async (userId, deviceId) => {
+  const result = await pool.query(`
+    SELECT
+      dp.id, dp.device_name, dp.profile_installed, dp.mdm_enrolled,
+      sp.security_level, mds.supervised
+    FROM device_profiles dp
+    LEFT JOIN supervision_profiles sp ON sp.device_id = dp.id
+    LEFT JOIN mdm_device_sessions mds ON mds.device_id = dp.id
+    WHERE dp.id = $1 AND dp.user_id = $2 AND dp.device_status = 'active'
+  `, [deviceId, userId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const device = result.rows[0];
+  const hasSupervisionProfile = device.mdm_enrolled && device.security_level !== null;
+
+  return {
+    deviceId: device.id,
+    deviceName: device.device_name,
+    profileType: hasSupervisionProfile ? PROFILE_TYPES.SUPERVISION
+      : device.profile_installed ? PROFILE_TYPES.WEB_FILTER
+      : PROFILE_TYPES.NONE,
+    securityLevel: hasSupervisionProfile ? device.security_level : 0,
+    // Unknown until the device reports in; app blocking is only enforced on supervised devices
+    supervised: device.supervised ?? null
+  };
+};
+
+// App checks. On a supervised device each bypass app is checked against the restrictions payload's
+// blocked bundle IDs; elsewhere apps can't be blocked at all, so there is one finding per category.
+const auditApps = (settings, protection) => {
+  const canBlockApps = protection.profileType === PROFILE_TYPES.SUPERVISION && protection.supervised !== false;
+  const checks = [];
+
+  if (!canBlockApps) {
+    Object.entries(BYPASS_APP_CATEGORIES).forEach(([category, severity]) => {
+      checks.push({
+        id: `apps_${category}`,
+        type: 'app',
+        severity,
+        passed: false,
+        title: `${APP_CATEGORIES[category].name} can be installed and used`,
+        detail: `App blocking only works on supervised devices - ${APP_CATEGORIES[category].bundleIds.map(bundleId => BYPASS_APP_NAMES[bundleId] || bundleId).join(', ')} are not blocked`,
+        fixes: [SUPERVISION_FIX]
+      });
+    });
+    return checks;
+  }
+
+  const level = protection.securityLevel;
+  const enforced = new Set(getEnforcedBundleIds(settings, level).map(bundleId => bundleId.toLowerCase()));
+
+  Object.entries(BYPASS_APP_CATEGORIES).forEach(([category, severity]) => {
+    APP_CATEGORIES[category].bundleIds.forEach(bundleId => {
+      const name = BYPASS_APP_NAMES[bundleId] || bundleId;
+      const passed = enforced.has(bundleId.toLowerCase());
+
+      checks.push({
+        id: `app_${bundleId}`,
+        type: 'app',
+        severity,
+        passed,
+        title: passed ? `${name} blocked` : `${name} allowed at level ${level}`,
+        detail: `${APP_CATEGORIES[category].name}: ${bundleId}`,
+        fixes: passed ? [] : [
+          addFix('blockedAppCategories', category, `Block the ${APP_CATEGORIES[category].name} app category`),
+          addFix('customBlockedApps', bundleId, `Block ${name} on its own`)
+        ]
+      });
+    });
+  });
+
+  return checks;
+};
+
+// Profile and supervision checks: what a determined user can undo on the device itself
+const auditProtection = (protection) => {
+  const { profileType, securityLevel } = protection;
+  const supervised = profileType === PROFILE_TYPES.SUPERVISION;
+  const levelFix = (level, description) => setFix('securityLevel', level, description);
+
+  return [
+    {
+      id: 'profile_installed',
+      type: 'profile',
+      severity: AUDIT_SEVERITIES.HIGH,
+      passed: profileType !== PROFILE_TYPES.NONE,
+      title: profileType === PROFILE_TYPES.NONE ? 'No filtering profile installed' : 'Filtering profile installed',
+      fixes: profileType === PROFILE_TYPES.NONE ? [setFix('profileType', PROFILE_TYPES.WEB_FILTER, 'Download and install the device profile')] : []
+    },
+    {
+      id: 'profile_removal',
+      type: 'profile',
+      severity: AUDIT_SEVERITIES.HIGH,
+      passed: supervised && securityLevel >= 3,
+      title: supervised && securityLevel >= 3
+        ? 'Profile removal is disallowed'
+        : 'The profile can be removed in Settings',
+      fixes: supervised
+        ? (securityLevel >= 3 ? [] : [levelFix(3, 'Level 3 marks the supervision profile as non-removable')])
+        : [SUPERVISION_FIX]
+    },
+    {
+      id: 'vpn_configuration',
+      type: 'profile',
+      severity: AUDIT_SEVERITIES.HIGH,
+      passed: supervised && securityLevel >= 2,
+      title: supervised && securityLevel >= 2
+        ? 'Adding VPN configurations is blocked'
+        : 'VPN configurations can be added in Settings',
+      fixes: supervised
+        ? (securityLevel >= 2 ? [] : [levelFix(2, 'Level 2 turns off VPN creation')])
+        : [SUPERVISION_FIX]
+    },
+    {
+      id: 'app_installation',
+      type: 'profile',
+      severity: AUDIT_SEVERITIES.MEDIUM,
+      passed: supervised && securityLevel >= 3,
+      title: supervised && securityLevel >= 3
+        ? 'New apps can\'t be installed'
+        : 'New apps can be installed, including bypass apps not on the block list',
+      fixes: supervised
+        ? (securityLevel >= 3 ? [] : [levelFix(3, 'Level 3 turns off app installation')])
+        : [SUPERVISION_FIX]
+    },
+    {
+      id: 'profile_installation',
+      type: 'profile',
+      severity: AUDIT_SEVERITIES.MEDIUM,
+      passed: supervised && securityLevel >= 3,
+      title: supervised && securityLevel >= 3
+        ? 'Other configuration profiles can\'t be installed'
+        : 'Other configuration profiles (e.g. a DNS or VPN profile) can be installed',
+      fixes: supervised
+        ? (securityLevel >= 3 ? [] : [levelFix(3, 'Level 3 turns off profile installation')])
+        : [SUPERVISION_FIX]
+    }
+  ];
+};
+
+// Blocking settings checks that aren't about a particular site
+const auditSettings = (settings) => {
+  return [
+    {
+      id: 'dns_filtering',
+      type: 'setting',
+      severity: AUDIT_SEVERITIES.MEDIUM,
+      passed: Boolean(settings.enableDnsFiltering),
+      title: settings.enableDnsFiltering
+        ? 'Encrypted DNS filtering covers every app'
+        : 'Only Safari and web views are filtered - other apps can reach blocked sites',
+      fixes: settings.enableDnsFiltering ? [] : [setFix('enableDnsFiltering', true, 'Turn on encrypted DNS filtering')]
+    },
+    {
+      id: 'safe_search',
+      type: 'setting',
+      severity: AUDIT_SEVERITIES.MEDIUM,
+      passed: settings.enableSafeSearch !== false,
+      title: settings.enableSafeSearch !== false
+        ? 'Safe search is enforced'
+        : 'Search engine image and video results are unfiltered',
+      fixes: settings.enableSafeSearch !== false ? [] : [setFix('enableSafeSearch', true, 'Turn on safe search')]
+    }
+  ];
+};
+
+// Site checks, using the URL tester's rules for the day phase (the least strict one)
+const auditSites = (settings, categoryDomains) => {
+  return BYPASS_SITES.map(site => {
+    const open = site.probes.filter(probe => {
+      const hostname = new URL(probe.url).hostname;
+      const { verdict } = explainUrlVerdict(probe.url, hostname, settings, categoryDomains, SCHEDULE_PHASES.DAY);
+      return verdict !== URL_VERDICTS.BLOCKED;
+    });
+
+    return {
+      id: site.id,
+      type: 'site',
+      severity: site.severity,
+      passed: open.length === 0,
+      title: open.length === 0 ? `${site.name} blocked` : `${site.name} not blocked`,
+      ...(open.length > 0 && { detail: `Reachable: ${open.map(probe => new URL(probe.url).hostname).join(', ')}` }),
+      fixes: open.map(probe => addFix(probe.setting, probe.rule, `Block ${probe.rule}`))
+    };
+  });
+};
+
+// Score a device's effective configuration against the bypass catalogue.
+// Returns a 0-100 score (weighted by severity) and the failed checks as findings.
+const auditDevice = async (userId, deviceId) => {
+  try {
+    const protection = await getDeviceProtection(userId, deviceId);
+
+    if (!protection) {
+      return {
+        success: false,
+        error: 'Device not found'
+      };
+    }
+
+    const settingsResult = await getBlockingSettings(userId, deviceId);
+
+    if (!settingsResult.success) {
+      return {
+        success: false,
+        error: 'Failed to get blocking settings for device'
+      };
+    }
+
+    const settings = settingsResult.settings;
+    const catalogue = await getCategoryDomains();
+
+    const checks = [
+      ...auditProtection(protection),
+      ...auditSettings(settings),
+      ...auditApps(settings, protection),
+      ...auditSites(settings, catalogue.categories)
+    ];
+
+    const totalWeight = checks.reduce((sum, check) => sum + SEVERITY_WEIGHTS[check.severity], 0);
+    const passedWeight = checks
+      .filter(check => check.passed)
+      .reduce((sum, check) => sum + SEVERITY_WEIGHTS[check.severity], 0);
+
+    const severityOrder = Object.values(AUDIT_SEVERITIES);
+    const findings = checks
+      .filter(check => !check.passed)
+      .sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity));
+
+    console.log(`🧱 Bypass audit for device ${deviceId}: ${findings.length} finding(s)`);
+
+    return {
+      success: true,
+      audit: {
+        ...protection,
+        score: totalWeight > 0 ? Math.round((passedWeight / totalWeight) * 100) : 100,
+        findings,
+        passedChecks: checks.filter(check => check.passed).map(check => check.id),
+        totalChecks: checks.length,
+        catalogueVersion: catalogue.version,
+        auditedAt: new Date()
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Bypass audit failed:', error.message);
+    return {
+      success: false,
+      error: 'Bypass audit failed',
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  AUDIT_SEVERITIES,
+  PROFILE_TYPES,
+  BYPASS_SITES,
+  auditDevice
+};
@@ -0,0 +1,422 @@
+const { pool } = require('../config/database');
+const { CONTENT_CATEGORIES, isValidCategory } = require('./categories');
+const { validateDomain, normalizeDomain } = require('./blocking');
+
+// In-memory copy of the active catalogue, refreshed whenever the version changes
+let catalogueCache = null;
+
+// Maximum number of rows written per INSERT statement
+const INSERT_CHUNK_SIZE = 1000;
+
+// Get the current catalogue version (0 if the catalogue has never been seeded)
+const getCatalogueVersion = async () => {
+  const result = await pool.query(
+    'SELECT COALESCE(MAX(version), 0) AS version FROM domain_catalogue_versions'
+  );
+  return parseInt(result.rows[0].version);
+};
+
+// Get active catalogue domains grouped by category
+const getCategoryDomains = async () => {
+  const version = await getCatalogueVersion();
+
+  if (catalogueCache && catalogueCache.version === version) {
+    return catalogueCache;
+  }
+
+  const result = await pool.query(`
+    SELECT domain, category
+    FROM blocked_domains
+    WHERE retired_at IS NULL
+    ORDER BY category, domain
+  `);
+
+  const categories = {};
+  Object.keys(CONTENT_CATEGORIES).forEach(category => {
+    categories[category] = [];
+  });
+
+  result.rows.forEach(row => {
+    if (!categories[row.category]) {
+      categories[row.category] = [];
+    }
+    categories[row.category].push(row.domain);
+  });
+
+  catalogueCache = {
+    version,
+    categories,
+    totalDomains: result.rows.length,
+    loadedAt: new Date()
+  };
+
+  console.log(`📚 Domain catalogue v${version} loaded: ${result.rows.length} active domains`);
+
+  return catalogueCache;
+};
+
+// Get active domains for a list of category keys
+const getDomainsForCategories = async (categoryKeys) => {
+  const catalogue = await getCategoryDomains();
+  const domains = [];
+
+  categoryKeys.forEach(category => {
+    domains.push(...(catalogue.categories[category] || []));
+  });
+
+  return [...new Set(domains)];
+};
+
+// Record a new catalogue version inside an open transaction
+const createCatalogueVersion = async (client, changeSummary, changedBy) => {
+  const result = await client.query(`
+    INSERT INTO domain_catalogue_versions (change_summary, changed_by)
+    VALUES ($1, $2)
+    RETURNING version, created_at
+  `, [changeSummary, changedBy || null]);
+
+  return result.rows[0];
+};
+
+// Validate a catalogue entry before it is written
+const validateCatalogueEntry = (entry) => {
+  const errors = [];
+
+  if (!entry || typeof entry !== 'object') {
+    return ['Entry must be an object'];
+  }
+
+  if (!validateDomain(entry.domain)) {
+    errors.push(`Invalid domain: ${entry.domain}`);
+  }
+
+  if (!isValidCategory(entry.category)) {
+    errors.push(`Invalid category for ${entry.domain}: ${entry.category}`);
+  }
+
+  if (entry.confidence !== undefined) {
+    const confidence = Number(entry.confidence);
+    if (Number.isNaN(confidence) || confidence < 0 || confidence > 1) {
+      errors.push(`Confidence for ${entry.domain} must be between 0 and 1`);
+    }
+  }
+
+  return errors;
+};
+
+// List catalogue entries with their metadata
+const listCatalogueEntries = async (options = {}) => {
+  try {
+    const { category = null, includeRetired = false, search = null, limit = 100, offset = 0 } = options;
+
+    const result = await pool.query(`
+      SELECT
+        id, domain, category, source, confidence, added_at, added_in_version,
+        retired_at, retired_in_version, retired_reason,
+        COUNT(*) OVER() AS total_count
+      FROM blocked_domains
+      WHERE ($1::varchar IS NULL OR category = $1)
+        AND ($2::boolean OR retired_at IS NULL)
+        AND ($3::varchar IS NULL OR domain ILIKE '%' || $3 || '%')
+      ORDER BY category, domain
+      LIMIT $4 OFFSET $5
+    `, [category, includeRetired, search, limit, offset]);
+
+    return {
+      success: true,
+      version: await getCatalogueVersion(),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+      entries: result.rows.map(row => ({
+        id: row.id,
+        domain: row.domain,
+        category: row.category,
+        source: row.source,
+        confidence: parseFloat(row.confidence),
+        addedAt: row.added_at,
+        addedInVersion: row.added_in_version,
+        retiredAt: row.retired_at,
+        retiredInVersion: row.retired_in_version,
+        retiredReason: row.retired_reason,
+        active: row.retired_at === null
+      }))
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to list catalogue entries:', error.message);
+    return {
+      success: false,
+      error: 'Failed to retrieve domain catalogue'
+    };
+  }
+};
+
+// Add (or re-activate) catalogue entries as a single new version
+const addCatalogueEntries = async (entries, options = {}) => {
+  const { source = 'manual', changedBy = null, changeSummary = null } = options;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return {
+      success: false,
+      error: 'At least one entry is required'
+    };
+  }
+
+  const validationErrors = entries.flatMap(validateCatalogueEntry);
+  if (validationErrors.length > 0) {
+    return {
+      success: false,
+      error: 'Validation failed',
+      details: validationErrors
+    };
+  }
+
+  // Drop repeated domain/category pairs - Postgres can't upsert the same row twice in one statement
+  const seen = new Set();
+  const uniqueEntries = entries
+    .map(entry => ({ ...entry, domain: normalizeDomain(entry.domain) }))
+    .filter(entry => {
+      const key = `${entry.domain}|${entry.category}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  let client;
+
+  try {
+    client = await pool.connect();
+
+    console.log('📚 Adding', uniqueEntries.length, 'catalogue entries from source:', source);
+
+    await client.query('BEGIN');
+
+    const version = await createCatalogueVersion(
+      client,
+      changeSummary || `Added ${uniqueEntries.length} domain(s) from ${source}`,
+      changedBy
+    );
+
+    let added = 0;
+
+    // Insert in chunks so large imported lists don't become one giant statement
+    for (let i = 0; i < uniqueEntries.length; i += INSERT_CHUNK_SIZE) {
+      const chunk = uniqueEntries.slice(i, i + INSERT_CHUNK_SIZE);
+
+      const result = await client.query(`
+        INSERT INTO blocked_domains (domain, category, source, confidence, added_in_version)
+        SELECT entry.domain, entry.category, entry.source, entry.confidence, $5
+        FROM UNNEST($1::varchar[], $2::varchar[], $3::varchar[], $4::numeric[])
+          AS entry (domain, category, source, confidence)
+        ON CONFLICT (domain, category) DO UPDATE SET
+          source = EXCLUDED.source,
+          confidence = EXCLUDED.confidence,
+          added_at = CURRENT_TIMESTAMP,
+          added_in_version = EXCLUDED.added_in_version,
+          retired_at = NULL,
+          retired_in_version = NULL,
+          retired_reason = NULL
+        WHERE blocked_domains.retired_at IS NOT NULL
+        RETURNING id
+      `, [
+        chunk.map(entry => entry.domain),
+        chunk.map(entry => entry.category),
+        chunk.map(entry => entry.source || source),
+        chunk.map(entry => entry.confidence ?? 1),
+        version.version
+      ]);
+
+      added += result.rows.length;
+    }
+
+    const skipped = entries.length - added;
+
+    if (added === 0) {
+      // Nothing changed, so don't burn a version number
+      await client.query('ROLLBACK');
+      return {
+        success: true,
+        version: await getCatalogueVersion(),
+        added,
+        skipped
+      };
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Catalogue v${version.version}: ${added} added, ${skipped} already present`);
+
+    return {
+      success: true,
+      version: version.version,
+      added,
+      skipped
+    };
+
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('❌ Failed to add catalogue entries:', error.message);
+    return {
+      success: false,
+      error: 'Failed to add catalogue entries',
+      message: error.message
+    };
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+// Retire catalogue entries by id as a single new version
+const retireCatalogueEntries = async (entryIds, options = {}) => {
+  const { reason = null, changedBy = null } = options;
+
+  if (!Array.isArray(entryIds) || entryIds.length === 0 || !entryIds.every(Number.isInteger)) {
+    return {
+      success: false,
+      error: 'entryIds must be a non-empty array of integers'
+    };
+  }
+
+  let client;
+
+  try {
+    client = await pool.connect();
+
+    console.log('📚 Retiring', entryIds.length, 'catalogue entries');
+
+    await client.query('BEGIN');
+
+    const version = await createCatalogueVersion(
+      client,
+      `Retired ${entryIds.length} domain(s)${reason ? `: ${reason}` : ''}`,
+      changedBy
+    );
+
+    const result = await client.query(`
+      UPDATE blocked_domains
+      SET retired_at = CURRENT_TIMESTAMP, retired_in_version = $2, retired_reason = $3
+      WHERE id = ANY($1) AND retired_at IS NULL
+      RETURNING id
+    `, [entryIds, version.version, reason]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return {
+        success: false,
+        error: 'No active catalogue entries found'
+      };
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Catalogue v${version.version}: ${result.rows.length} retired`);
+
+    return {
+      success: true,
+      version: version.version,
+      retired: result.rows.length
+    };
+
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('❌ Failed to retire catalogue entries:', error.message);
+    return {
+      success: false,
+      error: 'Failed to retire catalogue entries',
+      message: error.message
+    };
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+// Get catalogue summary (version and per-category counts)
+const getCatalogueStats = async () => {
+  try {
+    const catalogue = await getCategoryDomains();
+
+    const byCategory = {};
+    Object.entries(catalogue.categories).forEach(([category, domains]) => {
+      byCategory[category] = domains.length;
+    });
+
+    const versionResult = await pool.query(
+      'SELECT created_at, change_summary FROM domain_catalogue_versions WHERE version = $1',
+      [catalogue.version]
+    );
+
+    return {
+      success: true,
+      stats: {
+        version: catalogue.version,
+        totalDomains: catalogue.totalDomains,
+        byCategory,
+        lastUpdated: versionResult.rows[0]?.created_at || null,
+        lastChange: versionResult.rows[0]?.change_summary || null
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get catalogue stats:', error.message);
+    return {
+      success: false,
+      error: 'Failed to retrieve catalogue statistics'
+    };
+  }
+};
+
+// Get the version history of the catalogue
+const getCatalogueHistory = async (limit = 20) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        v.version,
+        v.change_summary,
+        v.changed_by,
+        v.created_at,
+        (SELECT COUNT(*) FROM blocked_domains WHERE added_in_version = v.version) AS domains_added,
+        (SELECT COUNT(*) FROM blocked_domains WHERE retired_in_version = v.version) AS domains_retired
+      FROM domain_catalogue_versions v
+      ORDER BY v.version DESC
+      LIMIT $1
+    `, [limit]);
+
+    return {
+      success: true,
+      versions: result.rows.map(row => ({
+        version: row.version,
+        changeSummary: row.change_summary,
+        changedBy: row.changed_by,
+        createdAt: row.created_at,
+        domainsAdded: parseInt(row.domains_added),
+        domainsRetired: parseInt(row.domains_retired)
+      }))
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get catalogue history:', error.message);
+    return {
+      success: false,
+      error: 'Failed to retrieve catalogue history'
+    };
+  }
+};
+
+module.exports = {
+  getCatalogueVersion,
+  getCategoryDomains,
+  getDomainsForCategories,
+  validateCatalogueEntry,
+  listCatalogueEntries,
+  addCatalogueEntries,
+  retireCatalogueEntries,
+  getCatalogueStats,
+  getCatalogueHistory
+};
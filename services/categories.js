@@ -0,0 +1,146 @@
+// Content category registry - the single list of category keys used by the API, the
+// blocking_settings columns, the domain catalogue, profile generation and the MDM filter.
+// A category "social_media" is stored in blocking_settings.block_social_media, sent to and
+// from the services as blockSocialMedia, and tagged "social_media" in blocked_domains.
+
+const CONTENT_CATEGORIES = {
+  adult_content: {
+    name: 'Adult Content',
+    description: 'Pornography, explicit content, and adult websites',
+    defaultBlocked: true
+  },
+  gambling: {
+    name: 'Gambling',
+    description: 'Online casinos, betting sites, and gambling platforms',
+    defaultBlocked: true
+  },
+  social_media: {
+    name: 'Social Media',
+    description: 'Facebook, Instagram, TikTok, Twitter, and other social platforms',
+    defaultBlocked: false
+  },
+  gaming: {
+    name: 'Gaming',
+    description: 'Online games, gaming platforms, and game streaming',
+    defaultBlocked: false
+  },
+  news: {
+    name: 'News',
+    description: 'News websites and current events platforms',
+    defaultBlocked: false
+  },
+  entertainment: {
+    name: 'Entertainment',
+    description: 'Streaming services, movie sites, and entertainment platforms',
+    defaultBlocked: false
+  },
+  shopping: {
+    name: 'Shopping',
+    description: 'E-commerce sites and online shopping platforms',
+    defaultBlocked: false
+  },
+  dating: {
+    name: 'Dating',
+    description: 'Dating apps and relationship platforms',
+    defaultBlocked: false
+  }
+};
+
+// Keys the dashboard and routes/blocking.js used before the registry existed.
+// Rejected in API payloads - only kept so the 400 response can point at the current key.
+const LEGACY_CATEGORY_KEYS = {
+  adult: 'adult_content',
+  social: 'social_media'
+};
+
+const CATEGORY_KEYS = Object.keys(CONTENT_CATEGORIES);
+
+const isValidCategory = (category) => {
+  return Object.prototype.hasOwnProperty.call(CONTENT_CATEGORIES, category);
+};
+
+// blocking_settings column for a category (e.g. block_social_media)
+const getCategoryColumn = (category) => {
+  return `block_${category}`;
+};
+
+// Map a category key (e.g. social_media) to its settings flag (e.g. blockSocialMedia)
+const getCategorySettingKey = (category) => {
+  return 'block' + category.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+};
+
+// Check a list of category keys from an API payload. Returns null when every key is known,
+// otherwise an error object the routes can send back with a 400.
+const validateCategoryKeys = (categories) => {
+  if (!Array.isArray(categories)) {
+    return {
+      error: 'categories must be an array of category keys',
+      validCategories: CATEGORY_KEYS
+    };
+  }
+
+  const unknownCategories = categories.filter(category => !isValidCategory(category));
+
+  if (unknownCategories.length === 0) {
+    return null;
+  }
+
+  const suggestions = {};
+  unknownCategories.forEach(category => {
+    if (Object.prototype.hasOwnProperty.call(LEGACY_CATEGORY_KEYS, category)) {
+      suggestions[category] = LEGACY_CATEGORY_KEYS[category];
+    }
+  });
+
+  return {
+    error: `Unknown content categor${unknownCategories.length === 1 ? 'y' : 'ies'}: ${unknownCategories.join(', ')}`,
+    unknownCategories,
+    validCategories: CATEGORY_KEYS,
+    ...(Object.keys(suggestions).length > 0 && { suggestions })
+  };
+};
+
+// Categories switched on in a blocking_settings row (or its camelCased form)
+const getBlockedCategories = (settings = {}) => {
+  return CATEGORY_KEYS.filter(category =>
+    Boolean(settings[getCategoryColumn(category)] ?? settings[getCategorySettingKey(category)])
+  );
+};
+
+// blocking_settings column values for a list of enabled categories
+const categoriesToColumns = (categories = []) => {
+  const columns = {};
+  CATEGORY_KEYS.forEach(category => {
+    columns[getCategoryColumn(category)] = categories.includes(category);
+  });
+  return columns;
+};
+
+// Categories blocked when a user has not saved any settings
+const getDefaultCategories = () => {
+  return CATEGORY_KEYS.filter(category => CONTENT_CATEGORIES[category].defaultBlocked);
+};
+
+// Category list in the shape the /categories endpoint returns
+const listCategories = () => {
+  return CATEGORY_KEYS.map(key => ({
+    key,
+    name: CONTENT_CATEGORIES[key].name,
+    description: CONTENT_CATEGORIES[key].description,
+    defaultEnabled: CONTENT_CATEGORIES[key].defaultBlocked
+  }));
+};
+
+module.exports = {
+  CONTENT_CATEGORIES,
+  LEGACY_CATEGORY_KEYS,
+  CATEGORY_KEYS,
+  isValidCategory,
+  getCategoryColumn,
+  getCategorySettingKey,
+  validateCategoryKeys,
+  getBlockedCategories,
+  categoriesToColumns,
+  getDefaultCategories,
+  listCategories
+};
@@ -0,0 +1,232 @@
+const psl = require('psl');
+const { CONTENT_CATEGORIES } = require('./categories');
+const { normalizeDomain, findMatchingRule } = require('./blocking');
+const { getCategoryDomains } = require('./catalogue');
+
+// Offline domain categoriser: suggests which content category an unknown domain belongs to, so the
+// dashboard can offer "this looks like gambling - block that category instead?" when a custom domain
+// is added. Three signals, all local: the domain catalogue, the TLD, and keywords in the name.
+// Each signal carries a weight between 0 and 1 and a category's confidence combines them as
+// 1 - (1 - w1)(1 - w2)..., so independent weak hints add up. It is capped below 1 - a suggestion
+// is never certain.
+
+// Weights for a domain the catalogue already lists, or a subdomain of one
+const CATALOGUE_EXACT_WEIGHT = 0.99;
+const CATALOGUE_PARENT_WEIGHT = 0.9;
+
+// TLDs that say something about the site behind them
+const CATEGORY_TLDS = {
+  bet: { category: 'gambling', weight: 0.85 },
+  casino: { category: 'gambling', weight: 0.9 },
+  poker: { category: 'gambling', weight: 0.85 },
+  bingo: { category: 'gambling', weight: 0.8 },
+  lotto: { category: 'gambling', weight: 0.8 },
+  xxx: { category: 'adult_content', weight: 0.95 },
+  porn: { category: 'adult_content', weight: 0.95 },
+  adult: { category: 'adult_content', weight: 0.9 },
+  sex: { category: 'adult_content', weight: 0.9 },
+  sexy: { category: 'adult_content', weight: 0.6 },
+  dating: { category: 'dating', weight: 0.85 },
+  singles: { category: 'dating', weight: 0.6 },
+  game: { category: 'gaming', weight: 0.6 },
+  games: { category: 'gaming', weight: 0.6 },
+  news: { category: 'news', weight: 0.6 },
+  shop: { category: 'shopping', weight: 0.5 },
+  store: { category: 'shopping', weight: 0.4 },
+  movie: { category: 'entertainment', weight: 0.5 },
+  tv: { category: 'entertainment', weight: 0.2 }
+};
+
+// Keywords scored against the words in the domain name, with their weight for an exact word match
+const CATEGORY_KEYWORDS = {
+  adult_content: {
+    porn: 0.9, xxx: 0.9, sex: 0.7, nude: 0.8, nudes: 0.8, naked: 0.7, escort: 0.8, escorts: 0.8,
+    hentai: 0.9, nsfw: 0.8, milf: 0.9, cams: 0.6, fetish: 0.8, erotic: 0.8, onlyfans: 0.9, tube: 0.2
+  },
+  gambling: {
+    casino: 0.85, bet: 0.6, bets: 0.7, betting: 0.85, poker: 0.8, slots: 0.8, slot: 0.6, jackpot: 0.8,
+    roulette: 0.85, blackjack: 0.85, lottery: 0.7, lotto: 0.7, bingo: 0.7, wager: 0.8,
+    sportsbook: 0.9, bookmaker: 0.85, odds: 0.4, spins: 0.5
+  },
+  dating: {
+    dating: 0.85, date: 0.3, dates: 0.4, singles: 0.6, hookup: 0.85, hookups: 0.85, flirt: 0.7,
+    match: 0.3, matchmaking: 0.7, romance: 0.5, meetup: 0.3, sugardaddy: 0.9
+  },
+  gaming: {
+    game: 0.5, games: 0.6, gaming: 0.7, gamer: 0.6, esports: 0.75, arcade: 0.6, minecraft: 0.8,
+    roblox: 0.85, fortnite: 0.85, steam: 0.4, play: 0.2, mmo: 0.7, rpg: 0.6
+  },
+  news: {
+    news: 0.7, times: 0.4, herald: 0.6, gazette: 0.6, tribune: 0.6, daily: 0.3, journal: 0.4,
+    post: 0.2, press: 0.3, headlines: 0.6, chronicle: 0.5
+  },
+  shopping: {
+    shop: 0.5, shopping: 0.7, store: 0.4, deals: 0.5, outlet: 0.5, mall: 0.5, buy: 0.4, cart: 0.4,
+    coupon: 0.5, coupons: 0.5, marketplace: 0.5, discount: 0.4
+  },
+  social_media: {
+    social: 0.5, chat: 0.4, forum: 0.4, forums: 0.4, friends: 0.4, community: 0.3, network: 0.2,
+    followers: 0.6, likes: 0.3, selfie: 0.4
+  },
+  entertainment: {
+    movie: 0.6, movies: 0.7, film: 0.5, films: 0.5, stream: 0.5, streaming: 0.6, watch: 0.3, tv: 0.4,
+    music: 0.4, video: 0.4, videos: 0.4, anime: 0.6, series: 0.3, cinema: 0.6, flix: 0.6
+  }
+};
+
+// Keywords shorter than this only count as a whole word or the start of one,
+// so "bet" finds "betway" but not "alphabet"
+const MIN_SUBSTRING_KEYWORD_LENGTH = 4;
+
+// A keyword inside a longer word is weaker evidence than the word itself
+const PARTIAL_MATCH_FACTOR = 0.6;
+
+// Below this, the categoriser reports its scores but makes no suggestion
+const MIN_SUGGESTION_CONFIDENCE = 0.5;
+
+const MAX_CONFIDENCE = 0.99;
+
+const combineWeights = (weights) => {
+  return Math.min(MAX_CONFIDENCE, 1 - weights.reduce((remaining, weight) => remaining * (1 - weight), 1));
+};
+
+const roundConfidence = (value) => {
+  return Math.round(value * 100) / 100;
+};
+
+// Split a domain into its TLD and the words of the rest ("best-casino24.co.uk" -> "best", "casino")
+const tokeniseDomain = (domain) => {
+  const parsed = psl.parse(domain);
+  const tld = parsed.tld || domain.split('.').pop();
+  const name = domain.slice(0, domain.length - tld.length - 1);
+
+  return {
+    tld,
+    words: name.split(/[^a-z]+/).filter(word => word.length > 1)
+  };
+};
+
+// Score a (normalised) domain against every category. categoryDomains is the catalogue's
+// { category: [domains] } map. Returns all categories with any signal, most likely first.
+const scoreDomain = (domain, categoryDomains = {}) => {
+  const signals = {};
+  const addSignal = (category, signal) => {
+    if (!CONTENT_CATEGORIES[category]) {
+      return;
+    }
+    (signals[category] = signals[category] || []).push(signal);
+  };
+
+  // Catalogue: the domain itself, or a parent domain, is already in a category
+  Object.entries(categoryDomains).forEach(([category, domains]) => {
+    const match = findMatchingRule(domain, domains);
+    if (match) {
+      const exact = match.rule === domain;
+      addSignal(category, {
+        type: 'catalogue',
+        value: match.rule,
+        weight: exact ? CATALOGUE_EXACT_WEIGHT : CATALOGUE_PARENT_WEIGHT
+      });
+    }
+  });
+
+  const { tld, words } = tokeniseDomain(domain);
+
+  // TLD heuristics (only the last label - "casino.co.uk" isn't a .casino domain)
+  const lastLabel = tld.split('.').pop();
+  if (CATEGORY_TLDS[lastLabel]) {
+    addSignal(CATEGORY_TLDS[lastLabel].category, {
+      type: 'tld',
+      value: `.${lastLabel}`,
+      weight: CATEGORY_TLDS[lastLabel].weight
+    });
+  }
+
+  // Keywords: each word counts once per category, for its strongest keyword - so "games" and
+  // "game" don't both score the same word, while "casino" and "slots" in one name add up
+  Object.entries(CATEGORY_KEYWORDS).forEach(([category, keywords]) => {
+    const matched = new Map();
+
+    words.forEach(word => {
+      let best = null;
+
+      Object.entries(keywords).forEach(([keyword, weight]) => {
+        const partial = keyword.length >= MIN_SUBSTRING_KEYWORD_LENGTH ? word.includes(keyword) : word.startsWith(keyword);
+        const score = word === keyword ? weight : partial ? weight * PARTIAL_MATCH_FACTOR : 0;
+
+        if (score > 0 && (!best || score > best.weight)) {
+          best = { keyword, weight: score };
+        }
+      });
+
+      if (best && best.weight > (matched.get(best.keyword) || 0)) {
+        matched.set(best.keyword, best.weight);
+      }
+    });
+
+    matched.forEach((weight, keyword) => {
+      addSignal(category, {
+        type: 'keyword',
+        value: keyword,
+        weight: roundConfidence(weight)
+      });
+    });
+  });
+
+  return Object.entries(signals)
+    .map(([category, categorySignals]) => ({
+      category,
+      name: CONTENT_CATEGORIES[category].name,
+      confidence: roundConfidence(combineWeights(categorySignals.map(signal => signal.weight))),
+      signals: categorySignals.sort((a, b) => b.weight - a.weight)
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+// Suggest a category for a domain using the current catalogue
+const categoriseDomain = async (input) => {
+  try {
+    const domain = normalizeDomain(input);
+
+    if (!domain || domain.startsWith('*.')) {
+      return {
+        success: false,
+        error: 'Invalid domain - enter a domain such as example.com'
+      };
+    }
+
+    const catalogue = await getCategoryDomains();
+    const scores = scoreDomain(domain, catalogue.categories);
+    const top = scores[0] && scores[0].confidence >= MIN_SUGGESTION_CONFIDENCE ? scores[0] : null;
+
+    return {
+      success: true,
+      result: {
+        domain,
+        category: top ? top.category : null,
+        categoryName: top ? top.name : null,
+        confidence: top ? top.confidence : (scores[0] ? scores[0].confidence : 0),
+        inCatalogue: Boolean(top && top.signals.some(signal => signal.type === 'catalogue')),
+        scores,
+        catalogueVersion: catalogue.version
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Domain categorisation failed:', error.message);
+    return {
+      success: false,
+      error: 'Domain categorisation failed',
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  CATEGORY_TLDS,
+  CATEGORY_KEYWORDS,
+  MIN_SUGGESTION_CONFIDENCE,
+  tokeniseDomain,
+  scoreDomain,
+  categoriseDomain
+};
@@ -1,11 +1,17 @@
 const { pool } = require('../config/database');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
 
 // Generate unique profile UUID for device
 const generateProfileUUID = () => {
   return uuidv4().toUpperCase();
 };
 
+// Payload UUIDs derived from the device's profile UUID (e.g. its payload type), so a regenerated
+// profile carries the same UUIDs and reinstalling it replaces the installed copy instead of adding another
+const derivePayloadUUID = (profileUUID, ...parts) => {
+  return uuidv5(parts.join(':'), profileUUID.toLowerCase()).toUpperCase();
+};
+
 // Get device limits based on subscription plan
 const getDeviceLimits = (subscriptionPlan) => {
   const limits = {
@@ -218,6 +224,11 @@ const getUserDevices = async (userId) => {
         profile_install_date,
         mdm_enrolled,
         mdm_enrollment_date,
+        profile_outdated,
+        profile_outdated_at,
+        profile_revision,
+        downloaded_profile_revision,
+        profile_downloaded_at,
         device_status,
         last_checkin,
         created_at,
@@ -240,6 +251,11 @@ const getUserDevices = async (userId) => {
       profileInstallDate: device.profile_install_date,
       mdmEnrolled: device.mdm_enrolled,
       mdmEnrollmentDate: device.mdm_enrollment_date,
+      profileOutdated: device.profile_outdated,
+      profileOutdatedAt: device.profile_outdated_at,
+      profileRevision: device.profile_revision,
+      downloadedProfileRevision: device.downloaded_profile_revision,
+      profileDownloadedAt: device.profile_downloaded_at,
       deviceStatus: device.device_status,
       lastCheckin: device.last_checkin,
       createdAt: device.created_at,
@@ -279,6 +295,11 @@ const getDeviceById = async (userId, deviceId) => {
         profile_install_date,
         mdm_enrolled,
         mdm_enrollment_date,
+        profile_outdated,
+        profile_outdated_at,
+        profile_revision,
+        downloaded_profile_revision,
+        profile_downloaded_at,
         mdm_device_id,
         device_status,
         last_checkin,
@@ -313,6 +334,11 @@ const getDeviceById = async (userId, deviceId) => {
         profileInstallDate: device.profile_install_date,
         mdmEnrolled: device.mdm_enrolled,
         mdmEnrollmentDate: device.mdm_enrollment_date,
+        profileOutdated: device.profile_outdated,
+        profileOutdatedAt: device.profile_outdated_at,
+        profileRevision: device.profile_revision,
+        downloadedProfileRevision: device.downloaded_profile_revision,
+        profileDownloadedAt: device.profile_downloaded_at,
         mdmDeviceId: device.mdm_device_id,
         deviceStatus: device.device_status,
         lastCheckin: device.last_checkin,
@@ -446,6 +472,92 @@ const updateProfileStatus = async (deviceId, installed, installDate = null) => {
   }
 };
 
+// Find an active device by the profile UUID baked into its profile (used by the public block page)
+const getDeviceByProfileUUID = async (profileUUID) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, user_id, device_name, device_type, mdm_enrolled
+      FROM device_profiles 
+      WHERE profile_uuid = $1 AND device_status = 'active'
+    `, [profileUUID]);
+    
+    if (result.rows.length === 0) {
+      return {
+        success: false,
+        error: 'Device not found'
+      };
+    }
+    
+    const device = result.rows[0];
+    
+    return {
+      success: true,
+      device: {
+        id: device.id,
+        userId: device.user_id,
+        deviceName: device.device_name,
+        deviceType: device.device_type,
+        mdmEnrolled: device.mdm_enrolled
+      }
+    };
+    
+  } catch (error) {
+    console.error('❌ Failed to get device by profile UUID:', error.message);
+    return {
+      success: false,
+      error: 'Failed to retrieve device'
+    };
+  }
+};
+
+// Record that a generated profile has been handed to the device. The outdated flag is only cleared
+// if no settings changed since that profile's revision was read; without a revision the latest is assumed.
+const markProfileCurrent = async (deviceId, revision = null) => {
+  try {
+    await pool.query(`
+      UPDATE device_profiles 
+      SET 
+        downloaded_profile_revision = COALESCE($2, profile_revision),
+        profile_downloaded_at = CURRENT_TIMESTAMP,
+        profile_outdated = profile_revision > COALESCE($2, profile_revision),
+        profile_outdated_at = CASE WHEN profile_revision > COALESCE($2, profile_revision) THEN profile_outdated_at END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [deviceId, revision]);
+    
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Failed to clear outdated profile flag:', error.message);
+    return false;
+  }
+};
+
+// Supervisor for a device, or null if the device isn't supervised.
+// device_supervision predates device_profiles and keys devices by id text, hence the cast.
+const getDeviceSupervisor = async (deviceId) => {
+  try {
+    const result = await pool.query(`
+      SELECT supervision_level, supervisor_email
+      FROM device_supervision
+      WHERE device_id::text = $1 AND supervision_level > 0 AND supervisor_email IS NOT NULL
+    `, [String(deviceId)]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return {
+      supervisionLevel: result.rows[0].supervision_level,
+      supervisorEmail: result.rows[0].supervisor_email
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to look up device supervisor:', error.message);
+    return null;
+  }
+};
+
 // Update device MDM enrollment status
 const updateMDMStatus = async (deviceId, enrolled, mdmDeviceId = null) => {
   try {
@@ -475,9 +587,13 @@ module.exports = {
   registerDevice,
   getUserDevices,
   getDeviceById,
+  getDeviceByProfileUUID,
   updateDevice,
   removeDevice,
   updateProfileStatus,
+  markProfileCurrent,
+  derivePayloadUUID,
+  getDeviceSupervisor,
   updateMDMStatus,
   generateProfileUUID
 };
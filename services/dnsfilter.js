@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+
+// Encrypted DNS filtering. Profiles can carry a com.apple.dnsSettings.managed payload that sends
+// every DNS query (apps included, not just Safari) to our filtering resolver over DoH or DoT.
+// Each device gets a random resolver key in the endpoint so the resolver knows whose settings to apply,
+// including the device's own overrides and temporary access grants. Keys handed out before that were
+// per user; they still resolve, to the user's default settings, until the device gets a new profile.
+
+const DNS_PROTOCOLS = {
+  HTTPS: 'HTTPS',
+  TLS: 'TLS'
+};
+
+// Resolver endpoint, configurable for self-hosted resolvers:
+// - DNS_FILTER_PROTOCOL          HTTPS (DoH, default) or TLS (DoT)
+// - DNS_FILTER_DOH_URL           DoH base URL; the user's key is appended as a path segment
+// - DNS_FILTER_DOT_HOST          DoT host; the user's key is prepended as a subdomain
+// - DNS_FILTER_SERVER_ADDRESSES  optional comma-separated resolver IPs, so the device needn't look them up
+const DNS_FILTER_CONFIG = {
+  protocol: (process.env.DNS_FILTER_PROTOCOL || DNS_PROTOCOLS.HTTPS).toUpperCase(),
+  dohUrl: (process.env.DNS_FILTER_DOH_URL || 'https://dns.altriirecovery.com/dns-query').replace(/\/+$/, ''),
+  dotHost: process.env.DNS_FILTER_DOT_HOST || 'dns.altriirecovery.com',
+  serverAddresses: (process.env.DNS_FILTER_SERVER_ADDRESSES || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean)
+};
+
+const RESOLVER_KEY_REGEX = /^[a-f0-9]{32}$/;
+
+// Shared endpoint (/dns-query/safesearch) that only applies safe search rewrites and blocks nothing,
+// used by the safe search payload when DNS filtering is off
+const SAFE_SEARCH_RESOLVER_KEY = 'safesearch';
+
+const generateResolverKey = () => {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+const isValidResolverKey = (key) => {
+  return typeof key === 'string' && RESOLVER_KEY_REGEX.test(key);
+};
+
+// Get the device's resolver key, creating one the first time it is needed
+const getResolverKey = async (deviceId) => {
+  try {
+    const existing = await pool.query('SELECT dns_resolver_key FROM device_profiles WHERE id = $1', [deviceId]);
+
+    if (existing.rows.length === 0) {
+      return {
+        success: false,
+        error: 'Device not found'
+      };
+    }
+
+    if (existing.rows[0].dns_resolver_key) {
+      return {
+        success: true,
+        resolverKey: existing.rows[0].dns_resolver_key
+      };
+    }
+
+    // Only set the key if no concurrent request beat us to it, then read back whichever won
+    await pool.query(`
+      UPDATE device_profiles
+      SET dns_resolver_key = $2, dns_resolver_key_created_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND dns_resolver_key IS NULL
+    `, [deviceId, generateResolverKey()]);
+
+    const created = await pool.query('SELECT dns_resolver_key FROM device_profiles WHERE id = $1', [deviceId]);
+
+    console.log('🔑 Created DNS resolver key for device:', deviceId);
+
+    return {
+      success: true,
+      resolverKey: created.rows[0].dns_resolver_key
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get DNS resolver key:', error.message);
+    return {
+      success: false,
+      error: 'Failed to get DNS resolver key',
+      message: error.message
+    };
+  }
+};
+
+// Look up who a resolver key belongs to: { userId, deviceId }, with a null deviceId for
+// legacy per-user keys. Returns null if the key is unknown.
+const getResolverKeyOwner = async (resolverKey) => {
+  if (!isValidResolverKey(resolverKey)) {
+    return null;
+  }
+
+  const device = await pool.query('SELECT id, user_id FROM device_profiles WHERE dns_resolver_key = $1', [resolverKey]);
+
+  if (device.rows.length > 0) {
+    return { userId: device.rows[0].user_id, deviceId: device.rows[0].id };
+  }
+
+  const user = await pool.query('SELECT id FROM users WHERE dns_resolver_key = $1', [resolverKey]);
+  return user.rows.length > 0 ? { userId: user.rows[0].id, deviceId: null } : null;
+};
+
+// DNSSettings dictionary for a user's resolver endpoint
+const buildDNSSettings = (resolverKey) => {
+  const settings = DNS_FILTER_CONFIG.protocol === DNS_PROTOCOLS.TLS
+    ? { DNSProtocol: DNS_PROTOCOLS.TLS, ServerName: `${resolverKey}.${DNS_FILTER_CONFIG.dotHost}` }
+    : { DNSProtocol: DNS_PROTOCOLS.HTTPS, ServerURL: `${DNS_FILTER_CONFIG.dohUrl}/${resolverKey}` };
+
+  if (DNS_FILTER_CONFIG.serverAddresses.length > 0) {
+    settings.ServerAddresses = DNS_FILTER_CONFIG.serverAddresses;
+  }
+
+  return settings;
+};
+
+// com.apple.dnsSettings.managed payload, shared by the filtering and safe search resolvers.
+// The catch-all Connect rule keeps it active on every network, and supervised devices
+// can't switch it off in Settings.
+const buildManagedDNSPayload = ({ payloadUUID, payloadIdentifier, displayName, description, dnsSettings }) => {
+  return {
+    PayloadType: 'com.apple.dnsSettings.managed',
+    PayloadUUID: payloadUUID,
+    PayloadIdentifier: payloadIdentifier,
+    PayloadDisplayName: displayName,
+    PayloadDescription: description,
+    PayloadVersion: 1,
+    PayloadEnabled: true,
+    DNSSettings: dnsSettings,
+    OnDemandRules: [
+      { Action: 'Connect' }
+    ],
+    ProhibitDisablement: true
+  };
+};
+
+// DNS payload for a device's filtering resolver
+const buildDNSFilterPayload = (identifier, payloadUUID, resolverKey) => {
+  return buildManagedDNSPayload({
+    payloadUUID,
+    payloadIdentifier: `com.altriirecovery.dnsfilter.${identifier}`,
+    displayName: 'Encrypted DNS Filter',
+    description: 'Filters websites in every app using encrypted DNS',
+    dnsSettings: buildDNSSettings(resolverKey)
+  });
+};
+
+module.exports = {
+  DNS_PROTOCOLS,
+  DNS_FILTER_CONFIG,
+  SAFE_SEARCH_RESOLVER_KEY,
+  isValidResolverKey,
+  getResolverKey,
+  getResolverKeyOwner,
+  buildDNSSettings,
+  buildManagedDNSPayload,
+  buildDNSFilterPayload
+};
@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { pool } = require('../config/database');
+
+// One-time profile download links. Safari on the device being set up has no dashboard session, so
+// the dashboard creates a short-lived link (and a QR code for it) that downloads the device's signed
+// profile without signing in. A link works once: it carries a random token of which only the hash is
+// stored, it can be revoked, and each use is recorded with the IP and user agent that redeemed it.
+// Uses and refused attempts (used, expired or revoked links) are also written to the device's event log.
+
+const LINK_TTL_MINUTES = parseInt(process.env.PROFILE_LINK_TTL_MINUTES || '15', 10);
+
+// Link creation: at most this many per user per hour
+const MAX_LINKS_PER_HOUR = 10;
+
+// Redemption attempts per IP address, valid or not, within the window
+const MAX_REDEMPTIONS_PER_WINDOW = 20;
+const REDEMPTION_WINDOW_MS = 10 * 60 * 1000;
+
+const LINK_STATUSES = {
+  ACTIVE: 'active',
+  USED: 'used',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked'
+};
+
+// Device event types for link redemptions
+const LINK_EVENTS = {
+  USED: 'profile_link_used',
+  REFUSED: 'profile_link_refused'
+};
+
+// Link columns plus whether the link has expired. Worked out in SQL against NOW(), since the
+// TIMESTAMP columns carry no timezone and the app server's clock or zone may differ from the database's.
+const LINK_COLUMNS = '*, expires_at <= NOW() AS expired';
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const getLinkStatus = (row) => {
+  if (row.revoked_at) {
+    return LINK_STATUSES.REVOKED;
+  }
+  if (row.used_at) {
+    return LINK_STATUSES.USED;
+  }
+  return row.expired ? LINK_STATUSES.EXPIRED : LINK_STATUSES.ACTIVE;
+};
+
+// Trim request details to fit the columns they are stored in
+const getRequestDetails = ({ ip = null, userAgent = null } = {}) => ({
+  ip: ip ? String(ip).slice(0, 45) : null,
+  userAgent: userAgent ? String(userAgent).slice(0, 500) : null
+});
+
+// Record a link redemption or refused attempt in the device's event log
+const recordLinkEvent = async (deviceId, eventType, data) => {
+  try {
+    await pool.query(`
+      INSERT INTO mdm_device_events (device_id, event_type, event_data)
+      VALUES ($1, $2, $3)
+    `, [deviceId, eventType, JSON.stringify(data)]);
+  } catch (error) {
+    console.error('❌ Failed to record download link event:', error.message);
+  }
+};
+
+// Format a profile_download_links row for API responses
+const formatDownloadLink = (row) => ({
+  id: row.id,
+  deviceId: row.device_id,
+  phase: row.phase,
+  status: getLinkStatus(row),
+  expiresAt: row.expires_at,
+  usedAt: row.used_at,
+  usedIp: row.used_ip,
+  usedUserAgent: row.used_user_agent,
+  revokedAt: row.revoked_at,
+  createdAt: row.created_at
+});
+
+const getDownloadLinkUrl = (token) => {
+  return `${process.env.FRONTEND_URL}/api/profiles/link/${token}`;
+};
+
+// Create a one-time download link for one of the user's iOS devices, with a QR code to scan on it
+const createDownloadLink = async (userId, deviceId, options = {}) => {
+  try {
+    const { phase = null } = options;
+
+    const deviceResult = await pool.query(`
+      SELECT id, device_type
+      FROM device_profiles
+      WHERE id = $1 AND user_id = $2 AND device_status = 'active'
+    `, [deviceId, userId]);
+
+    if (deviceResult.rows.length === 0) {
+      return {
+        success: false,
+        error: 'Device not found'
+      };
+    }
+
+    if (deviceResult.rows[0].device_type !== 'ios') {
+      return {
+        success: false,
+        error: 'Profile generation is only supported for iOS devices'
+      };
+    }
+
+    const recent = await pool.query(`
+      SELECT COUNT(*) AS count
+      FROM profile_download_links
+      WHERE user_id = $1 AND created_at > NOW() - INTERVAL '1 hour'
+    `, [userId]);
+
+    if (parseInt(recent.rows[0].count) >= MAX_LINKS_PER_HOUR) {
+      return {
+        success: false,
+        error: `At most ${MAX_LINKS_PER_HOUR} download links can be created per hour`,
+        rateLimited: true
+      };
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const result = await pool.query(`
+      INSERT INTO profile_download_links (user_id, device_id, token_hash, phase, expires_at)
+      VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+      RETURNING ${LINK_COLUMNS}
+    `, [userId, deviceId, hashToken(token), phase, LINK_TTL_MINUTES]);
+
+    const url = getDownloadLinkUrl(token);
+    const qrCode = await QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 2, width: 256 });
+
+    console.log(`🔗 Download link ${result.rows[0].id} created for device ${deviceId}, valid for ${LINK_TTL_MINUTES} minutes`);
+
+    return {
+      success: true,
+      link: {
+        ...formatDownloadLink(result.rows[0]),
+        url,
+        qrCode
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to create download link:', error.message);
+    return {
+      success: false,
+      error: 'Failed to create download link',
+      message: error.message
+    };
+  }
+};
+
+// A device's download links, newest first, with when and where each was used
+const getDownloadLinks = async (userId, deviceId) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${LINK_COLUMNS}
+      FROM profile_download_links
+      WHERE user_id = $1 AND device_id = $2
+      ORDER BY created_at DESC
+      LIMIT 50
+    `, [userId, deviceId]);
+
+    return {
+      success: true,
+      links: result.rows.map(formatDownloadLink)
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get download links:', error.message);
+    return {
+      success: false,
+      error: 'Failed to get download links',
+      message: error.message
+    };
+  }
+};
+
+// Revoke a link that hasn't been used yet
+const revokeDownloadLink = async (userId, linkId) => {
+  try {
+    const result = await pool.query(`
+      UPDATE profile_download_links
+      SET revoked_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND used_at IS NULL AND revoked_at IS NULL
+      RETURNING ${LINK_COLUMNS}
+    `, [linkId, userId]);
+
+    if (result.rows.length === 0) {
+      const existing = await pool.query(
+        `SELECT ${LINK_COLUMNS} FROM profile_download_links WHERE id = $1 AND user_id = $2`,
+        [linkId, userId]
+      );
+
+      return {
+        success: false,
+        error: existing.rows.length === 0
+          ? 'Download link not found'
+          : `Download link is already ${getLinkStatus(existing.rows[0])}`
+      };
+    }
+
+    console.log('🔗 Download link revoked:', linkId);
+
+    return {
+      success: true,
+      link: formatDownloadLink(result.rows[0])
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to revoke download link:', error.message);
+    return {
+      success: false,
+      error: 'Failed to revoke download link',
+      message: error.message
+    };
+  }
+};
+
+// Look up the link behind a token, if it can still be used. Attempts on a used, expired or revoked
+// link are logged against its device with the requester's { ip, userAgent }.
+const getDownloadLinkForRedemption = async (token, requestInfo = {}) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${LINK_COLUMNS} FROM profile_download_links WHERE token_hash = $1`,
+      [hashToken(String(token))]
+    );
+
+    const row = result.rows[0];
+    const status = row ? getLinkStatus(row) : null;
+
+    if (row && status !== LINK_STATUSES.ACTIVE) {
+      await recordLinkEvent(row.device_id, LINK_EVENTS.REFUSED, {
+        linkId: row.id,
+        reason: status,
+        ...getRequestDetails(requestInfo)
+      });
+    }
+
+    if (status !== LINK_STATUSES.ACTIVE) {
+      return {
+        success: false,
+        error: status === LINK_STATUSES.USED
+          ? 'This download link has already been used - create a new one from your dashboard'
+          : 'This download link is invalid or has expired - create a new one from your dashboard'
+      };
+    }
+
+    return {
+      success: true,
+      link: {
+        id: row.id,
+        userId: row.user_id,
+        deviceId: row.device_id,
+        phase: row.phase
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to look up download link:', error.message);
+    return {
+      success: false,
+      error: 'Failed to look up download link',
+      message: error.message
+    };
+  }
+};
+
+// Mark a link used and record who used it, on the link and in its device's event log.
+// Only one caller can win, so a link never serves twice.
+const consumeDownloadLink = async (link, requestInfo = {}) => {
+  const { ip, userAgent } = getRequestDetails(requestInfo);
+
+  const result = await pool.query(`
+    UPDATE profile_download_links
+    SET used_at = NOW(), used_ip = $2, used_user_agent = $3
+    WHERE id = $1 AND used_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+    RETURNING id
+  `, [link.id, ip, userAgent]);
+
+  if (result.rows.length === 0) {
+    await recordLinkEvent(link.deviceId, LINK_EVENTS.REFUSED, { linkId: link.id, reason: 'redeemed_concurrently', ip, userAgent });
+    return false;
+  }
+
+  await recordLinkEvent(link.deviceId, LINK_EVENTS.USED, { linkId: link.id, phase: link.phase, ip, userAgent });
+
+  console.log('🔗 Download link used:', link.id);
+  return true;
+};
+
+// Redemption attempts per IP, in memory: { count, windowStart }
+const redemptionAttempts = new Map();
+
+// Count a redemption attempt from an IP. Returns false once the IP is over its limit for the window.
+const checkRedemptionRateLimit = (ip) => {
+  const now = Date.now();
+  const key = String(ip || 'unknown');
+
+  // Drop finished windows so the map doesn't grow without bound
+  redemptionAttempts.forEach((entry, entryKey) => {
+    if (now - entry.windowStart >= REDEMPTION_WINDOW_MS) {
+      redemptionAttempts.delete(entryKey);
+    }
+  });
+
+  const entry = redemptionAttempts.get(key) || { count: 0, windowStart: now };
+  entry.count += 1;
+  redemptionAttempts.set(key, entry);
+
+  return entry.count <= MAX_REDEMPTIONS_PER_WINDOW;
+};
+
+module.exports = {
+  LINK_STATUSES,
+  LINK_EVENTS,
+  LINK_TTL_MINUTES,
+  createDownloadLink,
+  getDownloadLinks,
+  revokeDownloadLink,
+  getDownloadLinkForRedemption,
+  consumeDownloadLink,
+  checkRedemptionRateLimit
+};
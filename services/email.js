@@ -103,6 +103,122 @@ const sendPasswordResetEmail = async (email, firstName, resetToken) => {
   }
 };
 
+// Send a blocked-site access request to a device's supervisor
+const sendAccessRequestEmail = async (supervisorEmail, request) => {
+  try {
+    console.log('📧 Sending access request email to:', supervisorEmail);
+    
+    const transporter = createTransporter();
+    const dashboardUrl = `${process.env.FRONTEND_URL}/supervision`;
+    
+    const mailOptions = {
+      from: {
+        name: 'Altrii Recovery',
+        address: process.env.EMAIL_USER
+      },
+      to: supervisorEmail,
+      subject: `Access Request: ${request.hostname} - Altrii Recovery`,
+      html: generateAccessRequestEmailHTML(request, dashboardUrl),
+      text: generateAccessRequestEmailText(request, dashboardUrl)
+    };
+    
+    const result = await transporter.sendMail(mailOptions);
+    console.log('✅ Access request email sent successfully:', result.messageId);
+    
+    return {
+      success: true,
+      messageId: result.messageId
+    };
+    
+  } catch (error) {
+    console.error('❌ Failed to send access request email:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Send temporary access grant approval email to a device's supervisor
+const sendGrantApprovalEmail = async (supervisorEmail, grant) => {
+  try {
+    console.log('📧 Sending grant approval email to:', supervisorEmail);
+    
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: {
+        name: 'Altrii Recovery',
+        address: process.env.EMAIL_USER
+      },
+      to: supervisorEmail,
+      subject: `Approve Temporary Access: ${grant.domain} - Altrii Recovery`,
+      html: generateGrantApprovalEmailHTML(grant),
+      text: generateGrantApprovalEmailText(grant)
+    };
+    
+    const result = await transporter.sendMail(mailOptions);
+    console.log('✅ Grant approval email sent successfully:', result.messageId);
+    
+    return {
+      success: true,
+      messageId: result.messageId
+    };
+    
+  } catch (error) {
+    console.error('❌ Failed to send grant approval email:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Send a device's profile removal password to its supervisor
+const sendRemovalPasswordEmail = async (supervisorEmail, details) => {
+  try {
+    console.log('📧 Sending profile removal password to:', supervisorEmail);
+    
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: {
+        name: 'Altrii Recovery',
+        address: process.env.EMAIL_USER
+      },
+      to: supervisorEmail,
+      subject: `Profile Removal Password: ${details.deviceName} - Altrii Recovery`,
+      html: generateRemovalPasswordEmailHTML(details),
+      text: generateRemovalPasswordEmailText(details)
+    };
+    
+    const result = await transporter.sendMail(mailOptions);
+    console.log('✅ Profile removal password email sent successfully:', result.messageId);
+    
+    return {
+      success: true,
+      messageId: result.messageId
+    };
+    
+  } catch (error) {
+    console.error('❌ Failed to send profile removal password email:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Escape user-supplied text for HTML emails
+const escapeHTML = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
 // Generate HTML email template for verification
 const generateVerificationEmailHTML = (firstName, verificationUrl, token) => {
   return `
@@ -252,8 +368,203 @@ The Altrii Recovery Team
   `.trim();
 };
 
+// Generate HTML email template for an access request
+const generateAccessRequestEmailHTML = (request, dashboardUrl) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>Access Request - Altrii Recovery</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #d97706; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+            .button { display: inline-block; background: #d97706; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; margin: 20px 0; }
+            .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; font-size: 14px; color: #64748b; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>🚦 Access Request</h1>
+            <p>Altrii Recovery</p>
+        </div>
+        
+        <div class="content">
+            <p>A device you supervise has asked for temporary access to a blocked site.</p>
+            
+            <p><strong>Device:</strong> ${escapeHTML(request.deviceName)}</p>
+            <p><strong>Site:</strong> ${escapeHTML(request.hostname)}</p>
+            <p><strong>Why it is blocked:</strong> ${escapeHTML(request.explanation)}</p>
+            <p><strong>Reason given:</strong></p>
+            <p style="background: #f1f5f9; padding: 10px; border-radius: 4px;">
+                ${escapeHTML(request.reason || 'No reason given')}
+            </p>
+            
+            <div style="text-align: center;">
+                <a href="${dashboardUrl}" class="button">Review Request</a>
+            </div>
+            
+            <p>Nothing changes unless you approve it. If you weren't expecting this, you can ignore this email.</p>
+            
+            <div class="footer">
+                <p>Best regards,<br>The Altrii Recovery Team</p>
+            </div>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+// Generate plain text email for an access request
+const generateAccessRequestEmailText = (request, dashboardUrl) => {
+  return `
+A device you supervise has asked for temporary access to a blocked site.
+
+Device: ${request.deviceName}
+Site: ${request.hostname}
+Why it is blocked: ${request.explanation}
+Reason given: ${request.reason || 'No reason given'}
+
+Review the request here:
+
+${dashboardUrl}
+
+Nothing changes unless you approve it. If you weren't expecting this, you can ignore this email.
+
+Best regards,
+The Altrii Recovery Team
+  `.trim();
+};
+
+// Generate HTML email template for a temporary access grant approval
+const generateGrantApprovalEmailHTML = (grant) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>Approve Temporary Access - Altrii Recovery</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #d97706; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+            .button { display: inline-block; background: #d97706; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; margin: 20px 0; }
+            .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; font-size: 14px; color: #64748b; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>⏳ Temporary Access</h1>
+            <p>Altrii Recovery</p>
+        </div>
+        
+        <div class="content">
+            <p>A device you supervise is locked by a timer commitment and has asked to allow a site for a limited time.</p>
+            
+            <p><strong>Device:</strong> ${escapeHTML(grant.deviceName)}</p>
+            <p><strong>Site:</strong> ${escapeHTML(grant.domain)}</p>
+            <p><strong>For:</strong> ${escapeHTML(grant.durationMinutes)} minutes</p>
+            <p><strong>Reason given:</strong></p>
+            <p style="background: #f1f5f9; padding: 10px; border-radius: 4px;">
+                ${escapeHTML(grant.reason)}
+            </p>
+            
+            <div style="text-align: center;">
+                <a href="${grant.approveUrl}" class="button">Review and Approve</a>
+            </div>
+            
+            <p>The site is only allowed once you approve, and is blocked again automatically when the time runs out. This link expires in ${escapeHTML(grant.approvalHours)} hours.</p>
+            
+            <div class="footer">
+                <p>Best regards,<br>The Altrii Recovery Team</p>
+            </div>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+// Generate plain text email for a temporary access grant approval
+const generateGrantApprovalEmailText = (grant) => {
+  return `
+A device you supervise is locked by a timer commitment and has asked to allow a site for a limited time.
+
+Device: ${grant.deviceName}
+Site: ${grant.domain}
+For: ${grant.durationMinutes} minutes
+Reason given: ${grant.reason}
+
+Review and approve it here:
+
+${grant.approveUrl}
+
+The site is only allowed once you approve, and is blocked again automatically when the time runs out. This link expires in ${grant.approvalHours} hours.
+
+Best regards,
+The Altrii Recovery Team
+  `.trim();
+};
+
+// Generate HTML email template for a profile removal password
+const generateRemovalPasswordEmailHTML = (details) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>Profile Removal Password - Altrii Recovery</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+            .password { font-family: monospace; font-size: 1.4em; letter-spacing: 2px; background: #f1f5f9; padding: 12px; border-radius: 4px; text-align: center; }
+            .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; font-size: 14px; color: #64748b; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>🔐 Profile Removal Password</h1>
+            <p>Altrii Recovery</p>
+        </div>
+        
+        <div class="content">
+            <p>This is the password that removes the Altrii Recovery profile from a device you supervise.</p>
+            
+            <p><strong>Device:</strong> ${escapeHTML(details.deviceName)}</p>
+            <p class="password">${escapeHTML(details.password)}</p>
+            
+            <p>Removing the profile turns off content filtering on the device. Keep this password to yourself unless you mean for the profile to come off.</p>
+            
+            <div class="footer">
+                <p>Best regards,<br>The Altrii Recovery Team</p>
+            </div>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+// Generate plain text email for a profile removal password
+const generateRemovalPasswordEmailText = (details) => {
+  return `
+This is the password that removes the Altrii Recovery profile from a device you supervise.
+
+Device: ${details.deviceName}
+Password: ${details.password}
+
+Removing the profile turns off content filtering on the device. Keep this password to yourself unless you mean for the profile to come off.
+
+Best regards,
+The Altrii Recovery Team
+  `.trim();
+};
+
 module.exports = {
   testEmailConfig,
   sendVerificationEmail,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendAccessRequestEmail,
+  sendGrantApprovalEmail,
+  sendRemovalPasswordEmail
 };
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { normalizeDomain, checkSettingsLocked, markDeviceProfilesOutdated } = require('./blocking');
+const { ACCESS_REQUEST_STATUSES, MAX_REASON_LENGTH } = require('./accessrequests');
+const { getDeviceSupervisor } = require('./device');
+const { sendGrantApprovalEmail } = require('./email');
+
+// Temporary access grants: one domain allowed on one device for a fixed time. Active grants are
+// merged into the device's effective allow-list (see getEffectiveSettingsRow), and a background job
+// expires them. Starting or ending a grant flags the device profile as outdated, which makes the
+// MDM server re-push its content filter. While a timer commitment locks the device's settings,
+// a grant only starts once the device's supervisor approves it from an emailed link.
+
+const GRANT_STATUSES = {
+  PENDING_APPROVAL: 'pending_approval',
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked'
+};
+
+const DEFAULT_GRANT_MINUTES = 30;
+const MIN_GRANT_MINUTES = 1;
+const MAX_GRANT_MINUTES = 24 * 60;
+
+// How long a supervisor's approval link stays valid
+const APPROVAL_LINK_HOURS = 24;
+
+const GRANT_EXPIRY_INTERVAL_MS = parseInt(process.env.GRANT_EXPIRY_INTERVAL_MS || '60000', 10);
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Format a temporary_access_grants row for API responses
+const formatGrant = (row) => ({
+  id: row.id,
+  deviceId: row.device_id,
+  domain: row.domain,
+  reason: row.reason,
+  durationMinutes: row.duration_minutes,
+  status: row.status,
+  startsAt: row.starts_at,
+  endsAt: row.ends_at,
+  accessRequestId: row.access_request_id,
+  requiresApproval: Boolean(row.approval_token_hash),
+  approvedAt: row.approved_at,
+  endedAt: row.ended_at,
+  createdAt: row.created_at
+});
+
+const validateGrant = ({ domain, durationMinutes, reason }) => {
+  if (!domain || !normalizeDomain(domain)) {
+    return 'A valid domain is required';
+  }
+
+  if (!Number.isInteger(durationMinutes) || durationMinutes < MIN_GRANT_MINUTES || durationMinutes > MAX_GRANT_MINUTES) {
+    return `Duration must be a whole number of minutes between ${MIN_GRANT_MINUTES} and ${MAX_GRANT_MINUTES}`;
+  }
+
+  if (typeof reason !== 'string' || !reason.trim() || reason.length > MAX_REASON_LENGTH) {
+    return `A reason of at most ${MAX_REASON_LENGTH} characters is required`;
+  }
+
+  return null;
+};
+
+// Start a grant now: set its window, flag the device profile and close the access request it answers
+const activateGrant = async (client, grant) => {
+  const result = await client.query(`
+    UPDATE temporary_access_grants
+    SET status = $2, starts_at = NOW(), ends_at = NOW() + (duration_minutes || ' minutes')::interval,
+        approved_at = CASE WHEN approval_token_hash IS NOT NULL THEN NOW() ELSE approved_at END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [grant.id, GRANT_STATUSES.ACTIVE]);
+
+  await markDeviceProfilesOutdated(client, grant.user_id, { deviceId: grant.device_id });
+
+  if (grant.access_request_id) {
+    await client.query(`
+      UPDATE access_requests
+      SET status = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2
+    `, [grant.access_request_id, grant.user_id, ACCESS_REQUEST_STATUSES.APPROVED]);
+  }
+
+  return result.rows[0];
+};
+
+// Grant temporary access to a domain on a device. Starts straight away unless a timer commitment
+// locks the device's settings, in which case the supervisor is asked to approve it.
+const createGrant = async (userId, { deviceId, deviceName = null, domain, durationMinutes = DEFAULT_GRANT_MINUTES, reason, accessRequestId = null }) => {
+  const validationError = validateGrant({ domain, durationMinutes, reason });
+  if (validationError) {
+    return {
+      success: false,
+      error: validationError
+    };
+  }
+
+  const normalizedDomain = normalizeDomain(domain);
+
+  const lockCheck = await checkSettingsLocked(userId, deviceId);
+  let supervisor = null;
+
+  if (lockCheck.locked) {
+    supervisor = await getDeviceSupervisor(deviceId);
+
+    if (!supervisor) {
+      return {
+        success: false,
+        error: 'Settings are locked due to active timer commitment - temporary access needs a supervisor to approve it',
+        lockInfo: lockCheck
+      };
+    }
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (accessRequestId) {
+      const accessRequest = await client.query(
+        'SELECT id FROM access_requests WHERE id = $1 AND user_id = $2',
+        [accessRequestId, userId]
+      );
+
+      if (accessRequest.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          error: 'Access request not found'
+        };
+      }
+    }
+
+    const approvalToken = supervisor ? crypto.randomBytes(32).toString('hex') : null;
+
+    const inserted = await client.query(`
+      INSERT INTO temporary_access_grants (
+        user_id, device_id, domain, reason, duration_minutes, status, access_request_id,
+        supervisor_email, approval_token_hash, approval_expires_at, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+        CASE WHEN $9::varchar IS NULL THEN NULL ELSE NOW() + ($10 || ' hours')::interval END, $1)
+      RETURNING *
+    `, [
+      userId, deviceId, normalizedDomain, reason.trim(), durationMinutes,
+      supervisor ? GRANT_STATUSES.PENDING_APPROVAL : GRANT_STATUSES.ACTIVE,
+      accessRequestId,
+      supervisor ? supervisor.supervisorEmail : null,
+      approvalToken ? hashToken(approvalToken) : null,
+      APPROVAL_LINK_HOURS
+    ]);
+
+    const grant = supervisor ? inserted.rows[0] : await activateGrant(client, inserted.rows[0]);
+
+    await client.query('COMMIT');
+
+    if (!supervisor) {
+      console.log(`⏳ Temporary access to ${normalizedDomain} granted on device ${deviceId} for ${durationMinutes} minutes`);
+      return {
+        success: true,
+        grant: formatGrant(grant),
+        approvalRequired: false
+      };
+    }
+
+    console.log(`⏳ Temporary access to ${normalizedDomain} on device ${deviceId} is waiting for supervisor approval`);
+
+    const emailResult = await sendGrantApprovalEmail(supervisor.supervisorEmail, {
+      deviceName: deviceName || 'Unnamed device',
+      domain: normalizedDomain,
+      durationMinutes,
+      reason: grant.reason,
+      approvalHours: APPROVAL_LINK_HOURS,
+      approveUrl: `${process.env.FRONTEND_URL}/blocked/approve/${approvalToken}`
+    });
+
+    return {
+      success: true,
+      grant: formatGrant(grant),
+      approvalRequired: true,
+      supervisorNotified: emailResult.success
+    };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to create temporary access grant:', error.message);
+    return {
+      success: false,
+      error: 'Failed to create temporary access grant',
+      message: error.message
+    };
+  } finally {
+    client.release();
+  }
+};
+
+// Look up the pending grant behind a supervisor's approval link (for the confirmation page)
+const getGrantForApproval = async (token) => {
+  try {
+    const result = await pool.query(`
+      SELECT g.*, dp.device_name
+      FROM temporary_access_grants g
+      LEFT JOIN device_profiles dp ON dp.id = g.device_id
+      WHERE g.approval_token_hash = $1 AND g.status = $2 AND g.approval_expires_at > NOW()
+    `, [hashToken(String(token)), GRANT_STATUSES.PENDING_APPROVAL]);
+
+    if (result.rows.length === 0) {
+      return {
+        success: false,
+        error: 'Approval link is invalid or has expired'
+      };
+    }
+
+    return {
+      success: true,
+      grant: {
+        ...formatGrant(result.rows[0]),
+        deviceName: result.rows[0].device_name
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get grant for approval:', error.message);
+    return {
+      success: false,
+      error: 'Failed to get grant for approval',
+      message: error.message
+    };
+  }
+};
+
+// Supervisor approval: start a pending grant from its approval link
+const approveGrant = async (token) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const pending = await client.query(`
+      SELECT * FROM temporary_access_grants
+      WHERE approval_token_hash = $1 AND status = $2 AND approval_expires_at > NOW()
+      FOR UPDATE
+    `, [hashToken(String(token)), GRANT_STATUSES.PENDING_APPROVAL]);
+
+    if (pending.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return {
+        success: false,
+        error: 'Approval link is invalid or has expired'
+      };
+    }
+
+    const grant = await activateGrant(client, pending.rows[0]);
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Supervisor approved temporary access to ${grant.domain} on device ${grant.device_id}`);
+
+    return {
+      success: true,
+      grant: formatGrant(grant)
+    };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to approve temporary access grant:', error.message);
+    return {
+      success: false,
+      error: 'Failed to approve temporary access grant',
+      message: error.message
+    };
+  } finally {
+    client.release();
+  }
+};
+
+// End a grant early (or withdraw one still waiting for approval). Revoking only tightens
+// the filter, so it is allowed while settings are locked.
+const revokeGrant = async (userId, grantId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(`
+      SELECT * FROM temporary_access_grants
+      WHERE id = $1 AND user_id = $2 AND status IN ($3, $4)
+      FOR UPDATE
+    `, [grantId, userId, GRANT_STATUSES.ACTIVE, GRANT_STATUSES.PENDING_APPROVAL]);
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return {
+        success: false,
+        error: 'Grant not found or already ended'
+      };
+    }
+
+    const result = await client.query(`
+      UPDATE temporary_access_grants
+      SET status = $2, ended_at = NOW(), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [grantId, GRANT_STATUSES.REVOKED]);
+
+    const grant = result.rows[0];
+
+    if (existing.rows[0].status === GRANT_STATUSES.ACTIVE) {
+      await markDeviceProfilesOutdated(client, userId, { deviceId: grant.device_id });
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`⏳ Temporary access to ${grant.domain} on device ${grant.device_id} revoked`);
+
+    return {
+      success: true,
+      grant: formatGrant(grant)
+    };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to revoke temporary access grant:', error.message);
+    return {
+      success: false,
+      error: 'Failed to revoke temporary access grant',
+      message: error.message
+    };
+  } finally {
+    client.release();
+  }
+};
+
+// List a user's grants, newest first, optionally for one device and/or status
+const getGrants = async (userId, { deviceId = null, status = null } = {}) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM temporary_access_grants
+      WHERE user_id = $1
+        AND ($2::integer IS NULL OR device_id = $2)
+        AND ($3::varchar IS NULL OR status = $3)
+      ORDER BY created_at DESC
+      LIMIT 100
+    `, [userId, deviceId, status]);
+
+    return {
+      success: true,
+      grants: result.rows.map(row => formatGrant(row))
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get temporary access grants:', error.message);
+    return {
+      success: false,
+      error: 'Failed to get temporary access grants',
+      message: error.message
+    };
+  }
+};
+
+// Expire grants whose time is up and approval links nobody used (background job)
+const processExpiredGrants = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const expired = await client.query(`
+      UPDATE temporary_access_grants
+      SET status = $1, ended_at = ends_at, updated_at = CURRENT_TIMESTAMP
+      WHERE status = $2 AND ends_at <= NOW()
+      RETURNING id, user_id, device_id
+    `, [GRANT_STATUSES.EXPIRED, GRANT_STATUSES.ACTIVE]);
+
+    const unapproved = await client.query(`
+      UPDATE temporary_access_grants
+      SET status = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE status = $2 AND approval_expires_at <= NOW()
+      RETURNING id
+    `, [GRANT_STATUSES.EXPIRED, GRANT_STATUSES.PENDING_APPROVAL]);
+
+    // One profile re-push per device, however many of its grants ended
+    const devices = new Map(expired.rows.map(row => [row.device_id, row.user_id]));
+    for (const [deviceId, userId] of devices) {
+      await markDeviceProfilesOutdated(client, userId, { deviceId });
+    }
+
+    await client.query('COMMIT');
+
+    if (expired.rows.length > 0 || unapproved.rows.length > 0) {
+      console.log(`⏳ Expired ${expired.rows.length} temporary access grant(s) and ${unapproved.rows.length} unapproved request(s)`);
+    }
+
+    return {
+      success: true,
+      expiredCount: expired.rows.length,
+      unapprovedCount: unapproved.rows.length
+    };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to process expired grants:', error.message);
+    return {
+      success: false,
+      error: 'Failed to process expired grants'
+    };
+  } finally {
+    client.release();
+  }
+};
+
+// Run processExpiredGrants on an interval; returns the timer so callers can stop it
+const startGrantExpiryJob = (intervalMs = GRANT_EXPIRY_INTERVAL_MS) => {
+  const timer = setInterval(() => processExpiredGrants(), intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  GRANT_STATUSES,
+  DEFAULT_GRANT_MINUTES,
+  MIN_GRANT_MINUTES,
+  MAX_GRANT_MINUTES,
+  createGrant,
+  getGrantForApproval,
+  approveGrant,
+  revokeGrant,
+  getGrants,
+  processExpiredGrants,
+  startGrantExpiryJob
+};
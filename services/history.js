@@ -0,0 +1,303 @@
+const { pool } = require('../config/database');
+const {
+  CONTENT_CATEGORIES,
+  getCategoryColumn,
+  getCategorySettingKey
+} = require('./categories');
+const {
+  INHERITABLE_SETTINGS,
+  checkSettingsLocked,
+  saveBlockingSettings
+} = require('./blocking');
+
+// Non-category settings compared when diffing revisions
+const DIFFED_SETTINGS = [
+  'enable_time_restrictions',
+  'allowed_hours_start',
+  'allowed_hours_end',
+  'blocked_days',
+  'timezone',
+  'enable_safe_search',
+  'block_explicit_content',
+  'preset_key',
+  'overridden_fields',
+  'blocked_app_categories',
+  'custom_blocked_apps',
+  'enable_dns_filtering',
+  'blocked_url_prefixes',
+  'blocked_keywords'
+];
+
+// Format a history row for API responses (the full snapshot only when asked for)
+const formatRevision = (row, includeSnapshot = false) => ({
+  revisionId: row.id,
+  settingsId: row.settings_id,
+  deviceId: row.device_id,
+  settingsVersion: row.settings_version,
+  changedBy: row.changed_by,
+  changeSource: row.change_source,
+  clientIp: row.client_ip,
+  userAgent: row.user_agent,
+  createdAt: row.created_at,
+  ...(includeSnapshot && { settings: row.settings_snapshot })
+});
+
+// Turn a stored snapshot back into the camelCased shape saveBlockingSettings expects
+const snapshotToSettingsData = (snapshot) => {
+  const settingsData = {};
+
+  Object.keys(CONTENT_CATEGORIES).forEach(category => {
+    settingsData[getCategorySettingKey(category)] = Boolean(snapshot[getCategoryColumn(category)]);
+  });
+
+  return {
+    ...settingsData,
+    customBlockedDomains: snapshot.custom_blocked_domains || [],
+    customAllowedDomains: snapshot.custom_allowed_domains || [],
+    enableTimeRestrictions: Boolean(snapshot.enable_time_restrictions),
+    allowedHoursStart: snapshot.allowed_hours_start ? snapshot.allowed_hours_start.slice(0, 5) : null,
+    allowedHoursEnd: snapshot.allowed_hours_end ? snapshot.allowed_hours_end.slice(0, 5) : null,
+    blockedDays: snapshot.blocked_days || [],
+    timezone: snapshot.timezone || 'UTC',
+    enableSafeSearch: snapshot.enable_safe_search ?? true,
+    blockExplicitContent: snapshot.block_explicit_content ?? true,
+    // Snapshots from before app rules existed leave the current app rules alone
+    ...(snapshot.blocked_app_categories && { blockedAppCategories: snapshot.blocked_app_categories }),
+    ...(snapshot.custom_blocked_apps && { customBlockedApps: snapshot.custom_blocked_apps }),
+    ...(snapshot.enable_dns_filtering !== undefined && { enableDnsFiltering: Boolean(snapshot.enable_dns_filtering) }),
+    ...(snapshot.blocked_url_prefixes && { blockedUrlPrefixes: snapshot.blocked_url_prefixes }),
+    ...(snapshot.blocked_keywords && { blockedKeywords: snapshot.blocked_keywords }),
+    // Device snapshots remember which fields were inherited; older snapshots predate inheritance
+    ...(snapshot.device_id && snapshot.overridden_fields && {
+      inheritFields: Object.keys(INHERITABLE_SETTINGS)
+        .filter(field => !snapshot.overridden_fields.includes(INHERITABLE_SETTINGS[field]))
+    })
+  };
+};
+
+// Items in one list but not the other
+const listDifference = (list, other) => {
+  const otherSet = new Set(other || []);
+  return (list || []).filter(item => !otherSet.has(item));
+};
+
+// Describe what changed between two settings snapshots
+const diffSnapshots = (from, to) => {
+  const categories = { enabled: [], disabled: [] };
+
+  Object.keys(CONTENT_CATEGORIES).forEach(category => {
+    const before = Boolean(from[getCategoryColumn(category)]);
+    const after = Boolean(to[getCategoryColumn(category)]);
+    if (!before && after) categories.enabled.push(category);
+    if (before && !after) categories.disabled.push(category);
+  });
+
+  const changedSettings = DIFFED_SETTINGS
+    .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+  const blockedDomains = {
+    added: listDifference(to.custom_blocked_domains, from.custom_blocked_domains),
+    removed: listDifference(from.custom_blocked_domains, to.custom_blocked_domains)
+  };
+
+  const allowedDomains = {
+    added: listDifference(to.custom_allowed_domains, from.custom_allowed_domains),
+    removed: listDifference(from.custom_allowed_domains, to.custom_allowed_domains)
+  };
+
+  const hasChanges = categories.enabled.length > 0 || categories.disabled.length > 0 ||
+    blockedDomains.added.length > 0 || blockedDomains.removed.length > 0 ||
+    allowedDomains.added.length > 0 || allowedDomains.removed.length > 0 ||
+    changedSettings.length > 0;
+
+  return {
+    hasChanges,
+    categories,
+    blockedDomains,
+    allowedDomains,
+    changedSettings
+  };
+};
+
+// Get a revision, making sure it belongs to the user
+const getRevisionRow = async (userId, revisionId) => {
+  const result = await pool.query(
+    'SELECT * FROM blocking_settings_history WHERE id = $1 AND user_id = $2',
+    [revisionId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// List revisions for the user's default settings (deviceId null) or one device, newest first
+const listSettingsHistory = async (userId, deviceId = null, options = {}) => {
+  try {
+    const { limit = 20, offset = 0 } = options;
+
+    const result = await pool.query(`
+      SELECT *, COUNT(*) OVER() AS total_count
+      FROM blocking_settings_history
+      WHERE user_id = $1 AND ($2::integer IS NULL AND device_id IS NULL OR device_id = $2)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3 OFFSET $4
+    `, [userId, deviceId, limit, offset]);
+
+    return {
+      success: true,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+      revisions: result.rows.map(row => formatRevision(row))
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to list settings history:', error.message);
+    return {
+      success: false,
+      error: 'Failed to retrieve settings history'
+    };
+  }
+};
+
+// Get one revision including its full settings snapshot
+const getSettingsRevision = async (userId, revisionId) => {
+  try {
+    const row = await getRevisionRow(userId, revisionId);
+
+    if (!row) {
+      return {
+        success: false,
+        error: 'Revision not found'
+      };
+    }
+
+    return {
+      success: true,
+      revision: formatRevision(row, true)
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get settings revision:', error.message);
+    return {
+      success: false,
+      error: 'Failed to retrieve settings revision',
+      message: error.message
+    };
+  }
+};
+
+// Diff two revisions. Without toRevisionId the comparison is against the latest
+// revision for the same settings row.
+const diffSettingsRevisions = async (userId, fromRevisionId, toRevisionId = null) => {
+  try {
+    const from = await getRevisionRow(userId, fromRevisionId);
+    if (!from) {
+      return {
+        success: false,
+        error: 'Revision not found'
+      };
+    }
+
+    let to;
+    if (toRevisionId) {
+      to = await getRevisionRow(userId, toRevisionId);
+    } else {
+      const latest = await pool.query(`
+        SELECT * FROM blocking_settings_history
+        WHERE settings_id = $1 AND user_id = $2
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+      `, [from.settings_id, userId]);
+      to = latest.rows[0];
+    }
+
+    if (!to) {
+      return {
+        success: false,
+        error: 'Revision not found'
+      };
+    }
+
+    return {
+      success: true,
+      from: formatRevision(from),
+      to: formatRevision(to),
+      diff: diffSnapshots(from.settings_snapshot, to.settings_snapshot)
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to diff settings revisions:', error.message);
+    return {
+      success: false,
+      error: 'Failed to compare settings revisions',
+      message: error.message
+    };
+  }
+};
+
+// Restore the settings captured in a revision. The restore is itself recorded as a new revision.
+const rollbackSettings = async (userId, revisionId, context = {}) => {
+  try {
+    const revision = await getRevisionRow(userId, revisionId);
+
+    if (!revision) {
+      return {
+        success: false,
+        error: 'Revision not found'
+      };
+    }
+
+    // Checked here too so the error names the rollback rather than a plain save
+    const lockCheck = await checkSettingsLocked(userId, revision.device_id);
+    if (lockCheck.locked) {
+      return {
+        success: false,
+        error: 'Settings cannot be rolled back while a timer commitment is active',
+        lockInfo: lockCheck
+      };
+    }
+
+    console.log('⏪ Rolling back blocking settings for user:', userId, 'to revision:', revisionId);
+
+    const snapshot = revision.settings_snapshot;
+
+    const result = await saveBlockingSettings(
+      userId,
+      revision.device_id,
+      snapshotToSettingsData(snapshot),
+      {
+        presetKey: snapshot.preset_key || null,
+        context: {
+          ...context,
+          source: `rollback:${revisionId}`
+        }
+      }
+    );
+
+    if (!result.success) {
+      return result;
+    }
+
+    console.log('✅ Blocking settings rolled back to revision:', revisionId);
+
+    return {
+      success: true,
+      restoredRevision: formatRevision(revision),
+      settings: result.settings
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to roll back settings:', error.message);
+    return {
+      success: false,
+      error: 'Failed to roll back settings',
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  listSettingsHistory,
+  getSettingsRevision,
+  diffSettingsRevisions,
+  rollbackSettings
+};
@@ -0,0 +1,257 @@
+const { CATEGORY_KEYS, isValidCategory } = require('./categories');
+const { normalizeDomain } = require('./blocking');
+const { addCatalogueEntries } = require('./catalogue');
+
+// Supported blocklist formats
+const BLOCKLIST_FORMATS = ['auto', 'hosts', 'adblock', 'domains'];
+
+// Hostnames that appear in hosts files but are never real block targets
+const HOSTS_FILE_IGNORED = new Set([
+  'localhost',
+  'localhost.localdomain',
+  'local',
+  'broadcasthost',
+  'ip6-localhost',
+  'ip6-loopback',
+  'ip6-localnet',
+  'ip6-mcastprefix',
+  'ip6-allnodes',
+  'ip6-allrouters',
+  'ip6-allhosts',
+  '0.0.0.0'
+]);
+
+// Maximum number of rejected lines echoed back in an import report
+const MAX_REPORTED_REJECTIONS = 50;
+
+// Catalogue entries always cover subdomains, so leading wildcards are dropped before normalising
+const normalizeImportedDomain = (domain) => {
+  return normalizeDomain(domain.trim().replace(/^\*\./, ''));
+};
+
+// Detect the format of a blocklist from its first meaningful lines
+const detectBlocklistFormat = (lines) => {
+  const sample = lines
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('!'))
+    .slice(0, 50);
+
+  if (lines.some(line => /^\[Adblock/i.test(line.trim())) || sample.some(line => line.startsWith('||'))) {
+    return 'adblock';
+  }
+
+  if (sample.some(line => /^(0\.0\.0\.0|127\.0\.0\.1|::1?|::)\s+/.test(line))) {
+    return 'hosts';
+  }
+
+  return 'domains';
+};
+
+// Extract a domain from one line; returns { domain } or { ignored: true } or { rejected: reason }
+const parseBlocklistLine = (line, format) => {
+  let text = line.trim();
+
+  if (!text || text.startsWith('#') || text.startsWith('!') || text.startsWith('[')) {
+    return { ignored: true };
+  }
+
+  if (format === 'hosts') {
+    // Strip inline comments, then expect "<ip> <host> [<host>...]"
+    text = text.replace(/\s+#.*$/, '');
+    const parts = text.split(/\s+/);
+
+    if (parts.length < 2) {
+      return { rejected: 'Hosts line has no hostname' };
+    }
+
+    const hosts = parts.slice(1).filter(host => !HOSTS_FILE_IGNORED.has(host.toLowerCase()));
+    if (hosts.length === 0) {
+      return { ignored: true };
+    }
+
+    return { domains: hosts };
+  }
+
+  if (format === 'adblock') {
+    // Exception rules and cosmetic filters don't describe blocked domains
+    if (text.startsWith('@@') || text.includes('##') || text.includes('#@#') || text.includes('#?#')) {
+      return { ignored: true };
+    }
+
+    const match = text.match(/^\|\|([^\^\/$|]+)\^?(\$.*)?$/);
+    if (!match) {
+      return { rejected: 'Not a domain-anchored (||domain^) rule' };
+    }
+
+    // Rules restricted to specific resource types would over-block if applied to the whole domain
+    if (match[2] && !/^\$(important|all|document|doc|third-party|3p)(,(important|all|document|doc|third-party|3p))*$/.test(match[2])) {
+      return { rejected: `Unsupported rule options: ${match[2]}` };
+    }
+
+    return { domains: [match[1]] };
+  }
+
+  // Plain domain-per-line lists sometimes carry trailing comments
+  text = text.replace(/\s+#.*$/, '');
+
+  if (/\s/.test(text)) {
+    return { rejected: 'Line contains more than one value' };
+  }
+
+  return { domains: [text] };
+};
+
+// Parse blocklist content into unique, validated domains
+const parseBlocklist = (content, format = 'auto') => {
+  const lines = content.split(/\r?\n/);
+  const resolvedFormat = format === 'auto' ? detectBlocklistFormat(lines) : format;
+
+  const domains = new Set();
+  const rejected = [];
+  let duplicates = 0;
+  let ignoredLines = 0;
+
+  lines.forEach((line, index) => {
+    const parsed = parseBlocklistLine(line, resolvedFormat);
+
+    if (parsed.ignored) {
+      ignoredLines++;
+      return;
+    }
+
+    if (parsed.rejected) {
+      rejected.push({ line: index + 1, value: line.trim(), reason: parsed.rejected });
+      return;
+    }
+
+    parsed.domains.forEach(rawDomain => {
+      const domain = normalizeImportedDomain(rawDomain);
+
+      if (!domain) {
+        rejected.push({ line: index + 1, value: rawDomain, reason: 'Invalid domain' });
+        return;
+      }
+
+      if (domains.has(domain)) {
+        duplicates++;
+        return;
+      }
+
+      domains.add(domain);
+    });
+  });
+
+  return {
+    format: resolvedFormat,
+    totalLines: lines.length,
+    ignoredLines,
+    duplicates,
+    domains: [...domains],
+    rejected
+  };
+};
+
+// Import a blocklist into a catalogue category and report what happened
+const importBlocklist = async (content, options = {}) => {
+  const {
+    category,
+    format = 'auto',
+    source = 'import',
+    confidence = 0.9,
+    changedBy = null
+  } = options;
+
+  try {
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      return {
+        success: false,
+        error: 'Blocklist content is empty'
+      };
+    }
+
+    if (!isValidCategory(category)) {
+      return {
+        success: false,
+        error: `Invalid category: ${category}`,
+        validCategories: CATEGORY_KEYS
+      };
+    }
+
+    if (!BLOCKLIST_FORMATS.includes(format)) {
+      return {
+        success: false,
+        error: `Invalid format: ${format}`,
+        validFormats: BLOCKLIST_FORMATS
+      };
+    }
+
+    console.log('📥 Importing blocklist into category:', category, 'source:', source);
+
+    const parsed = parseBlocklist(content, format);
+
+    const report = {
+      category,
+      source,
+      format: parsed.format,
+      totalLines: parsed.totalLines,
+      ignoredLines: parsed.ignoredLines,
+      domainsFound: parsed.domains.length,
+      added: 0,
+      skipped: parsed.duplicates,
+      rejected: parsed.rejected.length,
+      rejectedSamples: parsed.rejected.slice(0, MAX_REPORTED_REJECTIONS),
+      catalogueVersion: null
+    };
+
+    if (parsed.domains.length === 0) {
+      return {
+        success: true,
+        report
+      };
+    }
+
+    const result = await addCatalogueEntries(
+      parsed.domains.map(domain => ({ domain, category, confidence })),
+      {
+        source,
+        changedBy,
+        changeSummary: `Imported ${parsed.domains.length} domain(s) into ${category} from ${source}`
+      }
+    );
+
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.error,
+        details: result.details,
+        ...(result.message && { message: result.message })
+      };
+    }
+
+    report.added = result.added;
+    report.skipped += result.skipped;
+    report.catalogueVersion = result.version;
+
+    console.log(`✅ Blocklist import complete: ${report.added} added, ${report.skipped} skipped, ${report.rejected} rejected`);
+
+    return {
+      success: true,
+      report
+    };
+
+  } catch (error) {
+    console.error('❌ Blocklist import failed:', error.message);
+    return {
+      success: false,
+      error: 'Blocklist import failed',
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  BLOCKLIST_FORMATS,
+  detectBlocklistFormat,
+  parseBlocklist,
+  importBlocklist
+};
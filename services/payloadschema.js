@@ -0,0 +1,248 @@
+const plist = require('plist');
+
+// Schemas for the configuration profile payloads we generate. iOS ignores keys it doesn't know, so a
+// typo such as "safariForceIranks" would install fine and silently do nothing - every profile is
+// checked against these schemas before it is serialised, and anything unexpected stops generation.
+//
+// A schema maps each allowed key to a field: { type, required?, values?, keys? (dict), items? (array) }.
+
+const FIELD_TYPES = {
+  STRING: 'string',
+  INTEGER: 'integer',
+  REAL: 'real',
+  BOOLEAN: 'boolean',
+  DATE: 'date',
+  ARRAY: 'array',
+  DICT: 'dict'
+};
+
+const UUID_REGEX = /^[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}$/i;
+
+const string = (options = {}) => ({ type: FIELD_TYPES.STRING, ...options });
+const integer = (options = {}) => ({ type: FIELD_TYPES.INTEGER, ...options });
+const real = (options = {}) => ({ type: FIELD_TYPES.REAL, ...options });
+const boolean = (options = {}) => ({ type: FIELD_TYPES.BOOLEAN, ...options });
+const date = (options = {}) => ({ type: FIELD_TYPES.DATE, ...options });
+const array = (items, options = {}) => ({ type: FIELD_TYPES.ARRAY, items, ...options });
+const dict = (keys, options = {}) => ({ type: FIELD_TYPES.DICT, keys, ...options });
+
+// Keys every payload in PayloadContent carries
+const COMMON_PAYLOAD_KEYS = {
+  PayloadType: string({ required: true }),
+  PayloadUUID: string({ required: true, pattern: UUID_REGEX }),
+  PayloadIdentifier: string({ required: true }),
+  PayloadVersion: integer({ required: true }),
+  PayloadDisplayName: string(),
+  PayloadDescription: string(),
+  PayloadOrganization: string(),
+  PayloadEnabled: boolean()
+};
+
+const PAYLOAD_SCHEMAS = {
+  'com.apple.webcontent-filter': {
+    ...COMMON_PAYLOAD_KEYS,
+    FilterType: string({ required: true, values: ['BuiltIn', 'Plugin'] }),
+    AutoFilterEnabled: boolean(),
+    PermittedURLs: array(string()),
+    BlacklistedURLs: array(string()),
+    WhitelistedBookmarks: array(dict({
+      URL: string({ required: true }),
+      Title: string()
+    })),
+    FilterBrowsers: boolean(),
+    FilterSockets: boolean()
+  },
+
+  'com.apple.applicationaccess': {
+    ...COMMON_PAYLOAD_KEYS,
+    allowAddingGameCenterFriends: boolean(),
+    allowAppClips: boolean(),
+    allowAppInstallation: boolean(),
+    allowAppRemoval: boolean(),
+    allowAssistant: boolean(),
+    allowAutoUnlock: boolean(),
+    allowAutomaticAppDownloads: boolean(),
+    allowCamera: boolean(),
+    allowDiagnosticSubmission: boolean(),
+    allowEraseContentAndSettings: boolean(),
+    allowExplicitContent: boolean(),
+    allowFingerprintForUnlock: boolean(),
+    allowGameCenter: boolean(),
+    allowInAppPurchases: boolean(),
+    allowMultiplayer: boolean(),
+    allowPassbookWhileLocked: boolean(),
+    allowPasscodeModification: boolean(),
+    allowScreenShot: boolean(),
+    allowUIAppInstallation: boolean(),
+    allowUIConfigurationProfileInstallation: boolean(),
+    allowVPNCreation: boolean(),
+    blacklistedAppBundleIDs: array(string()),
+    safariAllowAutoFill: boolean(),
+    safariAllowJavaScript: boolean(),
+    safariAllowPopups: boolean(),
+    safariForceFraudWarning: boolean()
+  },
+
+  'com.apple.profileRemovalPassword': {
+    ...COMMON_PAYLOAD_KEYS,
+    RemovalPassword: string({ required: true })
+  },
+
+  'com.apple.dnsSettings.managed': {
+    ...COMMON_PAYLOAD_KEYS,
+    DNSSettings: dict({
+      DNSProtocol: string({ required: true, values: ['HTTPS', 'TLS'] }),
+      ServerURL: string(),
+      ServerName: string(),
+      ServerAddresses: array(string())
+    }, { required: true }),
+    OnDemandRules: array(dict({
+      Action: string({ required: true, values: ['Connect', 'Disconnect', 'EvaluateConnection'] })
+    })),
+    ProhibitDisablement: boolean()
+  }
+};
+
+// The top-level Configuration dictionary that wraps the payloads
+const CONFIGURATION_SCHEMA = {
+  PayloadType: string({ required: true, values: ['Configuration'] }),
+  PayloadUUID: string({ required: true, pattern: UUID_REGEX }),
+  PayloadIdentifier: string({ required: true }),
+  PayloadVersion: integer({ required: true }),
+  PayloadDisplayName: string({ required: true }),
+  PayloadDescription: string(),
+  PayloadOrganization: string(),
+  PayloadRemovalDisallowed: boolean(),
+  PayloadScope: string({ values: ['User', 'System'] }),
+  // Each payload is checked against its own schema by validateProfile
+  PayloadContent: array(dict(), { required: true }),
+  RemovalDate: date(),
+  DurationUntilRemoval: real(),
+  ConsentText: dict({
+    default: string({ required: true })
+  })
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+};
+
+const TYPE_CHECKS = {
+  [FIELD_TYPES.STRING]: value => typeof value === 'string',
+  [FIELD_TYPES.INTEGER]: value => Number.isInteger(value),
+  [FIELD_TYPES.REAL]: value => typeof value === 'number' && Number.isFinite(value),
+  [FIELD_TYPES.BOOLEAN]: value => typeof value === 'boolean',
+  [FIELD_TYPES.DATE]: value => value instanceof Date && !isNaN(value.getTime()),
+  [FIELD_TYPES.ARRAY]: value => Array.isArray(value),
+  [FIELD_TYPES.DICT]: isPlainObject
+};
+
+// Check one value against its field definition, adding "path: problem" messages to errors
+const validateField = (value, field, path, errors) => {
+  if (!TYPE_CHECKS[field.type](value)) {
+    errors.push(`${path}: expected ${field.type}`);
+    return;
+  }
+
+  if (field.values && !field.values.includes(value)) {
+    errors.push(`${path}: must be one of ${field.values.join(', ')}`);
+  }
+
+  if (field.pattern && !field.pattern.test(value)) {
+    errors.push(`${path}: invalid format`);
+  }
+
+  if (field.type === FIELD_TYPES.ARRAY && field.items) {
+    value.forEach((item, index) => validateField(item, field.items, `${path}[${index}]`, errors));
+  }
+
+  if (field.type === FIELD_TYPES.DICT && field.keys) {
+    validateKeys(value, field.keys, path, errors);
+  }
+};
+
+// Check a dictionary against a schema: required keys present, no unknown keys, values well typed.
+// undefined values are treated as absent, since plist.build leaves them out.
+const validateKeys = (object, schema, path, errors) => {
+  Object.entries(schema).forEach(([key, field]) => {
+    if (field.required && object[key] === undefined) {
+      errors.push(`${path}.${key}: required`);
+    }
+  });
+
+  Object.entries(object).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+
+    if (!schema[key]) {
+      errors.push(`${path}.${key}: unknown key`);
+      return;
+    }
+
+    validateField(value, schema[key], `${path}.${key}`, errors);
+  });
+};
+
+// Validate a single payload against the schema for its PayloadType. Returns a list of errors.
+const validatePayload = (payload, path = 'payload') => {
+  const errors = [];
+
+  if (!isPlainObject(payload)) {
+    return [`${path}: expected dict`];
+  }
+
+  const schema = PAYLOAD_SCHEMAS[payload.PayloadType];
+
+  if (!schema) {
+    return [`${path}.PayloadType: no schema for ${payload.PayloadType}`];
+  }
+
+  validateKeys(payload, schema, `${path}(${payload.PayloadType})`, errors);
+
+  return errors;
+};
+
+// Validate a whole Configuration profile and each of its payloads. Returns a list of errors.
+const validateProfile = (profile) => {
+  const errors = [];
+
+  if (!isPlainObject(profile)) {
+    return ['profile: expected dict'];
+  }
+
+  validateKeys(profile, CONFIGURATION_SCHEMA, 'profile', errors);
+
+  if (Array.isArray(profile.PayloadContent)) {
+    profile.PayloadContent.forEach((payload, index) => {
+      errors.push(...validatePayload(payload, `profile.PayloadContent[${index}]`));
+    });
+
+    const uuids = [profile.PayloadUUID, ...profile.PayloadContent.map(payload => payload && payload.PayloadUUID)];
+    if (new Set(uuids).size !== uuids.length) {
+      errors.push('profile: PayloadUUIDs must be unique');
+    }
+  }
+
+  return errors;
+};
+
+// Validate a profile and serialise it to plist XML. Throws, listing every problem, if it isn't valid.
+const buildProfilePlist = (profile) => {
+  const errors = validateProfile(profile);
+
+  if (errors.length > 0) {
+    throw new Error(`Profile failed schema validation: ${errors.join('; ')}`);
+  }
+
+  return plist.build(profile);
+};
+
+module.exports = {
+  FIELD_TYPES,
+  PAYLOAD_SCHEMAS,
+  CONFIGURATION_SCHEMA,
+  validatePayload,
+  validateProfile,
+  buildProfilePlist
+};
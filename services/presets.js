@@ -0,0 +1,489 @@
+const { pool } = require('../config/database');
+const { CONTENT_CATEGORIES, getCategorySettingKey } = require('./categories');
+const { normalizeBundleIdList } = require('./apps');
+const { normalizeUrlPrefixList, normalizeKeywordList } = require('./urlrules');
+const {
+  validateBlockingSettings,
+  normalizeDomainList,
+  getBlockingSettings,
+  saveBlockingSettings
+} = require('./blocking');
+
+// Settings a preset controls. Timezone is deliberately left out - it belongs to the user, not the preset.
+const PRESET_SETTING_KEYS = [
+  ...Object.keys(CONTENT_CATEGORIES).map(getCategorySettingKey),
+  'customBlockedDomains',
+  'customAllowedDomains',
+  'blockedUrlPrefixes',
+  'blockedKeywords',
+  'enableSafeSearch',
+  'blockExplicitContent',
+  'enableTimeRestrictions',
+  'allowedHoursStart',
+  'allowedHoursEnd',
+  'blockedDays',
+  'blockedAppCategories',
+  'customBlockedApps'
+];
+
+// Prefix for user-defined preset keys, so they can never shadow a built-in
+const USER_PRESET_PREFIX = 'custom_';
+
+// Build a complete preset settings object, filling anything unspecified with "off"
+const buildPresetSettings = (settings = {}) => {
+  const presetSettings = {};
+
+  Object.keys(CONTENT_CATEGORIES).forEach(category => {
+    const key = getCategorySettingKey(category);
+    presetSettings[key] = settings[key] ?? false;
+  });
+
+  return {
+    ...presetSettings,
+    customBlockedDomains: normalizeDomainList(settings.customBlockedDomains),
+    customAllowedDomains: normalizeDomainList(settings.customAllowedDomains),
+    blockedUrlPrefixes: normalizeUrlPrefixList(settings.blockedUrlPrefixes),
+    blockedKeywords: normalizeKeywordList(settings.blockedKeywords),
+    enableSafeSearch: settings.enableSafeSearch ?? true,
+    blockExplicitContent: settings.blockExplicitContent ?? true,
+    enableTimeRestrictions: settings.enableTimeRestrictions ?? false,
+    allowedHoursStart: settings.allowedHoursStart || null,
+    allowedHoursEnd: settings.allowedHoursEnd || null,
+    blockedDays: settings.blockedDays || [],
+    blockedAppCategories: settings.blockedAppCategories || [],
+    customBlockedApps: normalizeBundleIdList(settings.customBlockedApps)
+  };
+};
+
+// Presets available to every user
+const BUILT_IN_PRESETS = {
+  recovery_strict: {
+    name: 'Recovery Strict',
+    description: 'Maximum protection: adult content, gambling, dating and social media blocked around the clock, plus VPN and dating apps',
+    settings: buildPresetSettings({
+      blockAdultContent: true,
+      blockGambling: true,
+      blockDating: true,
+      blockSocialMedia: true,
+      blockedAppCategories: ['vpn', 'dating']
+    })
+  },
+  focus_mode: {
+    name: 'Focus Mode',
+    description: 'Blocks distractions - social media, gaming, news, entertainment and shopping - on top of the essentials',
+    settings: buildPresetSettings({
+      blockAdultContent: true,
+      blockGambling: true,
+      blockSocialMedia: true,
+      blockGaming: true,
+      blockNews: true,
+      blockEntertainment: true,
+      blockShopping: true
+    })
+  },
+  weekend: {
+    name: 'Weekend',
+    description: 'Relaxed protection: only adult content and gambling blocked, with everything restricted overnight',
+    settings: buildPresetSettings({
+      blockAdultContent: true,
+      blockGambling: true,
+      enableTimeRestrictions: true,
+      allowedHoursStart: '08:00',
+      allowedHoursEnd: '23:00'
+    })
+  }
+};
+
+// Format a built-in preset for API responses
+const formatBuiltInPreset = (key) => ({
+  key,
+  name: BUILT_IN_PRESETS[key].name,
+  description: BUILT_IN_PRESETS[key].description,
+  builtIn: true,
+  settings: BUILT_IN_PRESETS[key].settings
+});
+
+// Format a user preset row for API responses
+const formatUserPreset = (row) => ({
+  key: row.preset_key,
+  name: row.name,
+  description: row.description,
+  builtIn: false,
+  settings: row.settings,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Turn a preset name into a key (e.g. "Late Nights" -> "custom_late_nights")
+const generatePresetKey = (name) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 50);
+  return `${USER_PRESET_PREFIX}${slug}`;
+};
+
+// Validate a user preset before it is stored
+const validatePreset = (preset) => {
+  const errors = [];
+
+  if (!preset || typeof preset !== 'object') {
+    return ['Preset must be an object'];
+  }
+
+  if (!preset.name || typeof preset.name !== 'string' || !preset.name.trim()) {
+    errors.push('Preset name is required');
+  } else if (preset.name.length > 100) {
+    errors.push('Preset name must be 100 characters or fewer');
+  } else if (generatePresetKey(preset.name) === USER_PRESET_PREFIX) {
+    errors.push('Preset name must contain letters or numbers');
+  }
+
+  if (!preset.settings || typeof preset.settings !== 'object') {
+    errors.push('Preset settings are required');
+  } else {
+    errors.push(...validateBlockingSettings(preset.settings));
+  }
+
+  return errors;
+};
+
+// List built-in presets followed by the user's own
+const listPresets = async (userId) => {
+  try {
+    const result = await pool.query(`
+      SELECT preset_key, name, description, settings, created_at, updated_at
+      FROM blocking_presets
+      WHERE user_id = $1
+      ORDER BY name
+    `, [userId]);
+
+    return {
+      success: true,
+      presets: [
+        ...Object.keys(BUILT_IN_PRESETS).map(formatBuiltInPreset),
+        ...result.rows.map(formatUserPreset)
+      ]
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to list presets:', error.message);
+    return {
+      success: false,
+      error: 'Failed to retrieve presets'
+    };
+  }
+};
+
+// Get a single preset (built-in or the user's own) by key
+const getPreset = async (userId, presetKey) => {
+  try {
+    if (BUILT_IN_PRESETS[presetKey]) {
+      return {
+        success: true,
+        preset: formatBuiltInPreset(presetKey)
+      };
+    }
+
+    const result = await pool.query(`
+      SELECT preset_key, name, description, settings, created_at, updated_at
+      FROM blocking_presets
+      WHERE user_id = $1 AND preset_key = $2
+    `, [userId, presetKey]);
+
+    if (result.rows.length === 0) {
+      return {
+        success: false,
+        error: 'Preset not found'
+      };
+    }
+
+    return {
+      success: true,
+      preset: formatUserPreset(result.rows[0])
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get preset:', error.message);
+    return {
+      success: false,
+      error: 'Failed to retrieve preset',
+      message: error.message
+    };
+  }
+};
+
+// Create a user-defined preset
+const createPreset = async (userId, presetData) => {
+  try {
+    const validationErrors = validatePreset(presetData);
+    if (validationErrors.length > 0) {
+      return {
+        success: false,
+        error: 'Validation failed',
+        details: validationErrors
+      };
+    }
+
+    const presetKey = generatePresetKey(presetData.name);
+
+    console.log('🎛️ Creating preset for user:', userId, 'key:', presetKey);
+
+    const result = await pool.query(`
+      INSERT INTO blocking_presets (user_id, preset_key, name, description, settings)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (user_id, preset_key) DO NOTHING
+      RETURNING preset_key, name, description, settings, created_at, updated_at
+    `, [
+      userId,
+      presetKey,
+      presetData.name.trim(),
+      presetData.description || null,
+      JSON.stringify(buildPresetSettings(presetData.settings))
+    ]);
+
+    if (result.rows.length === 0) {
+      return {
+        success: false,
+        error: `A preset named "${presetData.name.trim()}" already exists`
+      };
+    }
+
+    console.log('✅ Preset created:', presetKey);
+
+    return {
+      success: true,
+      preset: formatUserPreset(result.rows[0])
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to create preset:', error.message);
+    return {
+      success: false,
+      error: 'Failed to create preset',
+      message: error.message
+    };
+  }
+};
+
+// Update a user-defined preset's description and settings (the key stays the same)
+const updatePreset = async (userId, presetKey, presetData) => {
+  try {
+    if (BUILT_IN_PRESETS[presetKey]) {
+      return {
+        success: false,
+        error: 'Built-in presets cannot be changed'
+      };
+    }
+
+    const validationErrors = validatePreset({ name: presetData.name || presetKey, ...presetData });
+    if (validationErrors.length > 0) {
+      return {
+        success: false,
+        error: 'Validation failed',
+        details: validationErrors
+      };
+    }
+
+    const result = await pool.query(`
+      UPDATE blocking_presets
+      SET
+        name = COALESCE($3, name),
+        description = COALESCE($4, description),
+        settings = $5,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND preset_key = $2
+      RETURNING preset_key, name, description, settings, created_at, updated_at
+    `, [
+      userId,
+      presetKey,
+      presetData.name ? presetData.name.trim() : null,
+      presetData.description ?? null,
+      JSON.stringify(buildPresetSettings(presetData.settings))
+    ]);
+
+    if (result.rows.length === 0) {
+      return {
+        success: false,
+        error: 'Preset not found'
+      };
+    }
+
+    return {
+      success: true,
+      preset: formatUserPreset(result.rows[0])
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to update preset:', error.message);
+    return {
+      success: false,
+      error: 'Failed to update preset',
+      message: error.message
+    };
+  }
+};
+
+// Delete a user-defined preset
+const deletePreset = async (userId, presetKey) => {
+  try {
+    if (BUILT_IN_PRESETS[presetKey]) {
+      return {
+        success: false,
+        error: 'Built-in presets cannot be deleted'
+      };
+    }
+
+    const result = await pool.query(
+      'DELETE FROM blocking_presets WHERE user_id = $1 AND preset_key = $2 RETURNING id',
+      [userId, presetKey]
+    );
+
+    if (result.rows.length === 0) {
+      return {
+        success: false,
+        error: 'Preset not found'
+      };
+    }
+
+    return {
+      success: true,
+      message: 'Preset deleted successfully'
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to delete preset:', error.message);
+    return {
+      success: false,
+      error: 'Failed to delete preset',
+      message: error.message
+    };
+  }
+};
+
+// Apply a preset to the user's default settings (deviceId null) or to one device.
+// context is passed through to the settings history revision.
+const applyPreset = async (userId, presetKey, deviceId = null, context = {}) => {
+  const presetResult = await getPreset(userId, presetKey);
+  if (!presetResult.success) {
+    return presetResult;
+  }
+
+  console.log('🎛️ Applying preset', presetKey, 'for user:', userId, 'device:', deviceId);
+
+  // Keep the user's timezone - presets don't carry one
+  const currentResult = await getBlockingSettings(userId, deviceId);
+  const timezone = currentResult.success ? currentResult.settings.timezone : undefined;
+
+  const result = await saveBlockingSettings(
+    userId,
+    deviceId,
+    { ...presetResult.preset.settings, timezone },
+    { presetKey, context: { ...context, source: `preset:${presetKey}` } }
+  );
+
+  if (!result.success) {
+    return result;
+  }
+
+  console.log('✅ Preset applied:', presetKey);
+
+  return {
+    success: true,
+    preset: presetResult.preset,
+    settings: result.settings,
+    action: result.action
+  };
+};
+
+// Compare one setting value, treating list order and "HH:MM" vs "HH:MM:SS" as equivalent
+const settingValuesMatch = (current, expected) => {
+  if (Array.isArray(expected) || Array.isArray(current)) {
+    const sortList = (list) => JSON.stringify([...(list || [])].map(String).sort());
+    return sortList(current) === sortList(expected);
+  }
+
+  if (typeof expected === 'string' && typeof current === 'string' && /^\d{1,2}:\d{2}/.test(expected)) {
+    return current.slice(0, 5).padStart(5, '0') === expected.slice(0, 5).padStart(5, '0');
+  }
+
+  return (current ?? null) === (expected ?? null);
+};
+
+// Report which preset a settings row came from and which settings have changed since
+const getPresetStatus = async (userId, deviceId = null) => {
+  try {
+    const settingsResult = await getBlockingSettings(userId, deviceId);
+    if (!settingsResult.success) {
+      return settingsResult;
+    }
+
+    // Temporary access grants aren't drift from the preset
+    const settings = {
+      ...settingsResult.settings,
+      customAllowedDomains: settingsResult.settings.customAllowedDomains
+        .filter(domain => !settingsResult.settings.temporaryAllowedDomains.includes(domain))
+    };
+
+    if (!settings.presetKey) {
+      return {
+        success: true,
+        status: {
+          presetKey: null,
+          presetName: null,
+          drifted: false,
+          changedSettings: []
+        }
+      };
+    }
+
+    const presetResult = await getPreset(userId, settings.presetKey);
+
+    // The preset was deleted after being applied - there's nothing left to compare against
+    if (!presetResult.success) {
+      return {
+        success: true,
+        status: {
+          presetKey: settings.presetKey,
+          presetName: null,
+          presetMissing: true,
+          appliedAt: settings.presetAppliedAt,
+          drifted: true,
+          changedSettings: []
+        }
+      };
+    }
+
+    const changedSettings = PRESET_SETTING_KEYS.filter(key =>
+      !settingValuesMatch(settings[key], presetResult.preset.settings[key])
+    );
+
+    return {
+      success: true,
+      status: {
+        presetKey: settings.presetKey,
+        presetName: presetResult.preset.name,
+        appliedAt: settings.presetAppliedAt,
+        drifted: changedSettings.length > 0,
+        changedSettings
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get preset status:', error.message);
+    return {
+      success: false,
+      error: 'Failed to check preset status',
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  BUILT_IN_PRESETS,
+  PRESET_SETTING_KEYS,
+  listPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  applyPreset,
+  getPresetStatus
+};
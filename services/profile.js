@@ -1,74 +1,67 @@
 const { pool } = require('../config/database');
-const { getBlockingSettings } = require('./blocking');
+const { buildProfilePlist } = require('./payloadschema');
+const { CONTENT_CATEGORIES, getCategorySettingKey, getBlockedCategories } = require('./categories');
+const {
+  BASELINE_PERMITTED_DOMAINS,
+  getBlockingSettings,
+  checkSettingsLocked,
+  normalizeDomain,
+  normalizeDomainList,
+  parseDomainRule,
+  findMatchingRule,
+  evaluateDomainRules,
+  resolveDomainRules,
+  toFilterEntry
+} = require('./blocking');
+const { getCategoryDomains } = require('./catalogue');
+const {
+  SCHEDULE_PHASES,
+  getScheduleFromSettings,
+  getSchedulePhase,
+  getCategoriesInForce,
+  describeSchedule
+} = require('./schedule');
+const { isSafeSearchEnabled, buildSafeSearchDNSPayload } = require('./safesearch');
+const {
+  getUrlRules,
+  getUrlPrefixFilterEntries,
+  findMatchingUrlPrefix,
+  findMatchingKeyword
+} = require('./urlrules');
+const { getResolverKey, buildDNSFilterPayload } = require('./dnsfilter');
 const { sendVerificationEmail } = require('./email');
+const { derivePayloadUUID } = require('./device');
+const { buildRemovalPasswordPayload, getProfileRemovalPassword } = require('./removalpassword');
 
-// Core blocked domains list (1000+ domains)
-const CORE_BLOCKED_DOMAINS = [
-  // Adult Content
-  'pornhub.com', 'xvideos.com', 'xnxx.com', 'redtube.com', 'youporn.com',
-  'tube8.com', 'spankbang.com', 'xhamster.com', 'beeg.com', 'chaturbate.com',
-  'onlyfans.com', 'cam4.com', 'livejasmin.com', 'stripchat.com', 'bongacams.com',
-  
-  // Gambling
-  'bet365.com', 'ladbrokes.com', 'williamhill.com', 'paddypower.com', 'coral.co.uk',
-  'betfair.com', 'skybet.com', '888casino.com', 'betway.com', 'unibet.com',
-  'pokerstars.com', 'partypoker.com', 'casino.com', 'betfred.com', 'virgin.bet',
-  
-  // Social Media (when blocked)
-  'facebook.com', 'instagram.com', 'tiktok.com', 'twitter.com', 'x.com',
-  'snapchat.com', 'linkedin.com', 'pinterest.com', 'reddit.com', 'tumblr.com',
-  'discord.com', 'telegram.org', 'whatsapp.com', 'messenger.com', 'skype.com',
-  
-  // Gaming (when blocked)
-  'steam.com', 'twitch.tv', 'roblox.com', 'minecraft.net', 'epicgames.com',
-  'battlenet.com', 'origin.com', 'uplay.com', 'xbox.com', 'playstation.com',
-  'nintendo.com', 'riot.games', 'valorant.com', 'leagueoflegends.com', 'fortnite.com',
-  
-  // Dating (when blocked)
-  'tinder.com', 'bumble.com', 'hinge.co', 'match.com', 'eharmony.com',
-  'pof.com', 'okcupid.com', 'badoo.com', 'grindr.com', 'zoosk.com',
-  
-  // News (when blocked)
-  'bbc.co.uk', 'cnn.com', 'theguardian.com', 'dailymail.co.uk', 'telegraph.co.uk',
-  'independent.co.uk', 'sky.com', 'metro.co.uk', 'mirror.co.uk', 'express.co.uk',
-  
-  // Entertainment (when blocked)
-  'netflix.com', 'youtube.com', 'prime.amazon.com', 'disney.com', 'hulu.com',
-  'hbomax.com', 'paramount.com', 'spotify.com', 'apple.com/tv', 'crunchyroll.com',
-  
-  // Shopping (when blocked)
-  'amazon.com', 'amazon.co.uk', 'ebay.com', 'ebay.co.uk', 'etsy.com',
-  'asos.com', 'next.co.uk', 'argos.co.uk', 'currys.co.uk', 'johnlewis.com',
-  
-  // Additional blocked domains for comprehensive coverage
-  '4chan.org', '8chan.org', 'kiwifarms.net', 'stormfront.org', 'dailystormer.name',
-  'piratebay.org', 'kickasstorrents.to', '1337x.to', 'torrentz2.eu', 'rarbg.to',
-  'mp3juices.cc', 'youtube-mp3.org', 'convert2mp3.net', 'keepvid.com', 'savefrom.net'
-];
-
-// Generate iOS Configuration Profile XML
-const generateProfileXML = (profileData, blockingSettings, blockedDomains) => {
+// Build the iOS Configuration Profile as a plist object
+const buildProfile = (profileData, blockingSettings, blockedDomains) => {
   const {
     profileUUID,
     profileName,
     profileDescription,
     deviceName,
-    organizationName = 'Altrii Recovery'
+    organizationName = 'Altrii Recovery',
+    dnsResolverKey = null,
+    removalPassword = null
   } = profileData;
   
+  const safeSearchEnabled = isSafeSearchEnabled(blockingSettings);
+  
   // Create content filter payload
   const contentFilterPayload = {
     PayloadType: 'com.apple.webcontent-filter',
-    PayloadUUID: generateUUID(),
+    PayloadUUID: derivePayloadUUID(profileUUID, 'com.apple.webcontent-filter'),
     PayloadIdentifier: `com.altriirecovery.contentfilter.${profileUUID}`,
     PayloadDisplayName: 'Content Filter',
     PayloadDescription: 'Blocks inappropriate content and websites',
     PayloadVersion: 1,
     PayloadEnabled: true,
     FilterType: 'BuiltIn',
-    AutoFilterEnabled: blockingSettings.enableSafeSearch || true,
-    PermittedURLs: blockingSettings.customAllowedDomains || [],
-    BlacklistedURLs: blockedDomains,
+    // Apple's adult content filter follows the adult category (on unless switched off), not safe search
+    AutoFilterEnabled: blockingSettings.blockAdultContent !== false,
+    PermittedURLs: [...new Set(normalizeDomainList(blockingSettings.customAllowedDomains).map(toFilterEntry))],
+    // Blocked domains, then URL prefixes that block part of a site
+    BlacklistedURLs: [...blockedDomains, ...getUrlPrefixFilterEntries(blockingSettings)],
     WhitelistedBookmarks: [],
     FilterBrowsers: true,
     FilterSockets: true
@@ -77,7 +70,7 @@ const generateProfileXML = (profileData, blockingSettings, blockedDomains) => {
   // Create restrictions payload
   const restrictionsPayload = {
     PayloadType: 'com.apple.applicationaccess',
-    PayloadUUID: generateUUID(),
+    PayloadUUID: derivePayloadUUID(profileUUID, 'com.apple.applicationaccess'),
     PayloadIdentifier: `com.altriirecovery.restrictions.${profileUUID}`,
     PayloadDisplayName: 'App Restrictions',
     PayloadDescription: 'Controls app access and content filtering',
@@ -86,7 +79,6 @@ const generateProfileXML = (profileData, blockingSettings, blockedDomains) => {
     
     // Content restrictions
     allowExplicitContent: !blockingSettings.blockExplicitContent,
-    allowAdultContent: !blockingSettings.blockAdultContent,
     
     // App restrictions based on categories
     allowGameCenter: !blockingSettings.blockGaming,
@@ -97,232 +89,341 @@ const generateProfileXML = (profileData, blockingSettings, blockedDomains) => {
     safariAllowAutoFill: true,
     safariAllowJavaScript: true,
     safariAllowPopups: false,
-    safariForceIranks: blockingSettings.enableSafeSearch || true,
     
     // Additional restrictions
     allowCamera: true,
     allowScreenShot: true,
     allowAssistant: true,
     allowPassbookWhileLocked: true,
-    allowDiagnosticSubmission: true,
-    
-    // Restrict specific app categories if blocked
-    ...(blockingSettings.blockSocialMedia && {
-      restrictAppInstallation: false,
-      restrictAppRemoval: false
-    })
+    allowDiagnosticSubmission: true
   };
   
-  // Main profile structure
-  const profileXML = `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
-<plist version="1.0">
-<dict>
-    <key>PayloadContent</key>
-    <array>
-        <dict>
-            <key>PayloadType</key>
-            <string>com.apple.webcontent-filter</string>
-            <key>PayloadUUID</key>
-            <string>${contentFilterPayload.PayloadUUID}</string>
-            <key>PayloadIdentifier</key>
-            <string>${contentFilterPayload.PayloadIdentifier}</string>
-            <key>PayloadDisplayName</key>
-            <string>${contentFilterPayload.PayloadDisplayName}</string>
-            <key>PayloadDescription</key>
-            <string>${contentFilterPayload.PayloadDescription}</string>
-            <key>PayloadVersion</key>
-            <integer>${contentFilterPayload.PayloadVersion}</integer>
-            <key>PayloadEnabled</key>
-            <${contentFilterPayload.PayloadEnabled}/>
-            <key>FilterType</key>
-            <string>${contentFilterPayload.FilterType}</string>
-            <key>AutoFilterEnabled</key>
-            <${contentFilterPayload.AutoFilterEnabled}/>
-            <key>PermittedURLs</key>
-            <array>
-                ${contentFilterPayload.PermittedURLs.map(url => `<string>${escapeXML(url)}</string>`).join('\n                ')}
-            </array>
-            <key>BlacklistedURLs</key>
-            <array>
-                ${blockedDomains.map(domain => `<string>${escapeXML(domain)}</string>`).join('\n                ')}
-            </array>
-            <key>WhitelistedBookmarks</key>
-            <array/>
-            <key>FilterBrowsers</key>
-            <${contentFilterPayload.FilterBrowsers}/>
-            <key>FilterSockets</key>
-            <${contentFilterPayload.FilterSockets}/>
-        </dict>
-        <dict>
-            <key>PayloadType</key>
-            <string>com.apple.applicationaccess</string>
-            <key>PayloadUUID</key>
-            <string>${restrictionsPayload.PayloadUUID}</string>
-            <key>PayloadIdentifier</key>
-            <string>${restrictionsPayload.PayloadIdentifier}</string>
-            <key>PayloadDisplayName</key>
-            <string>${restrictionsPayload.PayloadDisplayName}</string>
-            <key>PayloadDescription</key>
-            <string>${restrictionsPayload.PayloadDescription}</string>
-            <key>PayloadVersion</key>
-            <integer>${restrictionsPayload.PayloadVersion}</integer>
-            <key>PayloadEnabled</key>
-            <${restrictionsPayload.PayloadEnabled}/>
-            <key>allowExplicitContent</key>
-            <${restrictionsPayload.allowExplicitContent}/>
-            <key>allowGameCenter</key>
-            <${restrictionsPayload.allowGameCenter}/>
-            <key>allowMultiplayer</key>
-            <${restrictionsPayload.allowMultiplayer}/>
-            <key>safariAllowAutoFill</key>
-            <${restrictionsPayload.safariAllowAutoFill}/>
-            <key>safariAllowJavaScript</key>
-            <${restrictionsPayload.safariAllowJavaScript}/>
-            <key>safariAllowPopups</key>
-            <${restrictionsPayload.safariAllowPopups}/>
-            <key>safariForceIranks</key>
-            <${restrictionsPayload.safariForceIranks}/>
-        </dict>
-    </array>
-    <key>PayloadDescription</key>
-    <string>${escapeXML(profileDescription)}</string>
-    <key>PayloadDisplayName</key>
-    <string>${escapeXML(profileName)}</string>
-    <key>PayloadIdentifier</key>
-    <string>com.altriirecovery.profile.${profileUUID}</string>
-    <key>PayloadOrganization</key>
-    <string>${escapeXML(organizationName)}</string>
-    <key>PayloadRemovalDisallowed</key>
-    <false/>
-    <key>PayloadType</key>
-    <string>Configuration</string>
-    <key>PayloadUUID</key>
-    <string>${profileUUID}</string>
-    <key>PayloadVersion</key>
-    <integer>1</integer>
-    <key>PayloadScope</key>
-    <string>User</string>
-    <key>RemovalDate</key>
-    <string>${new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString()}</string>
-    <key>DurationUntilRemoval</key>
-    <real>31536000</real>
-    <key>ConsentText</key>
-    <dict>
-        <key>default</key>
-        <string>This profile will configure content filtering and app restrictions on your device to help you maintain digital wellness. The profile can be removed at any time from Settings > General > VPN &amp; Device Management.</string>
-    </dict>
-</dict>
-</plist>`;
-  
-  return profileXML;
+  // Only one DNS settings payload can be active: the filtering resolver applies safe search itself,
+  // otherwise safe search is enforced by a resolver that rewrites search engine hostnames
+  let dnsPayload = null;
+  const dnsPayloadUUID = derivePayloadUUID(profileUUID, 'com.apple.dnsSettings.managed');
+  if (dnsResolverKey) {
+    dnsPayload = buildDNSFilterPayload(profileUUID, dnsPayloadUUID, dnsResolverKey);
+  } else if (safeSearchEnabled) {
+    dnsPayload = buildSafeSearchDNSPayload(profileUUID, dnsPayloadUUID);
+  }
+  
+  // During a timer commitment, removing the profile in Settings asks for a password the user doesn't have
+  const removalPasswordPayload = removalPassword
+    ? buildRemovalPasswordPayload(
+      profileUUID,
+      derivePayloadUUID(profileUUID, 'com.apple.profileRemovalPassword'),
+      removalPassword
+    )
+    : null;
+  
+  return {
+    PayloadContent: [
+      contentFilterPayload,
+      restrictionsPayload,
+      ...(dnsPayload ? [dnsPayload] : []),
+      ...(removalPasswordPayload ? [removalPasswordPayload] : [])
+    ],
+    PayloadDescription: profileDescription || '',
+    PayloadDisplayName: profileName,
+    PayloadIdentifier: `com.altriirecovery.profile.${profileUUID}`,
+    PayloadOrganization: organizationName,
+    PayloadRemovalDisallowed: Boolean(removalPassword),
+    PayloadType: 'Configuration',
+    PayloadUUID: profileUUID,
+    PayloadVersion: 1,
+    PayloadScope: 'User',
+    RemovalDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+    DurationUntilRemoval: 31536000,
+    ConsentText: {
+      default: removalPassword
+        ? 'This profile will configure content filtering and app restrictions on your device to help you maintain digital wellness. While your timer commitment is active the profile needs a removal password, which you can view in your dashboard once the timer ends.'
+        : 'This profile will configure content filtering and app restrictions on your device to help you maintain digital wellness. The profile can be removed at any time from Settings > General > VPN & Device Management.'
+    }
+  };
 };
 
-// Helper function to generate UUID
-const generateUUID = () => {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c == 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  }).toUpperCase();
+// Generate iOS Configuration Profile XML, checked against the payload schemas first
+const generateProfileXML = (profileData, blockingSettings, blockedDomains) => {
+  return buildProfilePlist(buildProfile(profileData, blockingSettings, blockedDomains));
 };
 
-// Helper function to escape XML characters
-const escapeXML = (str) => {
-  if (!str) return '';
-  return str.toString()
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+// Block and allow rules for user settings, the domain catalogue and the schedule phase
+const getDomainRules = (blockingSettings, categoryDomains = {}, phase = SCHEDULE_PHASES.DAY) => {
+  const blockedDomains = [];
+  
+  // Add catalogue domains for the categories in force (all of them outside allowed hours)
+  const selectedCategories = getBlockedCategories(blockingSettings);
+  
+  getCategoriesInForce(selectedCategories, phase).forEach(category => {
+    blockedDomains.push(...(categoryDomains[category] || []));
+  });
+  
+  // Add custom blocked domains (normalised, so rules saved before normalisation still collapse)
+  blockedDomains.push(...normalizeDomainList(blockingSettings.customBlockedDomains));
+  
+  return {
+    blocked: blockedDomains,
+    allowed: normalizeDomainList(blockingSettings.customAllowedDomains)
+  };
+};
+
+// Build blocked domains list based on user settings, the domain catalogue and the schedule phase
+const buildBlockedDomainsList = (blockingSettings, categoryDomains = {}, phase = SCHEDULE_PHASES.DAY) => {
+  const rules = getDomainRules(blockingSettings, categoryDomains, phase);
+  
+  // Apply allow-list exceptions with subdomain/wildcard semantics, then convert to filter entries
+  const { blocked } = resolveDomainRules(rules.blocked, rules.allowed);
+  
+  return [...new Set(blocked.map(toFilterEntry))].sort();
+};
+
+// URL tester verdicts and the kinds of rule that can decide them
+const URL_VERDICTS = {
+  BLOCKED: 'blocked',
+  ALLOWED: 'allowed',
+  NOT_COVERED: 'not_covered'
 };
 
-// Build blocked domains list based on user settings
-const buildBlockedDomainsList = (blockingSettings) => {
-  let blockedDomains = [];
-  
-  // Add core domains based on user's category selections
-  if (blockingSettings.blockAdultContent) {
-    blockedDomains.push(...CORE_BLOCKED_DOMAINS.filter(domain => 
-      ['pornhub.com', 'xvideos.com', 'xnxx.com', 'redtube.com', 'youporn.com',
-       'tube8.com', 'spankbang.com', 'xhamster.com', 'beeg.com', 'chaturbate.com',
-       'onlyfans.com', 'cam4.com', 'livejasmin.com', 'stripchat.com', 'bongacams.com'].includes(domain)
-    ));
+const URL_RULE_TYPES = {
+  BASELINE_PERMITTED: 'baseline_permitted',
+  ALLOW_OVERRIDE: 'allow_override',
+  CUSTOM_DOMAIN: 'custom_domain',
+  CATEGORY: 'category',
+  URL_PREFIX: 'url_prefix',
+  KEYWORD: 'keyword'
+};
+
+// Pull the hostname out of a URL (scheme optional). Returns null unless it is a domain we could filter.
+const getUrlHostname = (url) => {
+  if (!url || typeof url !== 'string') {
+    return null;
   }
   
-  if (blockingSettings.blockGambling) {
-    blockedDomains.push(...CORE_BLOCKED_DOMAINS.filter(domain => 
-      ['bet365.com', 'ladbrokes.com', 'williamhill.com', 'paddypower.com', 'coral.co.uk',
-       'betfair.com', 'skybet.com', '888casino.com', 'betway.com', 'unibet.com',
-       'pokerstars.com', 'partypoker.com', 'casino.com', 'betfred.com', 'virgin.bet'].includes(domain)
-    ));
+  const value = url.trim();
+  let hostname;
+  
+  try {
+    hostname = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`).hostname;
+  } catch (error) {
+    return null;
   }
   
-  if (blockingSettings.blockSocialMedia) {
-    blockedDomains.push(...CORE_BLOCKED_DOMAINS.filter(domain => 
-      ['facebook.com', 'instagram.com', 'tiktok.com', 'twitter.com', 'x.com',
-       'snapchat.com', 'linkedin.com', 'pinterest.com', 'reddit.com', 'tumblr.com',
-       'discord.com', 'telegram.org', 'whatsapp.com', 'messenger.com', 'skype.com'].includes(domain)
-    ));
+  hostname = hostname.toLowerCase().replace(/\.+$/, '');
+  
+  return normalizeDomain(hostname) ? hostname : null;
+};
+
+// Work out whether a hostname is blocked by a set of blocking settings and which rule decides it.
+// Builds the same rule lists as buildBlockedDomainsList, so the answer matches the generated profile.
+const explainHostnameVerdict = (hostname, blockingSettings, categoryDomains = {}, phase = SCHEDULE_PHASES.DAY) => {
+  const selectedCategories = getBlockedCategories(blockingSettings);
+  const categoriesInForce = getCategoriesInForce(selectedCategories, phase);
+  
+  // Baseline services are permitted before any user rule is looked at
+  const baselineMatch = findMatchingRule(hostname, BASELINE_PERMITTED_DOMAINS);
+  if (baselineMatch) {
+    return {
+      verdict: URL_VERDICTS.ALLOWED,
+      matchedRule: {
+        type: URL_RULE_TYPES.BASELINE_PERMITTED,
+        rule: baselineMatch.rule
+      },
+      categoriesInForce
+    };
   }
   
-  if (blockingSettings.blockGaming) {
-    blockedDomains.push(...CORE_BLOCKED_DOMAINS.filter(domain => 
-      ['steam.com', 'twitch.tv', 'roblox.com', 'minecraft.net', 'epicgames.com',
-       'battlenet.com', 'origin.com', 'uplay.com', 'xbox.com', 'playstation.com',
-       'nintendo.com', 'riot.games', 'valorant.com', 'leagueoflegends.com', 'fortnite.com'].includes(domain)
-    ));
+  // Remember where each blocked rule came from so the verdict can name it
+  const ruleSources = new Map();
+  const addBlockedRule = (rule, category = null) => {
+    const key = parseDomainRule(rule).rule;
+    const source = ruleSources.get(key) || { categories: [], custom: false };
+    
+    if (category) {
+      source.categories.push(category);
+    } else {
+      source.custom = true;
+    }
+    ruleSources.set(key, source);
+  };
+  
+  categoriesInForce.forEach(category => {
+    (categoryDomains[category] || []).forEach(rule => addBlockedRule(rule, category));
+  });
+  normalizeDomainList(blockingSettings.customBlockedDomains).forEach(rule => addBlockedRule(rule));
+  
+  const blockedRules = [...ruleSources.keys()];
+  const allowedRules = normalizeDomainList(blockingSettings.customAllowedDomains);
+  const { verdict, rule } = evaluateDomainRules(hostname, blockedRules, allowedRules);
+  
+  if (verdict === URL_VERDICTS.NOT_COVERED) {
+    return {
+      verdict,
+      matchedRule: null,
+      categoriesInForce
+    };
   }
   
-  if (blockingSettings.blockDating) {
-    blockedDomains.push(...CORE_BLOCKED_DOMAINS.filter(domain => 
-      ['tinder.com', 'bumble.com', 'hinge.co', 'match.com', 'eharmony.com',
-       'pof.com', 'okcupid.com', 'badoo.com', 'grindr.com', 'zoosk.com'].includes(domain)
-    ));
+  if (verdict === URL_VERDICTS.ALLOWED) {
+    // Name the block rule the allow-list entry beat, if there was one
+    const blockMatch = findMatchingRule(hostname, blockedRules);
+    
+    return {
+      verdict,
+      matchedRule: {
+        type: URL_RULE_TYPES.ALLOW_OVERRIDE,
+        rule,
+        overrides: blockMatch ? blockMatch.rule : null
+      },
+      categoriesInForce
+    };
   }
   
-  if (blockingSettings.blockNews) {
-    blockedDomains.push(...CORE_BLOCKED_DOMAINS.filter(domain => 
-      ['bbc.co.uk', 'cnn.com', 'theguardian.com', 'dailymail.co.uk', 'telegraph.co.uk',
-       'independent.co.uk', 'sky.com', 'metro.co.uk', 'mirror.co.uk', 'express.co.uk'].includes(domain)
-    ));
+  const source = ruleSources.get(rule);
+  
+  return {
+    verdict,
+    matchedRule: {
+      type: source.custom ? URL_RULE_TYPES.CUSTOM_DOMAIN : URL_RULE_TYPES.CATEGORY,
+      rule,
+      ...(source.categories.length > 0 && { categories: source.categories })
+    },
+    categoriesInForce
+  };
+};
+
+// Work out whether a full URL is blocked, adding URL prefix and keyword rules to the hostname verdict.
+// A URL prefix names part of a site explicitly, so it beats an allow-list entry for the site; a keyword
+// is broad, so an allow-list entry beats it. Baseline services are never blocked by either.
+const explainUrlVerdict = (url, hostname, blockingSettings, categoryDomains = {}, phase = SCHEDULE_PHASES.DAY) => {
+  const hostResult = explainHostnameVerdict(hostname, blockingSettings, categoryDomains, phase);
+  
+  if (hostResult.matchedRule?.type === URL_RULE_TYPES.BASELINE_PERMITTED) {
+    return hostResult;
   }
   
-  if (blockingSettings.blockEntertainment) {
-    blockedDomains.push(...CORE_BLOCKED_DOMAINS.filter(domain => 
-      ['netflix.com', 'youtube.com', 'prime.amazon.com', 'disney.com', 'hulu.com',
-       'hbomax.com', 'paramount.com', 'spotify.com', 'apple.com/tv', 'crunchyroll.com'].includes(domain)
-    ));
+  const { urlPrefixes, keywords } = getUrlRules(blockingSettings);
+  const prefixMatch = findMatchingUrlPrefix(url, urlPrefixes);
+  
+  if (prefixMatch) {
+    return {
+      ...hostResult,
+      verdict: URL_VERDICTS.BLOCKED,
+      matchedRule: {
+        type: URL_RULE_TYPES.URL_PREFIX,
+        rule: prefixMatch
+      }
+    };
   }
   
-  if (blockingSettings.blockShopping) {
-    blockedDomains.push(...CORE_BLOCKED_DOMAINS.filter(domain => 
-      ['amazon.com', 'amazon.co.uk', 'ebay.com', 'ebay.co.uk', 'etsy.com',
-       'asos.com', 'next.co.uk', 'argos.co.uk', 'currys.co.uk', 'johnlewis.com'].includes(domain)
-    ));
+  if (hostResult.verdict !== URL_VERDICTS.NOT_COVERED) {
+    return hostResult;
   }
   
-  // Add custom blocked domains
-  if (blockingSettings.customBlockedDomains && blockingSettings.customBlockedDomains.length > 0) {
-    blockedDomains.push(...blockingSettings.customBlockedDomains);
+  const keywordMatch = findMatchingKeyword(url, keywords);
+  
+  if (keywordMatch) {
+    return {
+      ...hostResult,
+      verdict: URL_VERDICTS.BLOCKED,
+      matchedRule: {
+        type: URL_RULE_TYPES.KEYWORD,
+        rule: keywordMatch
+      }
+    };
   }
   
-  // Remove duplicates and sort
-  blockedDomains = [...new Set(blockedDomains)].sort();
+  return hostResult;
+};
+
+// One-line explanation of a verdict for the dashboard
+const describeUrlVerdict = (hostname, result) => {
+  const { verdict, matchedRule } = result;
   
-  // Remove any domains that are in the allowed list
-  if (blockingSettings.customAllowedDomains && blockingSettings.customAllowedDomains.length > 0) {
-    blockedDomains = blockedDomains.filter(domain => 
-      !blockingSettings.customAllowedDomains.includes(domain)
-    );
+  if (verdict === URL_VERDICTS.NOT_COVERED) {
+    return `${hostname} is not covered by any rule in this profile`;
   }
   
-  return blockedDomains;
+  switch (matchedRule.type) {
+    case URL_RULE_TYPES.BASELINE_PERMITTED:
+      return `${hostname} is always permitted (essential service ${matchedRule.rule})`;
+    case URL_RULE_TYPES.ALLOW_OVERRIDE:
+      return matchedRule.overrides
+        ? `${hostname} is allowed by your allow-list entry ${matchedRule.rule}, which overrides ${matchedRule.overrides}`
+        : `${hostname} is allowed by your allow-list entry ${matchedRule.rule}`;
+    case URL_RULE_TYPES.CUSTOM_DOMAIN:
+      return `${hostname} is blocked by your custom domain rule ${matchedRule.rule}`;
+    case URL_RULE_TYPES.URL_PREFIX:
+      return `This page is blocked by your URL rule ${matchedRule.rule}`;
+    case URL_RULE_TYPES.KEYWORD:
+      return `This address is blocked because it contains your keyword "${matchedRule.rule}"`;
+    default:
+      return `${hostname} is blocked by the ${matchedRule.categories.map(category => CONTENT_CATEGORIES[category]?.name || category).join(', ')} category (${matchedRule.rule})`;
+  }
 };
 
-// Generate iOS configuration profile for device
-const generateProfile = async (userId, deviceId) => {
+// Test a URL against a device's effective blocking settings ("why is this site blocked?").
+// options.phase checks the day or night rules; by default the phase in force right now is used.
+const testUrl = async (userId, deviceId, url, options = {}) => {
+  try {
+    const hostname = getUrlHostname(url);
+    
+    if (!hostname) {
+      return {
+        success: false,
+        error: 'Invalid URL - enter a web address such as https://example.com'
+      };
+    }
+    
+    const settingsResult = await getBlockingSettings(userId, deviceId);
+    
+    if (!settingsResult.success) {
+      return {
+        success: false,
+        error: 'Failed to get blocking settings for device'
+      };
+    }
+    
+    const blockingSettings = settingsResult.settings;
+    const phase = options.phase || getSchedulePhase(getScheduleFromSettings(blockingSettings));
+    
+    if (!Object.values(SCHEDULE_PHASES).includes(phase)) {
+      return {
+        success: false,
+        error: `Invalid schedule phase: ${phase}`
+      };
+    }
+    
+    const catalogue = await getCategoryDomains();
+    const result = explainUrlVerdict(url.trim(), hostname, blockingSettings, catalogue.categories, phase);
+    
+    console.log(`🔎 URL test for device ${deviceId}: ${hostname} is ${result.verdict}`);
+    
+    return {
+      success: true,
+      test: {
+        url: url.trim(),
+        hostname,
+        phase,
+        ...result,
+        explanation: describeUrlVerdict(hostname, result),
+        catalogueVersion: catalogue.version
+      }
+    };
+    
+  } catch (error) {
+    console.error('❌ URL test failed:', error.message);
+    return {
+      success: false,
+      error: 'URL test failed',
+      message: error.message
+    };
+  }
+};
+
+// Generate iOS configuration profile for device.
+// options.phase picks the day or night variant; by default the phase in force right now is used.
+const generateProfile = async (userId, deviceId, options = {}) => {
   try {
     console.log('📱 Generating iOS profile for user:', userId, 'device:', deviceId);
     
@@ -334,7 +435,8 @@ const generateProfile = async (userId, deviceId) => {
         device_type,
         profile_uuid,
         profile_name,
-        profile_description
+        profile_description,
+        profile_revision
       FROM device_profiles 
       WHERE id = $1 AND user_id = $2 AND device_status = 'active'
     `, [deviceId, userId]);
@@ -368,18 +470,62 @@ const generateProfile = async (userId, deviceId) => {
     
     const blockingSettings = settingsResult.settings;
     
-    // Build blocked domains list
-    const blockedDomains = buildBlockedDomainsList(blockingSettings);
+    // Work out which schedule phase this profile is for
+    const schedule = describeSchedule(getScheduleFromSettings(blockingSettings));
+    const phase = options.phase || schedule.currentPhase;
+    
+    if (!Object.values(SCHEDULE_PHASES).includes(phase)) {
+      return {
+        success: false,
+        error: `Invalid schedule phase: ${phase}`
+      };
+    }
+    
+    // Build blocked domains list from the domain catalogue
+    const catalogue = await getCategoryDomains();
+    const blockedDomains = buildBlockedDomainsList(blockingSettings, catalogue.categories, phase);
+    
+    // Night profiles keep the same identifier so installing one replaces the day profile
+    const profileName = schedule.enabled
+      ? `${device.profile_name} (${phase === SCHEDULE_PHASES.NIGHT ? 'Night' : 'Day'})`
+      : device.profile_name;
     
     // Prepare profile data
     const profileData = {
       profileUUID: device.profile_uuid,
-      profileName: device.profile_name,
+      profileName: profileName,
       profileDescription: device.profile_description,
       deviceName: device.device_name,
       organizationName: 'Altrii Recovery'
     };
     
+    // Route DNS through the user's filtering resolver when encrypted DNS filtering is on
+    if (blockingSettings.enableDnsFiltering) {
+      const keyResult = await getResolverKey(device.id);
+      
+      if (!keyResult.success) {
+        return {
+          success: false,
+          error: 'Failed to set up encrypted DNS filtering'
+        };
+      }
+      
+      profileData.dnsResolverKey = keyResult.resolverKey;
+    }
+    
+    // Protect the profile from removal while a timer commitment locks the device
+    const lockCheck = await checkSettingsLocked(userId, deviceId);
+    
+    if (lockCheck.locked) {
+      const passwordResult = await getProfileRemovalPassword(deviceId);
+      
+      if (!passwordResult.success) {
+        return passwordResult;
+      }
+      
+      profileData.removalPassword = passwordResult.password;
+    }
+    
     // Generate the profile XML
     const profileXML = generateProfileXML(profileData, blockingSettings, blockedDomains);
     
@@ -392,10 +538,15 @@ const generateProfile = async (userId, deviceId) => {
         deviceId: device.id,
         deviceName: device.device_name,
         profileUUID: device.profile_uuid,
-        profileName: device.profile_name,
+        profileName: profileName,
         profileXML: profileXML,
+        profileRevision: device.profile_revision,
+        removalProtected: lockCheck.locked,
+        phase: phase,
+        schedule: schedule,
         blockedDomains: blockedDomains,
         blockedDomainsCount: blockedDomains.length,
+        catalogueVersion: catalogue.version,
         settings: {
           blockAdultContent: blockingSettings.blockAdultContent,
           blockGambling: blockingSettings.blockGambling,
@@ -406,7 +557,10 @@ const generateProfile = async (userId, deviceId) => {
           blockShopping: blockingSettings.blockShopping,
           blockDating: blockingSettings.blockDating,
           customBlockedDomains: blockingSettings.customBlockedDomains?.length || 0,
-          customAllowedDomains: blockingSettings.customAllowedDomains?.length || 0
+          customAllowedDomains: blockingSettings.customAllowedDomains?.length || 0,
+          blockedUrlPrefixes: blockingSettings.blockedUrlPrefixes?.length || 0,
+          blockedKeywords: blockingSettings.blockedKeywords?.length || 0,
+          dnsFiltering: blockingSettings.enableDnsFiltering
         }
       }
     };
@@ -553,9 +707,17 @@ The Altrii Recovery Team
 };
 
 module.exports = {
+  buildProfile,
+  generateProfileXML,
   generateProfile,
   generateAllProfiles,
   emailProfile,
+  getDomainRules,
   buildBlockedDomainsList,
-  CORE_BLOCKED_DOMAINS
+  explainHostnameVerdict,
+  explainUrlVerdict,
+  testUrl,
+  URL_VERDICTS,
+  URL_RULE_TYPES,
+  getCategorySettingKey
 };
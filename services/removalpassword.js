@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { checkSettingsLocked } = require('./blocking');
+const { getDeviceSupervisor } = require('./device');
+const { sendRemovalPasswordEmail } = require('./email');
+
+// Profile removal passwords. Profiles generated while a timer commitment is running - downloaded, or pushed
+// over MDM to supervised devices - carry a com.apple.profileRemovalPassword payload, so removing the profile
+// in Settings asks for a password the user hasn't seen. The password is generated here, stored AES-256-GCM
+// encrypted, and only shown to the user once no timer locks the device - or emailed to the device's supervisor.
+//
+// A signed .mobileconfig is not encrypted, so someone who opens a downloaded file could read the password.
+// That stops the two-tap removal in Settings, which is what this is for; MDM pushes never touch disk.
+//
+// REMOVAL_PASSWORD_KEY holds the 32-byte encryption key, as 64 hex characters.
+// Once the user has seen a password, the next profile gets a fresh one.
+
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const ENCRYPTION_VERSION = 'v1';
+
+// Unambiguous characters (no 0/O, 1/I/L), grouped for reading aloud: XXXX-XXXX-XXXX-XXXX
+const PASSWORD_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PASSWORD_GROUPS = 4;
+const PASSWORD_GROUP_LENGTH = 4;
+
+const REMOVAL_PASSWORD_NOT_CONFIGURED = 'Profile removal passwords are not configured';
+
+const getEncryptionKey = () => {
+  const key = process.env.REMOVAL_PASSWORD_KEY;
+
+  if (!key || !/^[0-9a-f]{64}$/i.test(key)) {
+    return null;
+  }
+
+  return Buffer.from(key, 'hex');
+};
+
+const generateRemovalPassword = () => {
+  return Array.from({ length: PASSWORD_GROUPS }, () => {
+    return Array.from({ length: PASSWORD_GROUP_LENGTH }, () => {
+      return PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)];
+    }).join('');
+  }).join('-');
+};
+
+// Stored as "v1:iv:authTag:ciphertext" (base64 parts). The device ID is bound in as associated data,
+// so a ciphertext copied onto another device's row won't decrypt.
+const encryptPassword = (password, deviceId, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(`device:${deviceId}`));
+
+  const ciphertext = Buffer.concat([cipher.update(password, 'utf8'), cipher.final()]);
+
+  return [ENCRYPTION_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => Buffer.isBuffer(part) ? part.toString('base64') : part)
+    .join(':');
+};
+
+const decryptPassword = (stored, deviceId, key) => {
+  const [version, iv, authTag, ciphertext] = stored.split(':');
+
+  if (version !== ENCRYPTION_VERSION) {
+    throw new Error(`Unknown removal password format: ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(`device:${deviceId}`));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// com.apple.profileRemovalPassword payload, shared by downloaded profiles and MDM InstallProfile commands
+const buildRemovalPasswordPayload = (identifier, payloadUUID, password) => {
+  return {
+    PayloadType: 'com.apple.profileRemovalPassword',
+    PayloadUUID: payloadUUID,
+    PayloadIdentifier: `com.altriirecovery.removalpassword.${identifier}`,
+    PayloadDisplayName: 'Removal Password',
+    PayloadDescription: 'Requires a password to remove this profile while a timer commitment is active',
+    PayloadVersion: 1,
+    RemovalPassword: password
+  };
+};
+
+// The removal password to put in a device's next profile. Reuses the stored one unless the user has
+// already seen it, so regenerating a profile doesn't invalidate the password of the installed copy.
+const getProfileRemovalPassword = async (deviceId) => {
+  try {
+    const key = getEncryptionKey();
+
+    if (!key) {
+      return {
+        success: false,
+        error: REMOVAL_PASSWORD_NOT_CONFIGURED,
+        hint: 'Set REMOVAL_PASSWORD_KEY to 64 hex characters (a 32-byte key)'
+      };
+    }
+
+    const existing = await pool.query(
+      'SELECT encrypted_password FROM profile_removal_passwords WHERE device_id = $1 AND revealed_at IS NULL',
+      [deviceId]
+    );
+
+    if (existing.rows.length > 0) {
+      return {
+        success: true,
+        password: decryptPassword(existing.rows[0].encrypted_password, deviceId, key)
+      };
+    }
+
+    const password = generateRemovalPassword();
+
+    await pool.query(`
+      INSERT INTO profile_removal_passwords (device_id, encrypted_password)
+      VALUES ($1, $2)
+      ON CONFLICT (device_id) DO UPDATE SET
+        encrypted_password = EXCLUDED.encrypted_password,
+        revealed_at = NULL,
+        supervisor_notified_at = NULL,
+        created_at = CURRENT_TIMESTAMP
+    `, [deviceId, encryptPassword(password, deviceId, key)]);
+
+    console.log('🔐 New profile removal password generated for device:', deviceId);
+
+    return {
+      success: true,
+      password
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get profile removal password:', error.message);
+    return {
+      success: false,
+      error: 'Failed to get profile removal password',
+      message: error.message
+    };
+  }
+};
+
+// Stored password row for one of the user's devices, decrypted
+const getStoredPassword = async (userId, deviceId) => {
+  const result = await pool.query(`
+    SELECT rp.encrypted_password, rp.revealed_at, dp.device_name
+    FROM profile_removal_passwords rp
+    JOIN device_profiles dp ON dp.id = rp.device_id
+    WHERE rp.device_id = $1 AND dp.user_id = $2
+  `, [deviceId, userId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const key = getEncryptionKey();
+
+  if (!key) {
+    throw new Error(REMOVAL_PASSWORD_NOT_CONFIGURED);
+  }
+
+  const row = result.rows[0];
+
+  return {
+    password: decryptPassword(row.encrypted_password, deviceId, key),
+    revealedAt: row.revealed_at,
+    deviceName: row.device_name
+  };
+};
+
+// Show the user their removal password, once no timer commitment locks the device
+const revealRemovalPassword = async (userId, deviceId) => {
+  try {
+    const lockCheck = await checkSettingsLocked(userId, deviceId);
+
+    if (lockCheck.locked) {
+      return {
+        success: false,
+        error: 'The removal password is available once your timer commitment ends',
+        lockInfo: lockCheck
+      };
+    }
+
+    const stored = await getStoredPassword(userId, deviceId);
+
+    if (!stored) {
+      return {
+        success: false,
+        error: 'No removal password for this device'
+      };
+    }
+
+    // Seen passwords are replaced in the next profile, so a new timer gets a password the user doesn't know
+    await pool.query(
+      'UPDATE profile_removal_passwords SET revealed_at = COALESCE(revealed_at, CURRENT_TIMESTAMP) WHERE device_id = $1',
+      [deviceId]
+    );
+
+    console.log('🔓 Profile removal password revealed for device:', deviceId);
+
+    return {
+      success: true,
+      password: stored.password,
+      revealedAt: stored.revealedAt || new Date()
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to reveal profile removal password:', error.message);
+    return {
+      success: false,
+      error: 'Failed to reveal profile removal password',
+      message: error.message
+    };
+  }
+};
+
+// Email the removal password to the device's supervisor, who can use it at any time
+const sendRemovalPasswordToSupervisor = async (userId, deviceId) => {
+  try {
+    const supervisor = await getDeviceSupervisor(deviceId);
+
+    if (!supervisor) {
+      return {
+        success: false,
+        error: 'This device has no supervisor'
+      };
+    }
+
+    const stored = await getStoredPassword(userId, deviceId);
+
+    if (!stored) {
+      return {
+        success: false,
+        error: 'No removal password for this device'
+      };
+    }
+
+    const emailResult = await sendRemovalPasswordEmail(supervisor.supervisorEmail, {
+      deviceName: stored.deviceName,
+      password: stored.password
+    });
+
+    if (!emailResult.success) {
+      return {
+        success: false,
+        error: 'Failed to email the supervisor',
+        message: emailResult.error
+      };
+    }
+
+    await pool.query(
+      'UPDATE profile_removal_passwords SET supervisor_notified_at = CURRENT_TIMESTAMP WHERE device_id = $1',
+      [deviceId]
+    );
+
+    console.log('📧 Profile removal password sent to supervisor for device:', deviceId);
+
+    return {
+      success: true
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to send removal password to supervisor:', error.message);
+    return {
+      success: false,
+      error: 'Failed to send removal password to supervisor',
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  REMOVAL_PASSWORD_NOT_CONFIGURED,
+  generateRemovalPassword,
+  buildRemovalPasswordPayload,
+  getProfileRemovalPassword,
+  revealRemovalPassword,
+  sendRemovalPasswordToSupervisor
+};
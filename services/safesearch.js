@@ -0,0 +1,122 @@
+const { DNS_FILTER_CONFIG, SAFE_SEARCH_RESOLVER_KEY, buildManagedDNSPayload } = require('./dnsfilter');
+
+// Safe search enforcement. Search engines honour "forced" safe search when their hostnames
+// resolve to a dedicated address (e.g. www.google.com -> forcesafesearch.google.com), so it is
+// enforced at the DNS layer: profiles point the device at a resolver that applies these rewrites.
+
+// Search engines and the hostnames each one rewrites to when safe search is forced
+const SAFE_SEARCH_ENGINES = {
+  google: {
+    name: 'Google SafeSearch',
+    target: 'forcesafesearch.google.com',
+    hosts: [
+      'google.com', 'www.google.com',
+      'google.co.uk', 'www.google.co.uk',
+      'google.ca', 'www.google.ca',
+      'google.com.au', 'www.google.com.au',
+      'google.co.nz', 'www.google.co.nz',
+      'google.ie', 'www.google.ie',
+      'google.co.in', 'www.google.co.in',
+      'google.co.za', 'www.google.co.za',
+      'google.de', 'www.google.de',
+      'google.fr', 'www.google.fr',
+      'google.es', 'www.google.es',
+      'google.it', 'www.google.it',
+      'google.nl', 'www.google.nl',
+      'google.com.br', 'www.google.com.br',
+      'google.com.mx', 'www.google.com.mx'
+    ]
+  },
+  bing: {
+    name: 'Bing SafeSearch',
+    target: 'strict.bing.com',
+    hosts: ['bing.com', 'www.bing.com']
+  },
+  duckduckgo: {
+    name: 'DuckDuckGo Safe Search',
+    target: 'safe.duckduckgo.com',
+    hosts: ['duckduckgo.com', 'www.duckduckgo.com', 'start.duckduckgo.com']
+  },
+  youtube: {
+    name: 'YouTube Restricted Mode',
+    target: 'restrict.youtube.com',
+    hosts: [
+      'youtube.com',
+      'www.youtube.com',
+      'm.youtube.com',
+      'youtubei.googleapis.com',
+      'youtube.googleapis.com',
+      'www.youtube-nocookie.com'
+    ]
+  }
+};
+
+// Hostname -> enforced hostname, for resolvers applying the rewrites
+const SAFE_SEARCH_HOSTS = {};
+Object.values(SAFE_SEARCH_ENGINES).forEach(engine => {
+  engine.hosts.forEach(host => {
+    SAFE_SEARCH_HOSTS[host] = engine.target;
+  });
+});
+
+// Resolver the safe search DNS payload points at. The default is the safe-search-only endpoint of our
+// own resolver (dns/server.js): it rewrites search engine hostnames and blocks nothing else, so turning
+// safe search on neither blocks categories the user left off nor sends their DNS to a third party.
+// SAFE_SEARCH_DNS_URL overrides it - the payload description names whichever resolver is used.
+const SAFE_SEARCH_DNS_URL = process.env.SAFE_SEARCH_DNS_URL || `${DNS_FILTER_CONFIG.dohUrl}/${SAFE_SEARCH_RESOLVER_KEY}`;
+
+// Enforced hostname for a queried name, or null if safe search doesn't rewrite it
+const getSafeSearchTarget = (hostname) => {
+  const host = String(hostname || '').trim().toLowerCase().replace(/\.+$/, '');
+  return Object.prototype.hasOwnProperty.call(SAFE_SEARCH_HOSTS, host) ? SAFE_SEARCH_HOSTS[host] : null;
+};
+
+// Whether a user's settings turn safe search on. Accepts camelCased settings or snake_cased rows;
+// a missing value means the default (on).
+const isSafeSearchEnabled = (settings = {}) => {
+  return (settings.enableSafeSearch ?? settings.enable_safe_search ?? true) === true;
+};
+
+// What the safe search payload tells the user about where their DNS lookups go
+const getSafeSearchDNSDescription = () => {
+  const resolverHost = new URL(SAFE_SEARCH_DNS_URL).hostname;
+  const resolverNote = process.env.SAFE_SEARCH_DNS_URL
+    ? `All DNS lookups on this device are sent to ${resolverHost}.`
+    : `All DNS lookups on this device are sent to ${resolverHost}, which only rewrites search engine addresses and blocks nothing else.`;
+
+  return `Forces SafeSearch on Google, Bing and DuckDuckGo and YouTube Restricted Mode. ${resolverNote}`;
+};
+
+// DNS payload sending every DNS query to the safe search resolver, with the same always-on
+// rules as the filtering resolver's so safe search can't be switched off in Settings
+const buildSafeSearchDNSPayload = (identifier, payloadUUID) => {
+  return buildManagedDNSPayload({
+    payloadUUID,
+    payloadIdentifier: `com.altriirecovery.safesearch.${identifier}`,
+    displayName: 'Safe Search',
+    description: getSafeSearchDNSDescription(),
+    dnsSettings: {
+      DNSProtocol: 'HTTPS',
+      ServerURL: SAFE_SEARCH_DNS_URL
+    }
+  });
+};
+
+// Engines enforced, in the shape the API returns
+const listSafeSearchEngines = () => {
+  return Object.keys(SAFE_SEARCH_ENGINES).map(key => ({
+    key,
+    name: SAFE_SEARCH_ENGINES[key].name,
+    target: SAFE_SEARCH_ENGINES[key].target
+  }));
+};
+
+module.exports = {
+  SAFE_SEARCH_ENGINES,
+  SAFE_SEARCH_HOSTS,
+  SAFE_SEARCH_DNS_URL,
+  getSafeSearchTarget,
+  isSafeSearchEnabled,
+  buildSafeSearchDNSPayload,
+  listSafeSearchEngines
+};
@@ -0,0 +1,191 @@
+const { CATEGORY_KEYS, isValidCategory } = require('./categories');
+
+// Schedule phases. "day" is inside the allowed hours, where only the user's chosen
+// categories are blocked; "night" is outside them (or a blocked day), where every category is.
+const SCHEDULE_PHASES = {
+  DAY: 'day',
+  NIGHT: 'night'
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Upper bound on boundary search steps - a week of start/end/midnight candidates plus DST corrections
+const MAX_BOUNDARY_STEPS = 64;
+
+// Formatters are expensive to build, so keep one per timezone
+const formatterCache = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatterCache.get(timezone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Get the local weekday (0 = Sunday) and minute of the day for a moment in a timezone
+const getLocalTime = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+// Convert "HH:MM" (or "HH:MM:SS" as returned by Postgres TIME columns) to minutes after midnight
+const parseTimeToMinutes = (time) => {
+  if (!time) return null;
+
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Pull the schedule out of blocking settings. The services layer hands over camelCased
+// settings while the MDM server works with snake_cased rows, so accept either.
+const getScheduleFromSettings = (settings = {}) => {
+  return {
+    enabled: Boolean(settings.enableTimeRestrictions ?? settings.enable_time_restrictions),
+    allowedHoursStart: parseTimeToMinutes(settings.allowedHoursStart ?? settings.allowed_hours_start),
+    allowedHoursEnd: parseTimeToMinutes(settings.allowedHoursEnd ?? settings.allowed_hours_end),
+    blockedDays: settings.blockedDays ?? settings.blocked_days ?? [],
+    timezone: settings.timezone || 'UTC'
+  };
+};
+
+// Check whether a minute of the day falls inside the allowed window (windows may cross midnight)
+const isWithinAllowedHours = (minutes, start, end) => {
+  if (start === null || end === null || start === end) {
+    return true;
+  }
+
+  if (start < end) {
+    return minutes >= start && minutes < end;
+  }
+
+  return minutes >= start || minutes < end;
+};
+
+// Work out which phase a schedule is in at a given moment
+const getSchedulePhase = (schedule, date = new Date()) => {
+  if (!schedule.enabled) {
+    return SCHEDULE_PHASES.DAY;
+  }
+
+  const local = getLocalTime(date, schedule.timezone);
+
+  if (schedule.blockedDays.includes(local.day)) {
+    return SCHEDULE_PHASES.NIGHT;
+  }
+
+  return isWithinAllowedHours(local.minutes, schedule.allowedHoursStart, schedule.allowedHoursEnd)
+    ? SCHEDULE_PHASES.DAY
+    : SCHEDULE_PHASES.NIGHT;
+};
+
+// Find the first minute in (before, after] whose local time has passed the target minute of the day.
+// When the target is skipped by a spring-forward transition, that is the first instant after the gap.
+const findEndOfGap = (before, after, target, timezone) => {
+  const start = getLocalTime(before, timezone).minutes;
+  const wallMinutesToTarget = (target - start + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hasPassedTarget = (time) => {
+    const minutes = getLocalTime(new Date(time), timezone).minutes;
+    return (minutes - start + MINUTES_PER_DAY) % MINUTES_PER_DAY >= wallMinutesToTarget;
+  };
+
+  let low = before.getTime();
+  let high = after.getTime();
+
+  while (high - low > 60000) {
+    const middle = low + Math.floor((high - low) / 120000) * 60000;
+    if (hasPassedTarget(middle)) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+
+  return new Date(high);
+};
+
+// Find the next moment the phase changes, or null if the schedule never changes phase.
+// Jumps between candidate local times (window start, window end, midnight) instead of scanning minutes.
+const getNextScheduleBoundary = (schedule, date = new Date()) => {
+  if (!schedule.enabled) {
+    return null;
+  }
+
+  const currentPhase = getSchedulePhase(schedule, date);
+  const candidates = [schedule.allowedHoursStart, schedule.allowedHoursEnd, MINUTES_PER_DAY]
+    .filter(minutes => minutes !== null);
+
+  let cursor = new Date(Math.floor(date.getTime() / 60000) * 60000);
+
+  for (let step = 0; step < MAX_BOUNDARY_STEPS; step++) {
+    const local = getLocalTime(cursor, schedule.timezone);
+    const target = Math.min(...candidates.filter(minutes => minutes > local.minutes));
+    cursor = new Date(cursor.getTime() + (target - local.minutes) * 60000);
+
+    // DST transitions shift the wall clock; pull the cursor back onto the target local time
+    const landed = getLocalTime(cursor, schedule.timezone).minutes;
+    const drift = landed - (target % MINUTES_PER_DAY);
+    if (drift > 0 && drift < MINUTES_PER_DAY / 2) {
+      const overshot = cursor;
+      cursor = new Date(cursor.getTime() - drift * 60000);
+
+      // Still not on the target: it falls in a spring-forward gap and never happens that day
+      if (getLocalTime(cursor, schedule.timezone).minutes !== target % MINUTES_PER_DAY) {
+        cursor = findEndOfGap(cursor, overshot, target, schedule.timezone);
+      }
+    }
+
+    if (getSchedulePhase(schedule, cursor) !== currentPhase) {
+      return cursor;
+    }
+  }
+
+  return null;
+};
+
+// Get the categories in force for a phase, given the categories the user chose to block
+const getCategoriesInForce = (selectedCategories, phase) => {
+  if (phase === SCHEDULE_PHASES.NIGHT) {
+    return [...CATEGORY_KEYS];
+  }
+
+  return selectedCategories.filter(isValidCategory);
+};
+
+// Describe a schedule's current state for API responses
+const describeSchedule = (schedule, date = new Date()) => {
+  const currentPhase = getSchedulePhase(schedule, date);
+  const nextBoundary = getNextScheduleBoundary(schedule, date);
+
+  return {
+    enabled: schedule.enabled,
+    timezone: schedule.timezone,
+    currentPhase,
+    nextBoundary,
+    nextPhase: nextBoundary ? getSchedulePhase(schedule, nextBoundary) : null
+  };
+};
+
+module.exports = {
+  SCHEDULE_PHASES,
+  getLocalTime,
+  getScheduleFromSettings,
+  getSchedulePhase,
+  getNextScheduleBoundary,
+  getCategoriesInForce,
+  describeSchedule
+};
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const forge = require('node-forge');
+
+// Configuration profile signing. iOS marks an unsigned .mobileconfig as "Unverified" during install;
+// a profile wrapped in a PKCS#7 signature from a trusted certificate shows as "Verified". Used for
+// both web-filter downloads and MDM-delivered profiles.
+//
+// Signing identity, configurable per deployment:
+// - PROFILE_SIGNING_CERT_PATH       PEM signing certificate; may also hold the chain, leaf first
+// - PROFILE_SIGNING_KEY_PATH        PEM private key (RSA) for the certificate
+// - PROFILE_SIGNING_CHAIN_PATH      optional PEM bundle of intermediate certificates
+// - PROFILE_SIGNING_KEY_PASSPHRASE  optional passphrase for an encrypted key
+// The MDM server's MDM_SIGNING_CERT_PATH / MDM_SIGNING_KEY_PATH are used when the PROFILE_ ones aren't set.
+// Without any of these, profile downloads are served unsigned as before; set REQUIRE_SIGNED_PROFILES=true
+// to refuse them (503) instead.
+//
+// Files are re-read when they change on disk, so rotating the certificate is a matter of replacing
+// the files. If the new files don't load (say the certificate was swapped before the key), signing
+// carries on with the previous pair until they do.
+
+const SIGNING_NOT_CONFIGURED = 'Profile signing is not configured';
+
+// Warn this long before the signing certificate expires
+const EXPIRY_WARNING_DAYS = 30;
+
+const getSigningConfig = (overrides = {}) => ({
+  certPath: overrides.certPath || process.env.PROFILE_SIGNING_CERT_PATH || process.env.MDM_SIGNING_CERT_PATH || null,
+  keyPath: overrides.keyPath || process.env.PROFILE_SIGNING_KEY_PATH || process.env.MDM_SIGNING_KEY_PATH || null,
+  chainPath: overrides.chainPath || process.env.PROFILE_SIGNING_CHAIN_PATH || null,
+  passphrase: overrides.passphrase || process.env.PROFILE_SIGNING_KEY_PASSPHRASE || null
+});
+
+const isSigningConfigured = (config = getSigningConfig()) => {
+  return Boolean(config.certPath && config.keyPath);
+};
+
+// Loaded credentials, per certificate/key path pair
+const credentialsCache = new Map();
+
+const getCacheKey = (config) => {
+  return [config.certPath, config.keyPath, config.chainPath].join('|');
+};
+
+// Modification times of the configured files, so a rotation on disk is noticed
+const getFileStamp = async (config) => {
+  const paths = [config.certPath, config.keyPath, config.chainPath].filter(Boolean);
+  const stats = await Promise.all(paths.map(path => fs.promises.stat(path)));
+  return stats.map(stat => `${stat.mtimeMs}:${stat.size}`).join('|');
+};
+
+// Every certificate in a PEM bundle, in file order
+const parseCertificateBundle = (pem, label) => {
+  const blocks = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+
+  if (blocks.length === 0) {
+    throw new Error(`No certificate found in ${label}`);
+  }
+
+  return blocks.map(block => forge.pki.certificateFromPem(block));
+};
+
+const parsePrivateKey = (pem, passphrase) => {
+  const key = /ENCRYPTED/.test(pem)
+    ? forge.pki.decryptRsaPrivateKey(pem, passphrase || '')
+    : forge.pki.privateKeyFromPem(pem);
+
+  if (!key) {
+    throw new Error(passphrase
+      ? 'Signing key could not be decrypted - check PROFILE_SIGNING_KEY_PASSPHRASE'
+      : 'Signing key is encrypted - set PROFILE_SIGNING_KEY_PASSPHRASE');
+  }
+
+  return key;
+};
+
+const getCommonName = (subject) => {
+  const field = subject.getField('CN');
+  return field ? field.value : null;
+};
+
+// Read and check a certificate, key and chain. Throws with a message saying what's wrong.
+const readCredentials = async (config) => {
+  const [certPem, keyPem, chainPem] = await Promise.all([
+    fs.promises.readFile(config.certPath, 'utf8'),
+    fs.promises.readFile(config.keyPath, 'utf8'),
+    config.chainPath ? fs.promises.readFile(config.chainPath, 'utf8') : null
+  ]);
+
+  const [certificate, ...bundledChain] = parseCertificateBundle(certPem, 'the signing certificate file');
+  const chain = [...bundledChain, ...(chainPem ? parseCertificateBundle(chainPem, 'the certificate chain file') : [])];
+  const key = parsePrivateKey(keyPem, config.passphrase);
+
+  if (!certificate.publicKey.n || !certificate.publicKey.n.equals(key.n)) {
+    throw new Error('Signing key does not match the signing certificate');
+  }
+
+  const now = new Date();
+  const { notBefore, notAfter } = certificate.validity;
+
+  if (now < notBefore) {
+    throw new Error(`Signing certificate is not valid until ${notBefore.toISOString()}`);
+  }
+
+  if (now > notAfter) {
+    throw new Error(`Signing certificate expired on ${notAfter.toISOString()}`);
+  }
+
+  return {
+    certificate,
+    key,
+    chain,
+    subject: getCommonName(certificate.subject),
+    issuer: getCommonName(certificate.issuer),
+    serialNumber: certificate.serialNumber,
+    expiresAt: notAfter
+  };
+};
+
+// Get the signing credentials for a config, re-reading the files if they have changed.
+// Throws if signing isn't configured or the files can't be used and there's nothing to fall back to.
+const loadSigningCredentials = async (config = getSigningConfig()) => {
+  if (!isSigningConfigured(config)) {
+    throw new Error(SIGNING_NOT_CONFIGURED);
+  }
+
+  const cacheKey = getCacheKey(config);
+  const cached = credentialsCache.get(cacheKey);
+  let stamp;
+
+  try {
+    stamp = await getFileStamp(config);
+
+    if (cached && cached.stamp === stamp) {
+      return cached.credentials;
+    }
+
+    const credentials = await readCredentials(config);
+    credentialsCache.set(cacheKey, { stamp, credentials });
+
+    const daysLeft = Math.floor((credentials.expiresAt - Date.now()) / (24 * 60 * 60 * 1000));
+    console.log(`🔏 Profile signing certificate loaded: ${credentials.subject} (issued by ${credentials.issuer}, ${credentials.chain.length} chain certificate(s))`);
+    if (daysLeft < EXPIRY_WARNING_DAYS) {
+      console.warn(`⚠️  Profile signing certificate expires in ${daysLeft} day(s)`);
+    }
+
+    return credentials;
+
+  } catch (error) {
+    // Mid-rotation: keep signing with the previous certificate while it is still valid
+    if (cached && cached.credentials.expiresAt > new Date()) {
+      console.warn('⚠️  Could not load new signing certificate, still using the previous one:', error.message);
+      return cached.credentials;
+    }
+
+    throw error;
+  }
+};
+
+// Wrap profile data (plist XML) in a PKCS#7 signature. Returns the DER-encoded signed profile.
+const signProfileData = (data, credentials) => {
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(Buffer.isBuffer(data) ? data.toString('binary') : forge.util.encodeUtf8(data));
+
+  p7.addCertificate(credentials.certificate);
+  credentials.chain.forEach(certificate => p7.addCertificate(certificate));
+
+  p7.addSigner({
+    key: credentials.key,
+    certificate: credentials.certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [{
+      type: forge.pki.oids.contentType,
+      value: forge.pki.oids.data
+    }, {
+      type: forge.pki.oids.messageDigest
+    }, {
+      type: forge.pki.oids.signingTime,
+      value: new Date()
+    }]
+  });
+
+  p7.sign();
+
+  return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+};
+
+// Sign a profile with the configured certificate
+const signProfile = async (data, config = getSigningConfig()) => {
+  if (!isSigningConfigured(config)) {
+    return {
+      success: false,
+      error: SIGNING_NOT_CONFIGURED,
+      hint: 'Set PROFILE_SIGNING_CERT_PATH and PROFILE_SIGNING_KEY_PATH to a certificate and key that devices trust'
+    };
+  }
+
+  try {
+    const credentials = await loadSigningCredentials(config);
+
+    return {
+      success: true,
+      signedProfile: signProfileData(data, credentials),
+      signer: {
+        subject: credentials.subject,
+        issuer: credentials.issuer,
+        expiresAt: credentials.expiresAt
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Profile signing failed:', error.message);
+    return {
+      success: false,
+      error: 'Profile signing failed',
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  SIGNING_NOT_CONFIGURED,
+  getSigningConfig,
+  isSigningConfigured,
+  loadSigningCredentials,
+  signProfileData,
+  signProfile
+};
@@ -0,0 +1,194 @@
+const { domainToASCII } = require('url');
+const psl = require('psl');
+
+// URL rules that are narrower or broader than a domain rule:
+// - URL prefixes block part of a site ("reddit.com/r/example") rather than all of it. They go into the
+//   web content filter's BlacklistedURLs, which iOS matches as a prefix of the full URL.
+// - Keywords block any address containing a word. iOS's built-in filter has no keyword list, so they
+//   are enforced on hostnames by our DNS resolver and against full URLs by the URL tester.
+
+const URL_RULE_KINDS = {
+  URL_PREFIX: 'url_prefix',
+  KEYWORD: 'keyword'
+};
+
+const MAX_URL_PREFIX_LENGTH = 512;
+const MIN_KEYWORD_LENGTH = 3;
+const MAX_KEYWORD_LENGTH = 40;
+const MAX_URL_RULES = 500;
+
+// Hostname part of a prefix: one or more labels with an alphabetic or punycode TLD (no wildcards)
+const PREFIX_HOST_REGEX = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+// Path and query part of a prefix: RFC 3986 path/query characters and percent-escapes only
+const PREFIX_PATH_REGEX = /^\/([A-Za-z0-9\-._~!$&'()*+,;=:@/?]|%[0-9A-Fa-f]{2})*$/;
+
+// Keywords are a single lowercase word; inner dots, hyphens and underscores are allowed
+const KEYWORD_REGEX = /^[a-z0-9]([a-z0-9._-]*[a-z0-9])?$/;
+
+// Normalise user input into a canonical URL prefix ("host/path?query"), or null if it isn't one.
+// Lowercases the host and converts IDN to punycode; the scheme and fragment are dropped and the path
+// keeps its case. A prefix without a path is just a domain and belongs in the domain rules instead.
+const normalizeUrlPrefix = (input) => {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  const value = input.trim()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+    .split('#')[0];
+
+  const pathStart = value.search(/[/?]/);
+  if (pathStart === -1) {
+    return null;
+  }
+
+  const host = domainToASCII(value.slice(0, pathStart).toLowerCase().replace(/\.+$/, ''));
+  const rest = value.slice(pathStart);
+  const path = rest.startsWith('?') ? `/${rest}` : rest;
+
+  if (!host || !PREFIX_HOST_REGEX.test(host) || !psl.get(host)) {
+    return null;
+  }
+
+  if (path === '/' || !PREFIX_PATH_REGEX.test(path)) {
+    return null;
+  }
+
+  const prefix = `${host}${path}`;
+
+  return prefix.length > MAX_URL_PREFIX_LENGTH ? null : prefix;
+};
+
+const validateUrlPrefix = (prefix) => {
+  return normalizeUrlPrefix(prefix) !== null;
+};
+
+// Normalise a keyword (trimmed, lowercased), or null if it isn't one
+const normalizeKeyword = (input) => {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  const keyword = input.trim().toLowerCase();
+
+  if (keyword.length < MIN_KEYWORD_LENGTH || keyword.length > MAX_KEYWORD_LENGTH || !KEYWORD_REGEX.test(keyword)) {
+    return null;
+  }
+
+  return keyword;
+};
+
+const validateKeyword = (keyword) => {
+  return normalizeKeyword(keyword) !== null;
+};
+
+// Normalise lists, dropping invalid entries and duplicates
+const normalizeUrlPrefixList = (prefixes) => {
+  return [...new Set((prefixes || []).map(normalizeUrlPrefix).filter(Boolean))];
+};
+
+const normalizeKeywordList = (keywords) => {
+  return [...new Set((keywords || []).map(normalizeKeyword).filter(Boolean))];
+};
+
+// Validate a settings list of URL rules, returning error messages in validateBlockingSettings' style
+const validateUrlRuleList = (field, values, validate, label) => {
+  if (!Array.isArray(values)) {
+    return [`${field} must be an array`];
+  }
+
+  if (values.length > MAX_URL_RULES) {
+    return [`${field} can hold at most ${MAX_URL_RULES} entries`];
+  }
+
+  return values
+    .map((value, index) => validate(value) ? null : `Invalid ${label} at index ${index}: ${value}`)
+    .filter(Boolean);
+};
+
+// A user's URL rules. Accepts camelCased settings or snake_cased rows, like getBlockedBundleIds does.
+const getUrlRules = (settings = {}) => ({
+  urlPrefixes: normalizeUrlPrefixList(settings.blockedUrlPrefixes ?? settings.blocked_url_prefixes),
+  keywords: normalizeKeywordList(settings.blockedKeywords ?? settings.blocked_keywords)
+});
+
+const splitUrlPrefix = (prefix) => {
+  const pathStart = prefix.indexOf('/');
+  return {
+    host: prefix.slice(0, pathStart),
+    path: prefix.slice(pathStart)
+  };
+};
+
+// Hosts a prefix covers: the host itself, plus "www." when the host is a bare registrable domain
+const getPrefixHosts = (host) => {
+  return psl.get(host) === host ? [host, `www.${host}`] : [host];
+};
+
+// BlacklistedURLs entries for the URL prefixes in a user's settings. iOS compares entries against
+// the start of the full URL, so each prefix is listed for both schemes and its www. host.
+const getUrlPrefixFilterEntries = (settings = {}) => {
+  const entries = getUrlRules(settings).urlPrefixes.flatMap(prefix => {
+    const { host, path } = splitUrlPrefix(prefix);
+    return getPrefixHosts(host).flatMap(prefixHost => [
+      `https://${prefixHost}${path}`,
+      `http://${prefixHost}${path}`
+    ]);
+  });
+
+  return [...new Set(entries)];
+};
+
+// Find the longest URL prefix rule covering a URL, with the same matching as the content filter
+const findMatchingUrlPrefix = (url, urlPrefixes = []) => {
+  let parsed;
+
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `http://${url}`);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/\.+$/, '');
+  const pathAndQuery = `${parsed.pathname}${parsed.search}`;
+
+  const matches = urlPrefixes.filter(prefix => {
+    const rule = splitUrlPrefix(prefix);
+    return getPrefixHosts(rule.host).includes(host) && pathAndQuery.startsWith(rule.path);
+  });
+
+  return matches.sort((a, b) => b.length - a.length)[0] || null;
+};
+
+// Find a keyword that appears anywhere in some text (a hostname, or a whole URL)
+const findMatchingKeyword = (text, keywords = []) => {
+  let value = String(text).toLowerCase();
+
+  try {
+    value = decodeURIComponent(value);
+  } catch (error) {
+    // Malformed escapes: match against the raw text
+  }
+
+  return keywords.find(keyword => value.includes(keyword)) || null;
+};
+
+module.exports = {
+  URL_RULE_KINDS,
+  MAX_URL_PREFIX_LENGTH,
+  MIN_KEYWORD_LENGTH,
+  MAX_KEYWORD_LENGTH,
+  MAX_URL_RULES,
+  normalizeUrlPrefix,
+  validateUrlPrefix,
+  normalizeKeyword,
+  validateKeyword,
+  normalizeUrlPrefixList,
+  normalizeKeywordList,
+  validateUrlRuleList,
+  getUrlRules,
+  getUrlPrefixFilterEntries,
+  findMatchingUrlPrefix,
+  findMatchingKeyword
+};
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TYPES,
+  CLASS_IN,
+  RCODES,
+  readName,
+  encodeName,
+  parseMessage,
+  buildResponse,
+  buildQuery,
+  encodeAddress,
+  getRcode
+} = require('../dns/packet');
+
+test('encodes and reads back a name', () => {
+  const encoded = encodeName('www.Example.com.');
+
+  assert.deepEqual([...encoded], [3, 119, 119, 119, 7, 69, 120, 97, 109, 112, 108, 101, 3, 99, 111, 109, 0]);
+  assert.deepEqual(readName(encoded, 0), { name: 'www.example.com', offset: encoded.length });
+});
+
+test('follows compression pointers and returns the offset after the pointer', () => {
+  // "example.com" at offset 0, then "www" + pointer to offset 0
+  const buf = Buffer.concat([encodeName('example.com'), Buffer.from([3, 119, 119, 119, 0xc0, 0x00])]);
+
+  assert.deepEqual(readName(buf, 13), { name: 'www.example.com', offset: buf.length });
+});
+
+test('rejects compression loops and truncated names', () => {
+  assert.throws(() => readName(Buffer.from([0xc0, 0x00]), 0), /Too many compression pointers/);
+  assert.throws(() => readName(Buffer.from([3, 119, 119]), 0), /past end of message/);
+});
+
+test('a built query parses back to the same question', () => {
+  const query = parseMessage(buildQuery(0x1234, 'blocked-site.com', TYPES.AAAA));
+
+  assert.equal(query.id, 0x1234);
+  assert.equal(query.flags, 0x0100);
+  assert.deepEqual(query.questions, [{ name: 'blocked-site.com', type: TYPES.AAAA, class: CLASS_IN }]);
+  assert.deepEqual(query.answers, []);
+});
+
+test('a built response parses back with its answers, ids and flags', () => {
+  const query = parseMessage(buildQuery(42, 'www.google.com', TYPES.A));
+  const response = buildResponse(query, {
+    answers: [
+      { name: 'www.google.com', type: TYPES.CNAME, ttl: 60, data: encodeName('forcesafesearch.google.com') },
+      { name: 'forcesafesearch.google.com', type: TYPES.A, ttl: 300, data: encodeAddress('216.239.38.120') }
+    ]
+  });
+  const parsed = parseMessage(response);
+
+  assert.equal(parsed.id, 42);
+  // QR, RD copied from the query, RA
+  assert.equal(parsed.flags, 0x8180);
+  assert.equal(getRcode(response), RCODES.NOERROR);
+  assert.deepEqual(parsed.questions, query.questions);
+  assert.equal(parsed.answers.length, 2);
+  assert.equal(parsed.answers[0].type, TYPES.CNAME);
+  assert.equal(readName(parsed.answers[0].data, 0).name, 'forcesafesearch.google.com');
+  assert.deepEqual(parsed.answers[1], {
+    name: 'forcesafesearch.google.com',
+    type: TYPES.A,
+    class: CLASS_IN,
+    ttl: 300,
+    data: Buffer.from([216, 239, 38, 120])
+  });
+});
+
+test('error responses carry the rcode and no answers', () => {
+  const query = parseMessage(buildQuery(7, 'nothing.invalid', TYPES.A));
+  const response = buildResponse(query, { rcode: RCODES.NXDOMAIN });
+
+  assert.equal(getRcode(response), RCODES.NXDOMAIN);
+  assert.deepEqual(parseMessage(response).answers, []);
+});
+
+test('encodes IPv4 and IPv6 addresses', () => {
+  assert.deepEqual([...encodeAddress('192.0.2.1')], [192, 0, 2, 1]);
+  assert.equal(encodeAddress('2001:db8::1').toString('hex'), '20010db8000000000000000000000001');
+  assert.equal(encodeAddress('::1').toString('hex'), '00000000000000000000000000000001');
+  assert.equal(encodeAddress('fe80:0:0:0:0:0:0:2').toString('hex'), 'fe800000000000000000000000000002');
+});
+
+test('rejects messages shorter than a header', () => {
+  assert.throws(() => parseMessage(Buffer.alloc(4)), /too short/);
+});
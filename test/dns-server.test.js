@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AltriiDNSServer = require('../dns/server');
+const { TYPES, RCODES, readName, parseMessage, buildQuery, getRcode } = require('../dns/packet');
+const { getScheduleFromSettings } = require('../services/schedule');
+const { SAFE_SEARCH_RESOLVER_KEY } = require('../services/dnsfilter');
+const { pool } = require('../config/database');
+const { createStubUpstream } = require('../scripts/dns-stub-upstream');
+
+const RESOLVER_KEY = 'a'.repeat(32);
+
+let upstream;
+
+test.before(async () => {
+  upstream = await createStubUpstream({ port: 0, quiet: true });
+});
+
+test.after(() => {
+  upstream.close();
+});
+
+// A resolver forwarding to the stub, with a fixed filter standing in for the key owner's settings
+const createResolver = (overrides = {}) => {
+  const resolver = new AltriiDNSServer({
+    upstream: { host: '127.0.0.1', port: upstream.address().port },
+    upstreamTimeoutMs: 2000,
+    settingsCacheTtlMs: 60 * 1000,
+    blockPageIPv4: null,
+    blockPageIPv6: null,
+    ...overrides
+  });
+
+  const settings = {
+    customBlockedDomains: ['blocked-site.com'],
+    customAllowedDomains: [],
+    blockedKeywords: ['casino'],
+    enableSafeSearch: true
+  };
+
+  resolver.loadFilter = async (resolverKey) => resolverKey === RESOLVER_KEY ? {
+    userId: 1,
+    settings,
+    schedule: getScheduleFromSettings(settings),
+    categoryDomains: {},
+    safeSearch: true,
+    keywords: settings.blockedKeywords,
+    matchers: {}
+  } : null;
+
+  return resolver;
+};
+
+const query = async (resolver, name, type = TYPES.A, resolverKey = RESOLVER_KEY) => {
+  const response = await resolver.resolve(resolverKey, buildQuery(0x4242, name, type));
+  return { rcode: getRcode(response), message: parseMessage(response) };
+};
+
+test('blocked names get NXDOMAIN without a block page', async () => {
+  const { rcode, message } = await query(createResolver(), 'www.blocked-site.com');
+
+  assert.equal(rcode, RCODES.NXDOMAIN);
+  assert.equal(message.id, 0x4242);
+  assert.deepEqual(message.answers, []);
+});
+
+test('blocked names point at the block page when one is configured', async () => {
+  const resolver = createResolver({ blockPageIPv4: '198.51.100.7', blockPageIPv6: '2001:db8::7' });
+
+  const ipv4 = await query(resolver, 'blocked-site.com');
+  assert.equal(ipv4.rcode, RCODES.NOERROR);
+  assert.deepEqual([...ipv4.message.answers[0].data], [198, 51, 100, 7]);
+
+  const ipv6 = await query(resolver, 'blocked-site.com', TYPES.AAAA);
+  assert.equal(ipv6.message.answers[0].data.toString('hex'), '20010db8000000000000000000000007');
+});
+
+test('keyword rules block matching names', async () => {
+  const { rcode } = await query(createResolver(), 'best-casino-online.com');
+
+  assert.equal(rcode, RCODES.NXDOMAIN);
+});
+
+test('safe search hosts are rewritten to the enforced host', async () => {
+  const { rcode, message } = await query(createResolver(), 'www.google.com');
+
+  assert.equal(rcode, RCODES.NOERROR);
+  assert.equal(message.answers[0].type, TYPES.CNAME);
+  assert.equal(readName(message.answers[0].data, 0).name, 'forcesafesearch.google.com');
+  assert.equal(message.answers[1].name, 'forcesafesearch.google.com');
+  assert.deepEqual([...message.answers[1].data], [192, 0, 2, 1]);
+});
+
+test('other names are forwarded upstream', async () => {
+  const resolver = createResolver();
+
+  const allowed = await query(resolver, 'example.org');
+  assert.equal(allowed.rcode, RCODES.NOERROR);
+  assert.equal(allowed.message.answers[0].name, 'example.org');
+  assert.deepEqual([...allowed.message.answers[0].data], [192, 0, 2, 1]);
+
+  const missing = await query(resolver, 'nothing.invalid');
+  assert.equal(missing.rcode, RCODES.NXDOMAIN);
+});
+
+test('the safe-search-only endpoint rewrites search engines and blocks nothing', async () => {
+  const resolver = createResolver();
+
+  const rewritten = await query(resolver, 'www.bing.com', TYPES.A, SAFE_SEARCH_RESOLVER_KEY);
+  assert.equal(readName(rewritten.message.answers[0].data, 0).name, 'strict.bing.com');
+
+  const forwarded = await query(resolver, 'blocked-site.com', TYPES.A, SAFE_SEARCH_RESOLVER_KEY);
+  assert.equal(forwarded.rcode, RCODES.NOERROR);
+  assert.deepEqual([...forwarded.message.answers[0].data], [192, 0, 2, 1]);
+});
+
+test('unknown resolver keys are refused', async () => {
+  const { rcode } = await query(createResolver(), 'example.org', TYPES.A, 'b'.repeat(32));
+
+  assert.equal(rcode, RCODES.REFUSED);
+});
+
+test('malformed queries get no answer', async () => {
+  assert.equal(await createResolver().resolve(RESOLVER_KEY, Buffer.from([1, 2, 3])), null);
+});
+
+// Database rows behind a per-device resolver key: the user's defaults block blocked-site.com,
+// the device overrides its blocked list to add device-only.com, and grants are read on each load
+const mockSettingsDatabase = (t, { grantDomains }) => {
+  const defaultRow = { device_id: null, custom_blocked_domains: ['blocked-site.com'], custom_allowed_domains: [] };
+  const deviceRow = {
+    device_id: 7,
+    custom_blocked_domains: ['blocked-site.com', 'device-only.com'],
+    custom_allowed_domains: [],
+    overridden_fields: ['custom_blocked_domains']
+  };
+  const settingsQueries = [];
+
+  // The services log every load; keep that out of the test runner's output
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(pool, 'query', async (sql, params = []) => {
+    if (/FROM device_profiles WHERE dns_resolver_key/.test(sql)) {
+      return { rows: params[0] === RESOLVER_KEY ? [{ id: 7, user_id: 1 }] : [] };
+    }
+    if (/FROM blocking_settings/.test(sql)) {
+      settingsQueries.push(params);
+      return { rows: [defaultRow, deviceRow] };
+    }
+    if (/FROM temporary_access_grants/.test(sql)) {
+      return { rows: grantDomains.map(domain => ({ domain })) };
+    }
+    if (/FROM domain_catalogue_versions/.test(sql)) {
+      return { rows: [{ version: 0 }] };
+    }
+    return { rows: [] };
+  });
+
+  return settingsQueries;
+};
+
+test('device keys apply the device\'s overrides and temporary access grants', async (t) => {
+  const grantDomains = [];
+  const settingsQueries = mockSettingsDatabase(t, { grantDomains });
+  const resolver = new AltriiDNSServer({
+    upstream: { host: '127.0.0.1', port: upstream.address().port },
+    upstreamTimeoutMs: 2000,
+    settingsCacheTtlMs: 0,
+    blockPageIPv4: null,
+    blockPageIPv6: null
+  });
+
+  assert.equal((await query(resolver, 'device-only.com')).rcode, RCODES.NXDOMAIN);
+  assert.equal((await query(resolver, 'blocked-site.com')).rcode, RCODES.NXDOMAIN);
+  assert.deepEqual(settingsQueries[0], [1, 7]);
+
+  // The supervisor approves a grant; the next load picks it up without a profile re-push
+  grantDomains.push('blocked-site.com');
+
+  const granted = await query(resolver, 'blocked-site.com');
+  assert.equal(granted.rcode, RCODES.NOERROR);
+  assert.deepEqual([...granted.message.answers[0].data], [192, 0, 2, 1]);
+  assert.equal((await query(resolver, 'device-only.com')).rcode, RCODES.NXDOMAIN);
+});
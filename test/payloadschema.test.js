@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PAYLOAD_SCHEMAS,
+  validatePayload,
+  validateProfile,
+  buildProfilePlist
+} = require('../services/payloadschema');
+const { buildProfile } = require('../services/profile');
+const { buildRemovalPasswordPayload } = require('../services/removalpassword');
+
+const PROFILE_UUID = '6F1C2E9A-3B47-4D1E-9C55-0A7B8E2D4F61';
+
+const basePayload = (type, uuidSuffix) => ({
+  PayloadType: type,
+  PayloadUUID: `6F1C2E9A-3B47-4D1E-9C55-0A7B8E2D4F${uuidSuffix}`,
+  PayloadIdentifier: `com.altriirecovery.test.${type}`,
+  PayloadVersion: 1
+});
+
+// A valid payload of each type, with one optional key to mis-type
+const VALID_PAYLOADS = {
+  'com.apple.webcontent-filter': {
+    payload: { ...basePayload('com.apple.webcontent-filter', '01'), FilterType: 'BuiltIn', AutoFilterEnabled: true },
+    wrongType: ['AutoFilterEnabled', 'true']
+  },
+  'com.apple.applicationaccess': {
+    payload: { ...basePayload('com.apple.applicationaccess', '02'), allowExplicitContent: false },
+    wrongType: ['allowExplicitContent', 0]
+  },
+  'com.apple.profileRemovalPassword': {
+    payload: { ...basePayload('com.apple.profileRemovalPassword', '03'), RemovalPassword: 'ABCD-EFGH-JKMN-PQRS' },
+    wrongType: ['RemovalPassword', 1234]
+  },
+  'com.apple.dnsSettings.managed': {
+    payload: {
+      ...basePayload('com.apple.dnsSettings.managed', '04'),
+      DNSSettings: { DNSProtocol: 'HTTPS', ServerURL: 'https://dns.example.com/dns-query' }
+    },
+    wrongType: ['ProhibitDisablement', 'yes']
+  }
+};
+
+test('every payload schema has a sample here', () => {
+  assert.deepEqual(Object.keys(VALID_PAYLOADS).sort(), Object.keys(PAYLOAD_SCHEMAS).sort());
+});
+
+Object.entries(VALID_PAYLOADS).forEach(([type, { payload, wrongType }]) => {
+  test(`${type}: accepts a valid payload`, () => {
+    assert.deepEqual(validatePayload(payload), []);
+  });
+
+  test(`${type}: rejects an unknown key`, () => {
+    const errors = validatePayload({ ...payload, safariForceIranks: true });
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /safariForceIranks: unknown key/);
+  });
+
+  test(`${type}: rejects a mis-typed key`, () => {
+    const [key, value] = wrongType;
+    const errors = validatePayload({ ...payload, [key]: value });
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], new RegExp(`${key}: expected`));
+  });
+
+  test(`${type}: rejects a missing required key`, () => {
+    const { PayloadIdentifier, ...withoutIdentifier } = payload;
+
+    assert.match(validatePayload(withoutIdentifier).join(), /PayloadIdentifier: required/);
+  });
+});
+
+test('rejects payload types without a schema', () => {
+  assert.match(validatePayload({ ...basePayload('com.apple.vpn.managed', '05') })[0], /no schema for com.apple.vpn.managed/);
+});
+
+test('rejects out-of-range values and malformed UUIDs', () => {
+  const { payload } = VALID_PAYLOADS['com.apple.webcontent-filter'];
+
+  assert.match(validatePayload({ ...payload, FilterType: 'Proxy' })[0], /FilterType: must be one of/);
+  assert.match(validatePayload({ ...payload, PayloadUUID: 'not-a-uuid' })[0], /PayloadUUID: invalid format/);
+});
+
+test('checks nested dictionaries and arrays', () => {
+  const { payload } = VALID_PAYLOADS['com.apple.dnsSettings.managed'];
+  const errors = validatePayload({
+    ...payload,
+    DNSSettings: { ...payload.DNSSettings, ServerAddresses: ['1.1.1.1', 53], ServerPort: 443 },
+    OnDemandRules: [{ Action: 'Always' }]
+  });
+
+  assert.deepEqual(errors.map(error => error.replace(/^.*?\)\./, '')).sort(), [
+    'DNSSettings.ServerAddresses[1]: expected string',
+    'DNSSettings.ServerPort: unknown key',
+    'OnDemandRules[0].Action: must be one of Connect, Disconnect, EvaluateConnection'
+  ]);
+});
+
+test('rejects duplicate PayloadUUIDs across a profile', () => {
+  const { payload } = VALID_PAYLOADS['com.apple.applicationaccess'];
+  const profile = buildProfile({ profileUUID: PROFILE_UUID, profileName: 'Test' }, { enableSafeSearch: false }, []);
+  profile.PayloadContent.push({ ...payload, PayloadUUID: profile.PayloadContent[0].PayloadUUID });
+
+  assert.ok(validateProfile(profile).includes('profile: PayloadUUIDs must be unique'));
+  assert.throws(() => buildProfilePlist(profile), /Profile failed schema validation/);
+});
+
+// Settings combinations covering every payload buildProfile can emit
+const PROFILE_VARIANTS = {
+  'defaults': [{}, {}],
+  'safe search off': [{}, { enableSafeSearch: false, blockExplicitContent: false }],
+  'everything blocked': [{}, {
+    blockAdultContent: true,
+    blockGaming: true,
+    blockExplicitContent: true,
+    customBlockedDomains: ['example.com', '*.example.org'],
+    customAllowedDomains: ['allowed.example.com'],
+    blockedUrlPrefixes: ['reddit.com/r/example'],
+    enableSafeSearch: true
+  }],
+  'DNS filtering': [{ dnsResolverKey: 'a'.repeat(32) }, { enableSafeSearch: true }],
+  'timer lock': [{ removalPassword: 'ABCD-EFGH-JKMN-PQRS' }, {}]
+};
+
+Object.entries(PROFILE_VARIANTS).forEach(([name, [profileData, settings]]) => {
+  test(`buildProfile output passes the schemas: ${name}`, () => {
+    const profile = buildProfile(
+      { profileUUID: PROFILE_UUID, profileName: 'Test Profile', deviceName: 'Test iPhone', ...profileData },
+      { customAllowedDomains: [], ...settings },
+      ['blocked.example.com']
+    );
+
+    assert.deepEqual(validateProfile(profile), []);
+    profile.PayloadContent.forEach(payload => assert.ok(PAYLOAD_SCHEMAS[payload.PayloadType]));
+  });
+});
+
+test('the removal password payload passes its schema', () => {
+  const payload = buildRemovalPasswordPayload(PROFILE_UUID, '6F1C2E9A-3B47-4D1E-9C55-0A7B8E2D4F06', 'ABCD-EFGH-JKMN-PQRS');
+
+  assert.deepEqual(validatePayload(payload), []);
+});
+
+test('every payload type is emitted by one of the builders above', () => {
+  const emitted = new Set();
+
+  Object.values(PROFILE_VARIANTS).forEach(([profileData, settings]) => {
+    buildProfile({ profileUUID: PROFILE_UUID, profileName: 'Test', ...profileData }, settings, [])
+      .PayloadContent.forEach(payload => emitted.add(payload.PayloadType));
+  });
+
+  assert.deepEqual([...emitted].sort(), Object.keys(PAYLOAD_SCHEMAS).sort());
+});
+
+test('profiles built during a timer carry a removal password and disallow removal', () => {
+  const profile = buildProfile(
+    { profileUUID: PROFILE_UUID, profileName: 'Test', removalPassword: 'ABCD-EFGH-JKMN-PQRS' },
+    {},
+    []
+  );
+  const passwordPayload = profile.PayloadContent.find(payload => payload.PayloadType === 'com.apple.profileRemovalPassword');
+
+  assert.equal(profile.PayloadRemovalDisallowed, true);
+  assert.equal(passwordPayload.RemovalPassword, 'ABCD-EFGH-JKMN-PQRS');
+  assert.deepEqual(validateProfile(profile), []);
+});
+
+test('profiles built without a timer can be removed', () => {
+  const profile = buildProfile({ profileUUID: PROFILE_UUID, profileName: 'Test' }, {}, []);
+
+  assert.equal(profile.PayloadRemovalDisallowed, false);
+  assert.equal(profile.PayloadContent.some(payload => payload.PayloadType === 'com.apple.profileRemovalPassword'), false);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const plist = require('plist');
+const { generateProfileXML } = require('../services/profile');
+const { SAFE_SEARCH_DNS_URL, getSafeSearchTarget } = require('../services/safesearch');
+
+const PROFILE_DATA = {
+  profileUUID: '6F1C2E9A-3B47-4D1E-9C55-0A7B8E2D4F61',
+  profileName: 'Test Profile',
+  deviceName: 'Test iPhone'
+};
+
+const generate = (settings) => plist.parse(generateProfileXML(PROFILE_DATA, {
+  customAllowedDomains: [],
+  blockExplicitContent: true,
+  ...settings
+}, []));
+
+const findPayload = (profile, type) => profile.PayloadContent.find(payload => payload.PayloadType === type);
+
+test('safe search on adds the DNS payload pointing at the safe search resolver', () => {
+  const profile = generate({ enableSafeSearch: true });
+  const dnsPayload = findPayload(profile, 'com.apple.dnsSettings.managed');
+
+  assert.ok(dnsPayload);
+  assert.equal(dnsPayload.PayloadIdentifier, `com.altriirecovery.safesearch.${PROFILE_DATA.profileUUID}`);
+  assert.equal(dnsPayload.DNSSettings.DNSProtocol, 'HTTPS');
+  assert.equal(dnsPayload.DNSSettings.ServerURL, SAFE_SEARCH_DNS_URL);
+  assert.deepEqual(dnsPayload.OnDemandRules, [{ Action: 'Connect' }]);
+  assert.equal(dnsPayload.ProhibitDisablement, true);
+  assert.match(dnsPayload.PayloadDescription, /DNS lookups on this device are sent to/);
+});
+
+test('safe search off leaves out the DNS payload', () => {
+  const profile = generate({ enableSafeSearch: false });
+
+  assert.equal(findPayload(profile, 'com.apple.dnsSettings.managed'), undefined);
+});
+
+test('safe search defaults to on when the setting is missing', () => {
+  const profile = generate({});
+
+  assert.ok(findPayload(profile, 'com.apple.dnsSettings.managed'));
+});
+
+test('the automatic adult filter follows the adult category, not safe search', () => {
+  const autoFilter = (settings) => findPayload(generate(settings), 'com.apple.webcontent-filter').AutoFilterEnabled;
+
+  assert.equal(autoFilter({ enableSafeSearch: false, blockAdultContent: true }), true);
+  assert.equal(autoFilter({ enableSafeSearch: true, blockAdultContent: false }), false);
+  assert.equal(autoFilter({ enableSafeSearch: false }), true);
+});
+
+test('the default resolver is our own safe-search-only endpoint', () => {
+  assert.match(SAFE_SEARCH_DNS_URL, /\/dns-query\/safesearch$/);
+});
+
+test('search engine hosts are rewritten to their enforced hosts', () => {
+  assert.equal(getSafeSearchTarget('www.google.com'), 'forcesafesearch.google.com');
+  assert.equal(getSafeSearchTarget('WWW.Bing.com.'), 'strict.bing.com');
+  assert.equal(getSafeSearchTarget('duckduckgo.com'), 'safe.duckduckgo.com');
+  assert.equal(getSafeSearchTarget('m.youtube.com'), 'restrict.youtube.com');
+  assert.equal(getSafeSearchTarget('example.com'), null);
+});
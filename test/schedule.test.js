@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SCHEDULE_PHASES,
+  getScheduleFromSettings,
+  getSchedulePhase,
+  getNextScheduleBoundary
+} = require('../services/schedule');
+
+const londonSchedule = (start, end) => getScheduleFromSettings({
+  enableTimeRestrictions: true,
+  allowedHoursStart: start,
+  allowedHoursEnd: end,
+  timezone: 'Europe/London'
+});
+
+test('finds the next boundary on an ordinary day', () => {
+  const schedule = londonSchedule('07:00', '22:00');
+  const boundary = getNextScheduleBoundary(schedule, new Date('2026-06-10T12:00:00Z'));
+
+  // 22:00 BST
+  assert.equal(boundary.toISOString(), '2026-06-10T21:00:00.000Z');
+  assert.equal(getSchedulePhase(schedule, boundary), SCHEDULE_PHASES.NIGHT);
+});
+
+test('a window start skipped by spring-forward moves to the end of the gap', () => {
+  // Clocks go from 01:00 GMT to 02:00 BST on 29 March 2026, so 01:30 never happens
+  const schedule = londonSchedule('01:30', '09:00');
+  const boundary = getNextScheduleBoundary(schedule, new Date('2026-03-28T20:00:00Z'));
+
+  assert.equal(boundary.toISOString(), '2026-03-29T01:00:00.000Z');
+  assert.equal(getSchedulePhase(schedule, boundary), SCHEDULE_PHASES.DAY);
+});
+
+test('a window end skipped by spring-forward moves to the end of the gap', () => {
+  const schedule = londonSchedule('09:00', '01:30');
+  const boundary = getNextScheduleBoundary(schedule, new Date('2026-03-28T20:00:00Z'));
+
+  assert.equal(boundary.toISOString(), '2026-03-29T01:00:00.000Z');
+  assert.equal(getSchedulePhase(schedule, boundary), SCHEDULE_PHASES.NIGHT);
+});
+
+test('a midnight boundary skipped by spring-forward moves to the end of the gap', () => {
+  // Chile moves from 00:00 -04 to 01:00 -03 on 6 September 2026
+  const schedule = getScheduleFromSettings({
+    enableTimeRestrictions: true,
+    allowedHoursStart: '08:00',
+    allowedHoursEnd: '00:00',
+    timezone: 'America/Santiago'
+  });
+  const boundary = getNextScheduleBoundary(schedule, new Date('2026-09-05T12:00:00Z'));
+
+  assert.equal(boundary.toISOString(), '2026-09-06T04:00:00.000Z');
+  assert.equal(getSchedulePhase(schedule, boundary), SCHEDULE_PHASES.NIGHT);
+});
+
+test('a boundary repeated by fall-back uses its first occurrence', () => {
+  // Clocks go from 02:00 BST back to 01:00 GMT on 25 October 2026, so 01:30 happens twice
+  const schedule = londonSchedule('01:30', '09:00');
+  const boundary = getNextScheduleBoundary(schedule, new Date('2026-10-24T20:00:00Z'));
+
+  assert.equal(boundary.toISOString(), '2026-10-25T00:30:00.000Z');
+  assert.equal(getSchedulePhase(schedule, boundary), SCHEDULE_PHASES.DAY);
+});
+
+test('the boundary after a fall-back transition keeps the new offset', () => {
+  const schedule = londonSchedule('01:30', '09:00');
+  const boundary = getNextScheduleBoundary(schedule, new Date('2026-10-25T00:30:00Z'));
+
+  // 09:00 GMT
+  assert.equal(boundary.toISOString(), '2026-10-25T09:00:00.000Z');
+  assert.equal(getSchedulePhase(schedule, boundary), SCHEDULE_PHASES.NIGHT);
+});
+
+test('returns null when the schedule is disabled', () => {
+  const schedule = getScheduleFromSettings({ enableTimeRestrictions: false });
+
+  assert.equal(getNextScheduleBoundary(schedule, new Date('2026-03-28T20:00:00Z')), null);
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+const {
+  SIGNING_NOT_CONFIGURED,
+  loadSigningCredentials,
+  signProfile
+} = require('../services/signing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PROFILE_XML = '<?xml version="1.0" encoding="UTF-8"?><plist version="1.0"><dict><key>PayloadType</key><string>Configuration</string></dict></plist>';
+
+// Certificate for commonName, signed by issuer (or self-signed when there is none)
+const createCertificate = (commonName, { issuer = null, isCA = false, notBefore, notAfter } = {}) => {
+  const keys = forge.pki.rsa.generateKeyPair({ bits: 2048, e: 0x10001 });
+  const certificate = forge.pki.createCertificate();
+
+  certificate.publicKey = keys.publicKey;
+  certificate.serialNumber = forge.util.bytesToHex(forge.random.getBytesSync(8)).replace(/^[89a-f]/, '1');
+  certificate.validity.notBefore = notBefore || new Date(Date.now() - DAY_MS);
+  certificate.validity.notAfter = notAfter || new Date(Date.now() + 365 * DAY_MS);
+  certificate.setSubject([{ name: 'commonName', value: commonName }]);
+  certificate.setIssuer((issuer ? issuer.certificate : certificate).subject.attributes);
+  certificate.setExtensions(isCA
+    ? [{ name: 'basicConstraints', cA: true }, { name: 'keyUsage', keyCertSign: true, cRLSign: true }]
+    : [{ name: 'basicConstraints', cA: false }, { name: 'keyUsage', digitalSignature: true }]);
+  certificate.sign(issuer ? issuer.key : keys.privateKey, forge.md.sha256.create());
+
+  return { certificate, key: keys.privateKey };
+};
+
+// Throwaway CA and two leaf certificates it issued, shared by every test
+const ca = createCertificate('Altrii Test CA', { isCA: true });
+const leaf = createCertificate('Altrii Test Signer', { issuer: ca });
+const rotatedLeaf = createCertificate('Altrii Rotated Signer', { issuer: ca });
+
+const tempDirs = [];
+
+test.after(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+// Write a signing identity to a fresh directory and return the signing config for it
+const writeIdentity = (identity, { chain = [ca] } = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'altrii-signing-'));
+  tempDirs.push(dir);
+
+  const config = {
+    certPath: path.join(dir, 'cert.pem'),
+    keyPath: path.join(dir, 'key.pem'),
+    chainPath: chain.length > 0 ? path.join(dir, 'chain.pem') : null,
+    passphrase: null
+  };
+
+  fs.writeFileSync(config.certPath, forge.pki.certificateToPem(identity.certificate));
+  fs.writeFileSync(config.keyPath, forge.pki.privateKeyToPem(identity.key));
+  if (config.chainPath) {
+    fs.writeFileSync(config.chainPath, chain.map(item => forge.pki.certificateToPem(item.certificate)).join(''));
+  }
+
+  return config;
+};
+
+// Replace the files behind a config, bumping their modification times so the change is noticed
+const replaceIdentity = (config, { certificate, key }) => {
+  const later = new Date(Date.now() + 60 * 1000);
+
+  if (certificate) {
+    fs.writeFileSync(config.certPath, forge.pki.certificateToPem(certificate));
+    fs.utimesSync(config.certPath, later, later);
+  }
+  if (key) {
+    fs.writeFileSync(config.keyPath, forge.pki.privateKeyToPem(key));
+    fs.utimesSync(config.keyPath, later, later);
+  }
+};
+
+// Check a DER PKCS#7 SignedData the way a device would: the signed attributes carry the content's
+// SHA-256 digest, they are signed by the embedded signer certificate, and that certificate chains to the CA
+const verifySignedProfile = (der, expectedContent) => {
+  const message = forge.pkcs7.messageFromAsn1(forge.asn1.fromDer(der.toString('binary')));
+  const signerCertificate = message.certificates[0];
+
+  // [0] EXPLICIT OCTET STRING, which may be split into chunks
+  const octets = message.rawCapture.content.value[0];
+  const content = Array.isArray(octets.value) ? octets.value.map(chunk => chunk.value).join('') : octets.value;
+  assert.equal(content, forge.util.encodeUtf8(expectedContent));
+
+  const [signerInfo] = message.rawCapture.signerInfos;
+  const signedAttributes = signerInfo.value.find(node => node.tagClass === forge.asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+  const signature = signerInfo.value[signerInfo.value.length - 1].value;
+
+  const messageDigest = signedAttributes.value
+    .find(attribute => forge.asn1.derToOid(attribute.value[0].value) === forge.pki.oids.messageDigest)
+    .value[1].value[0].value;
+  assert.equal(messageDigest, forge.md.sha256.create().update(content).digest().bytes());
+
+  // The signature covers the attributes re-encoded as a SET
+  const attributesSet = forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, signedAttributes.value);
+  const attributesDigest = forge.md.sha256.create().update(forge.asn1.toDer(attributesSet).bytes());
+  assert.ok(signerCertificate.publicKey.verify(attributesDigest.digest().bytes(), signature));
+
+  // Loaded from PEM so the CA is compared in the same parsed form as the embedded certificates
+  const caStore = forge.pki.createCaStore([forge.pki.certificateToPem(ca.certificate)]);
+  assert.ok(forge.pki.verifyCertificateChain(caStore, message.certificates));
+
+  return { signerCertificate, certificates: message.certificates };
+};
+
+test('signs a profile that verifies against the CA', async () => {
+  const result = await signProfile(PROFILE_XML, writeIdentity(leaf));
+
+  assert.equal(result.success, true);
+  assert.equal(result.signer.subject, 'Altrii Test Signer');
+  assert.equal(result.signer.issuer, 'Altrii Test CA');
+
+  const { signerCertificate, certificates } = verifySignedProfile(result.signedProfile, PROFILE_XML);
+  assert.equal(signerCertificate.subject.getField('CN').value, 'Altrii Test Signer');
+  assert.equal(certificates.length, 2);
+});
+
+test('reports that signing is not configured without a certificate and key', async () => {
+  const result = await signProfile(PROFILE_XML, { certPath: null, keyPath: null, chainPath: null, passphrase: null });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, SIGNING_NOT_CONFIGURED);
+  assert.match(result.hint, /PROFILE_SIGNING_CERT_PATH/);
+  await assert.rejects(loadSigningCredentials({ certPath: null, keyPath: null }), new RegExp(SIGNING_NOT_CONFIGURED));
+});
+
+test('refuses a key that does not match the certificate', async () => {
+  const config = writeIdentity({ certificate: leaf.certificate, key: rotatedLeaf.key });
+  const result = await signProfile(PROFILE_XML, config);
+
+  assert.equal(result.success, false);
+  assert.equal(result.message, 'Signing key does not match the signing certificate');
+});
+
+test('refuses an expired certificate', async () => {
+  const expired = createCertificate('Altrii Expired Signer', {
+    issuer: ca,
+    notBefore: new Date(Date.now() - 30 * DAY_MS),
+    notAfter: new Date(Date.now() - DAY_MS)
+  });
+  const result = await signProfile(PROFILE_XML, writeIdentity(expired));
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /Signing certificate expired/);
+});
+
+test('picks up a rotated certificate when the files change', async () => {
+  const config = writeIdentity(leaf);
+
+  assert.equal((await signProfile(PROFILE_XML, config)).signer.subject, 'Altrii Test Signer');
+
+  replaceIdentity(config, rotatedLeaf);
+  const rotated = await signProfile(PROFILE_XML, config);
+
+  assert.equal(rotated.signer.subject, 'Altrii Rotated Signer');
+  verifySignedProfile(rotated.signedProfile, PROFILE_XML);
+});
+
+test('keeps signing with the previous certificate while a rotation is half done', async () => {
+  const config = writeIdentity(leaf);
+  await loadSigningCredentials(config);
+
+  // New certificate written, old key still in place
+  replaceIdentity(config, { certificate: rotatedLeaf.certificate });
+  const midRotation = await signProfile(PROFILE_XML, config);
+
+  assert.equal(midRotation.success, true);
+  assert.equal(midRotation.signer.subject, 'Altrii Test Signer');
+  verifySignedProfile(midRotation.signedProfile, PROFILE_XML);
+
+  // Once the key follows, the new certificate takes over
+  replaceIdentity(config, { key: rotatedLeaf.key });
+  assert.equal((await signProfile(PROFILE_XML, config)).signer.subject, 'Altrii Rotated Signer');
+});